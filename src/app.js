@@ -1,3 +1,5 @@
+// Load environment variables before any module reads them
+import 'dotenv/config';
 import express from 'express';
 import cors from 'cors';
 import helmet from 'helmet';
@@ -6,17 +8,27 @@ import morgan from 'morgan';
 import rateLimit from 'express-rate-limit';
 import mongoSanitize from 'express-mongo-sanitize';
 import xss from 'xss-clean';
-import dotenv from 'dotenv';
 
 import { connectDB } from './config/database.js';
 import { logger } from './config/logger.js';
+import Role from './models/Role.js';
+import ImportJob from './models/ImportJob.js';
+import { initJwtKeys, getJwks } from './utils/jwt.js';
+import { startErasureScheduler } from './utils/privacy.js';
+import { startReservationScheduler } from './utils/reservations.js';
+import { backfillSuggestKeys } from './utils/suggest.js';
+import { getUploadRoot } from './utils/storage.js';
 import { errorHandler } from './middleware/errorHandler.js';
 import { notFound } from './middleware/notFound.js';
+import { denyApiKey } from './middleware/auth.js';
+import { idempotency } from './middleware/idempotency.js';
 import { specs } from './config/swagger.js';
 import swaggerUi from 'swagger-ui-express';
 
 // Import routes
 import authRoutes from './routes/auth.js';
+import twoFactorRoutes from './routes/twoFactor.js';
+import oidcRoutes from './routes/oidc.js';
 import userRoutes from './routes/users.js';
 import adminRoutes from './routes/admin.js';
 import customerRoutes from './routes/customers.js';
@@ -24,9 +36,8 @@ import productRoutes from './routes/products.js';
 import orderRoutes from './routes/orders.js';
 import categoryRoutes from './routes/categories.js';
 import reviewRoutes from './routes/reviews.js';
-
-// Load environment variables
-dotenv.config();
+import reservationRoutes from './routes/reservations.js';
+import warehouseRoutes from './routes/warehouses.js';
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -67,6 +78,23 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Public keys for services that verify our access tokens
+app.get('/.well-known/jwks.json', (req, res) => {
+  res.set('Cache-Control', 'public, max-age=300');
+  res.status(200).json(getJwks());
+});
+
+// Uploaded images. Names are content hashes, so they never change.
+app.use('/uploads', express.static(getUploadRoot(), {
+  immutable: true,
+  maxAge: '1y',
+  index: false,
+  setHeaders: (res) => {
+    // Let storefronts on other origins embed them
+    res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+  }
+}));
+
 // Swagger Documentation
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(specs));
 
@@ -75,7 +103,15 @@ app.get('/', (req, res) => {
   res.send('API RUNNING SUCCESSFULLY...');
 });
 
+// API keys are for integrations, not for managing an account
+app.use(['/api/auth', '/api/users/profile', '/api/customers'], denyApiKey);
+
+// Replay retried writes sent with an Idempotency-Key header
+app.use('/api', idempotency);
+
 // API Routes
+app.use('/api/auth/2fa', twoFactorRoutes);
+app.use('/api/auth/oidc', oidcRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/admin', adminRoutes);
@@ -84,6 +120,8 @@ app.use('/api/products', productRoutes);
 app.use('/api/orders', orderRoutes);
 app.use('/api/categories', categoryRoutes);
 app.use('/api/reviews', reviewRoutes);
+app.use('/api/reservations', reservationRoutes);
+app.use('/api/warehouses', warehouseRoutes);
 
 // Error handling middleware
 app.use(notFound);
@@ -92,7 +130,14 @@ app.use(errorHandler);
 // Start server
 const startServer = async () => {
   try {
+    initJwtKeys();
     await connectDB();
+    await Role.ensureDefaultRoles();
+    startErasureScheduler();
+    startReservationScheduler();
+    await ImportJob.failStale();
+    // Suggestions miss older products until this finishes, so don't wait for it
+    backfillSuggestKeys().catch(error => logger.error(`Search suggestion key backfill failed: ${error.message}`));
     app.listen(PORT, () => {
       logger.info(`Server running on port ${PORT} in ${process.env.NODE_ENV} mode`);
     });
@@ -0,0 +1,54 @@
+import { logger } from './logger.js';
+
+// Known providers only need a client id and secret
+const PRESETS = {
+  google: {
+    name: 'Google',
+    issuer: 'https://accounts.google.com'
+  }
+};
+
+let providers = null;
+
+// Read a provider from OIDC_<ID>_* variables, e.g. OIDC_GOOGLE_CLIENT_ID
+const loadProvider = (id) => {
+  const prefix = `OIDC_${id.toUpperCase().replace(/-/g, '_')}_`;
+  const env = (key) => process.env[prefix + key];
+  const preset = PRESETS[id] || {};
+
+  const provider = {
+    id,
+    name: env('NAME') || preset.name || id,
+    issuer: (env('ISSUER') || preset.issuer || '').replace(/\/$/, ''),
+    clientId: env('CLIENT_ID'),
+    clientSecret: env('CLIENT_SECRET'),
+    scopes: env('SCOPES') || 'openid email profile',
+    redirectUri: env('REDIRECT_URI') || `${process.env.FRONTEND_URL}/auth/callback/${id}`
+  };
+
+  if (!provider.issuer || !provider.clientId) {
+    logger.warn(`OIDC provider "${id}" is missing ${prefix}ISSUER or ${prefix}CLIENT_ID and was skipped`);
+    return null;
+  }
+
+  return provider;
+};
+
+// Providers enabled through OIDC_PROVIDERS (comma-separated ids)
+export const getOidcProviders = () => {
+  if (!providers) {
+    providers = new Map();
+    const ids = (process.env.OIDC_PROVIDERS || '')
+      .split(',')
+      .map(id => id.trim().toLowerCase())
+      .filter(Boolean);
+
+    for (const id of ids) {
+      const provider = loadProvider(id);
+      if (provider) providers.set(id, provider);
+    }
+  }
+  return providers;
+};
+
+export const getOidcProvider = (id) => getOidcProviders().get(String(id).toLowerCase()) || null;
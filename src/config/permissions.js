@@ -0,0 +1,61 @@
+// Every permission a role can be granted
+export const PERMISSIONS = {
+  'analytics:read': 'View admin dashboard, analytics and statistics',
+  'users:read': 'View user accounts',
+  'users:write': 'Update, deactivate, unlock and delete user accounts',
+  'users:impersonate': 'Sign in as a customer to see what they see (read-only)',
+  'audit:read': 'View the audit log and impersonation sessions',
+  'roles:manage': 'Create and edit roles and assign them to users',
+  'api-keys:manage': 'Create and revoke API keys for integrations',
+  'products:write': 'Create, update and delete products',
+  'categories:write': 'Create, update and delete categories',
+  'inventory:read': 'View stock by warehouse',
+  'inventory:write': 'Manage warehouses, set stock per warehouse and transfer stock',
+  'orders:read': 'View every order, not just your own',
+  'orders:update-status': 'Update order status and tracking details',
+  'orders:cancel': 'Cancel any order',
+  'reviews:moderate': 'Remove any review'
+};
+
+// Grants every permission
+export const WILDCARD = '*';
+
+// Permissions that control accounts and access. Holders count as admins for
+// the REQUIRE_ADMIN_2FA policy, whatever their role is called.
+export const ADMIN_PERMISSIONS = [WILDCARD, 'roles:manage', 'users:write', 'users:impersonate', 'api-keys:manage'];
+
+// Roles created on startup. `admin` and `customer` are system roles and
+// cannot be edited or deleted; the staff roles are defaults admins may change.
+export const DEFAULT_ROLES = [
+  {
+    name: 'admin',
+    description: 'Full access',
+    permissions: [WILDCARD],
+    isSystem: true
+  },
+  {
+    name: 'customer',
+    description: 'Shopper account',
+    permissions: [],
+    isSystem: true
+  },
+  {
+    name: 'support',
+    description: 'Customer support staff',
+    permissions: ['users:read', 'users:impersonate', 'orders:read', 'orders:cancel', 'reviews:moderate']
+  },
+  {
+    name: 'warehouse',
+    description: 'Fulfillment staff',
+    permissions: ['orders:read', 'orders:update-status', 'inventory:read', 'inventory:write']
+  },
+  {
+    name: 'catalog',
+    description: 'Catalog managers',
+    permissions: ['products:write', 'categories:write', 'reviews:moderate', 'inventory:read']
+  }
+];
+
+// Check a permission list for a permission
+export const hasPermission = (permissions = [], permission) =>
+  permissions.includes(WILDCARD) || permissions.includes(permission);
@@ -0,0 +1,33 @@
+import { createClient } from 'redis';
+import { logger } from './logger.js';
+
+let client = null;
+let connecting = null;
+
+// Shared Redis client. Resolves to null when REDIS_URL is not configured or
+// the connection is down, so callers can fall back to in-memory behaviour.
+export const getRedisClient = async () => {
+  if (!process.env.REDIS_URL) return null;
+
+  if (!client) {
+    client = createClient({ url: process.env.REDIS_URL });
+
+    client.on('error', (err) => {
+      logger.error('Redis connection error:', err);
+    });
+
+    connecting = client.connect()
+      .then(() => logger.info('Redis Connected'))
+      .catch((err) => logger.error('Redis connection failed:', err));
+  }
+
+  await connecting;
+  return client.isReady ? client : null;
+};
+
+export const disconnectRedis = async () => {
+  if (client?.isOpen) {
+    await client.quit();
+    logger.info('Redis connection closed');
+  }
+};
@@ -26,6 +26,11 @@ const options = {
           type: 'http',
           scheme: 'bearer',
           bearerFormat: 'JWT'
+        },
+        apiKeyAuth: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-API-Key'
         }
       },
       schemas: {
@@ -35,7 +40,7 @@ const options = {
             _id: { type: 'string' },
             name: { type: 'string' },
             email: { type: 'string', format: 'email' },
-            role: { type: 'string', enum: ['customer', 'admin'] },
+            role: { type: 'string', description: 'Role name, e.g. customer, admin, support' },
             isActive: { type: 'boolean' },
             createdAt: { type: 'string', format: 'date-time' },
             updatedAt: { type: 'string', format: 'date-time' }
@@ -93,6 +98,9 @@ const options = {
     security: [
       {
         bearerAuth: []
+      },
+      {
+        apiKeyAuth: []
       }
     ]
   },
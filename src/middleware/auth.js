@@ -1,6 +1,13 @@
-import jwt from 'jsonwebtoken';
 import asyncHandler from 'express-async-handler';
 import User from '../models/User.js';
+import Session from '../models/Session.js';
+import Role from '../models/Role.js';
+import ApiKey from '../models/ApiKey.js';
+import Impersonation from '../models/Impersonation.js';
+import AuditLog from '../models/AuditLog.js';
+import { hasPermission } from '../config/permissions.js';
+import { logger } from '../config/logger.js';
+import { verifyJwt } from '../utils/jwt.js';
 
 /**
  * @swagger
@@ -10,58 +17,296 @@ import User from '../models/User.js';
  *       type: http
  *       scheme: bearer
  *       bearerFormat: JWT
+ *     apiKeyAuth:
+ *       type: apiKey
+ *       in: header
+ *       name: X-API-Key
  */
 
-// Protect routes - verify JWT token
-export const protect = asyncHandler(async (req, res, next) => {
-  let token;
+// Resolve the user behind an access token, rejecting revoked sessions
+const getUserFromToken = async (token) => {
+  const decoded = verifyJwt(token);
 
-  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-    try {
-      // Get token from header
-      token = req.headers.authorization.split(' ')[1];
+  // Partial tokens (e.g. pending two-factor login) are not access tokens
+  if (decoded.purpose) {
+    throw new Error('Invalid token type');
+  }
 
-      // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  const user = await User.findById(decoded.id).select('-password');
+  if (!user) {
+    throw new Error('User not found');
+  }
 
-      // Get user from token
-      req.user = await User.findById(decoded.id).select('-password');
+  // Impersonation tokens act as the customer on behalf of a staff member and
+  // live only as long as their impersonation session
+  if (decoded.imp) {
+    const impersonation = await Impersonation.findActive(decoded.imp);
+    if (!impersonation || impersonation.admin.toString() !== decoded.act) {
+      throw new Error('Token has been revoked');
+    }
+
+    const impersonator = await User.findById(decoded.act).select('name email role isActive');
+    if (!impersonator || !impersonator.isActive) {
+      throw new Error('Token has been revoked');
+    }
 
-      if (!req.user) {
-        res.status(401);
-        throw new Error('User not found');
-      }
+    return { user, decoded, impersonation, impersonator };
+  }
 
-      if (!req.user.isActive) {
-        res.status(401);
-        throw new Error('User account is deactivated');
-      }
+  // Bumped by logout-everywhere and password resets
+  if ((decoded.tv || 0) !== user.tokenVersion) {
+    throw new Error('Token has been revoked');
+  }
 
-      next();
-    } catch (error) {
-      res.status(401);
-      throw new Error('Not authorized, token failed');
+  // Logout, session revocation and refresh token reuse end the whole session
+  let session = null;
+  if (decoded.fam) {
+    session = await Session.findActive(decoded.fam);
+    if (!session) {
+      throw new Error('Token has been revoked');
     }
   }
 
+  return { user, decoded, session };
+};
+
+// Check the credentials a request carries without attaching them to it, e.g.
+// before answering it from a stored response. Returns undefined when there are
+// none, null when they don't authenticate (or only impersonate), otherwise the
+// user and API key they belong to.
+export const verifyCredentials = async (req) => {
+  const rawApiKey = req.get('X-API-Key');
+  if (rawApiKey) {
+    const apiKey = await ApiKey.findOne({ keyHash: ApiKey.hashKey(rawApiKey) });
+    if (!apiKey || apiKey.revokedAt || apiKey.isExpired() || !apiKey.isIpAllowed(req.ip)) {
+      return null;
+    }
+
+    const user = await User.findById(apiKey.user).select('isActive');
+    return user?.isActive ? { user, apiKey } : null;
+  }
+
+  if (!req.headers.authorization || !req.headers.authorization.startsWith('Bearer')) {
+    return undefined;
+  }
+
+  try {
+    const auth = await getUserFromToken(req.headers.authorization.split(' ')[1]);
+    return auth.user.isActive && !auth.impersonation ? { user: auth.user, apiKey: null } : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Methods an impersonation token may use. Impersonation is read-only apart
+// from logging out, which ends the impersonation session.
+const IMPERSONATION_SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+const IMPERSONATION_ALLOWED_PATHS = ['/api/auth/logout'];
+
+// Attach an impersonation to the request, audit it and block writes
+const beginImpersonatedRequest = (req, res, auth) => {
+  req.impersonation = auth.impersonation;
+  req.impersonator = auth.impersonator;
+
+  res.on('finish', () => {
+    AuditLog.record({
+      action: 'impersonation.request',
+      actor: auth.impersonator._id,
+      subject: auth.user._id,
+      impersonation: auth.impersonation._id,
+      method: req.method,
+      path: req.originalUrl,
+      statusCode: res.statusCode,
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+  });
+
+  const path = `${req.baseUrl}${req.path}`;
+  if (!IMPERSONATION_SAFE_METHODS.includes(req.method) && !IMPERSONATION_ALLOWED_PATHS.includes(path)) {
+    res.status(403);
+    throw new Error('Not allowed while impersonating a customer');
+  }
+};
+
+// Authenticate an integration by API key. The request acts as the key's user,
+// limited to the key's scopes, and is always written to the log.
+const authenticateApiKey = async (req, res, rawKey) => {
+  const apiKey = await ApiKey.findOne({ keyHash: ApiKey.hashKey(rawKey) });
+
+  if (!apiKey || apiKey.revokedAt) {
+    res.status(401);
+    throw new Error('Not authorized, invalid API key');
+  }
+
+  if (apiKey.isExpired()) {
+    res.status(401);
+    throw new Error('Not authorized, API key expired');
+  }
+
+  if (!apiKey.isIpAllowed(req.ip)) {
+    logger.warn(`API key ${apiKey.prefix} rejected from ${req.ip}`);
+    res.status(403);
+    throw new Error('Not authorized, API key not allowed from this IP');
+  }
+
+  const user = await User.findById(apiKey.user).select('-password');
+  if (!user || !user.isActive) {
+    res.status(401);
+    throw new Error('Not authorized, API key owner is deactivated');
+  }
+
+  req.user = user;
+  req.apiKey = apiKey;
+  req.auth = { apiKey: apiKey._id };
+
+  const startedAt = Date.now();
+  res.on('finish', () => {
+    logger.info('API key request', {
+      apiKey: apiKey.prefix,
+      apiKeyName: apiKey.name,
+      method: req.method,
+      url: req.originalUrl,
+      status: res.statusCode,
+      ip: req.ip,
+      durationMs: Date.now() - startedAt
+    });
+  });
+
+  await apiKey.touch(req.ip);
+};
+
+// Protect routes - verify JWT token or API key
+export const protect = asyncHandler(async (req, res, next) => {
+  const rawApiKey = req.get('X-API-Key');
+  if (rawApiKey) {
+    await authenticateApiKey(req, res, rawApiKey);
+    return next();
+  }
+
+  let token;
+
+  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+    // Get token from header
+    token = req.headers.authorization.split(' ')[1];
+  }
+
   if (!token) {
     res.status(401);
     throw new Error('Not authorized, no token');
   }
+
+  let auth;
+  try {
+    auth = await getUserFromToken(token);
+  } catch (error) {
+    res.status(401);
+    throw new Error(error.message === 'Token has been revoked'
+      ? 'Not authorized, token revoked'
+      : 'Not authorized, token failed');
+  }
+
+  req.user = auth.user;
+  req.auth = { family: auth.decoded.fam, session: auth.session?._id, impersonation: auth.impersonation?._id };
+
+  if (!req.user.isActive) {
+    res.status(401);
+    throw new Error('User account is deactivated');
+  }
+
+  if (auth.impersonation) {
+    beginImpersonatedRequest(req, res, auth);
+  }
+
+  if (auth.session) {
+    await auth.session.touch(req.ip);
+  }
+
+  next();
 });
 
-// Admin middleware
-export const admin = asyncHandler(async (req, res, next) => {
-  if (req.user && req.user.role === 'admin') {
-    next();
-  } else {
+// Check if the current request may use a permission. API key requests are
+// limited to the key's scopes on top of the owner's role, and impersonated
+// requests get none.
+export const can = async (req, permission) => {
+  if (!req.user || req.impersonation) return false;
+
+  if (!req.permissions) {
+    req.permissions = await Role.getPermissions(req.user.role);
+  }
+
+  if (!hasPermission(req.permissions, permission)) return false;
+  if (req.apiKey) return hasPermission(req.apiKey.scopes, permission);
+  return true;
+};
+
+// Throw with the response status set unless the request holds every one of
+// the permissions, so nobody can hand out more than they can do themselves
+export const assertCanGrant = async (req, res, permissions) => {
+  for (const permission of permissions) {
+    if (!(await can(req, permission))) {
+      res.status(403);
+      throw new Error(`Not authorized to grant ${permission}`);
+    }
+  }
+};
+
+// Throw unless the request holds every permission of the user's role, so
+// nobody can edit, sign out or erase an account that can do more than they can
+export const assertCanManageUser = async (req, res, user) => {
+  for (const permission of await Role.getPermissions(user.role)) {
+    if (!(await can(req, permission))) {
+      res.status(403);
+      throw new Error(`Not authorized to manage an account with ${permission}`);
+    }
+  }
+};
+
+// Permission middleware - the request must be allowed every listed permission
+export const requirePermission = (...permissions) => asyncHandler(async (req, res, next) => {
+  if (!req.user) {
+    res.status(401);
+    throw new Error('Not authorized');
+  }
+
+  if (req.impersonation) {
     res.status(403);
-    throw new Error('Not authorized as an admin');
+    throw new Error('Not allowed while impersonating a customer');
   }
+
+  const granted = await Promise.all(permissions.map(permission => can(req, permission)));
+  const missing = permissions.filter((permission, index) => !granted[index]);
+  if (missing.length > 0) {
+    res.status(403);
+    throw new Error(`Not authorized, requires ${missing.join(', ')}`);
+  }
+
+  // The 2FA enrollment policy applies to people, not integrations
+  if (!req.apiKey && await req.user.requiresTwoFactorSetup()) {
+    res.status(403);
+    throw new Error('Two-factor authentication must be enabled for admin accounts');
+  }
+
+  next();
 });
 
-// Customer middleware
+// Reject API keys on account self-service endpoints
+export const denyApiKey = (req, res, next) => {
+  if (req.get('X-API-Key')) {
+    res.status(403);
+    return next(new Error('API keys cannot be used for this endpoint'));
+  }
+  next();
+};
+
+// Customer middleware. Customer endpoints aren't scoped, so integrations
+// can't use them with an API key.
 export const customer = asyncHandler(async (req, res, next) => {
+  if (req.apiKey) {
+    res.status(403);
+    throw new Error('API keys cannot be used for customer endpoints');
+  }
+
   if (req.user && req.user.role === 'customer') {
     next();
   } else {
@@ -70,19 +315,43 @@ export const customer = asyncHandler(async (req, res, next) => {
   }
 });
 
+// Whether EMAIL_VERIFICATION_REQUIRED_FOR (e.g. "orders,reviews") lists the action
+export const verificationRequiredFor = (action) => (process.env.EMAIL_VERIFICATION_REQUIRED_FOR || '')
+  .split(',')
+  .map(item => item.trim())
+  .includes(action);
+
+// Email verification policy - blocks the given action for unverified accounts
+// when it is listed in EMAIL_VERIFICATION_REQUIRED_FOR
+export const requireVerifiedEmail = (action) => asyncHandler(async (req, res, next) => {
+  if (verificationRequiredFor(action) && !req.user.emailVerified) {
+    res.status(403);
+    throw new Error('Please verify your email address before continuing');
+  }
+
+  next();
+});
+
 // Optional auth - doesn't throw error if no token
 export const optionalAuth = asyncHandler(async (req, res, next) => {
   let token;
+  let auth;
 
   if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
     try {
       token = req.headers.authorization.split(' ')[1];
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      req.user = await User.findById(decoded.id).select('-password');
+      auth = await getUserFromToken(token);
+      req.user = auth.user;
+      req.auth = { family: auth.decoded.fam, session: auth.session?._id, impersonation: auth.impersonation?._id };
     } catch (error) {
       // Don't throw error, just continue without user
     }
   }
 
+  // Outside the try so impersonation limits still apply
+  if (auth?.impersonation) {
+    beginImpersonatedRequest(req, res, auth);
+  }
+
   next();
 }); 
\ No newline at end of file
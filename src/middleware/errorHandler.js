@@ -43,7 +43,10 @@ export const errorHandler = (err, req, res, next) => {
     error = { message, statusCode: 401 };
   }
 
-  res.status(error.statusCode || 500).json({
+  // Routes set the status before throwing; anything else is a server error
+  const statusCode = error.statusCode || (res.statusCode >= 400 ? res.statusCode : 500);
+
+  res.status(statusCode).json({
     status: 'error',
     message: error.message || 'Internal Server Error',
     ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
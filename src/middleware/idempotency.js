@@ -0,0 +1,151 @@
+import crypto from 'crypto';
+import asyncHandler from 'express-async-handler';
+import IdempotencyKey from '../models/IdempotencyKey.js';
+import { logger } from '../config/logger.js';
+import { verifyCredentials } from './auth.js';
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Long enough to rule out guessable keys; clients should send a UUID
+const KEY_FORMAT = /^[\x21-\x7e]{8,255}$/;
+
+// Routes whose responses are credentials: sign-in, tokens, two-factor secrets
+// and recovery codes, and new API keys. Their responses are never stored.
+const CREDENTIAL_PATHS = ['/api/auth', '/api/admin/api-keys'];
+
+// Credentials other responses can carry, e.g. a guest order's access token.
+// They are left out of the stored response, so a replay doesn't return them.
+const SECRET_FIELDS = ['token', 'accessToken', 'refreshToken', 'twoFactorToken', 'key', 'secret', 'recoveryCodes'];
+
+const ttlMs = () => (parseFloat(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24) * 60 * 60 * 1000;
+const lockMs = () => (parseInt(process.env.IDEMPOTENCY_LOCK_SECONDS) || 60) * 1000;
+
+// Whose keys these are. Credentials are checked in full, revocation included,
+// because a stored response is replayed without reaching the route's own
+// auth. Guests are told apart by IP address, so one guest can't replay
+// another's response. Returns null for credentials that won't authenticate;
+// the route then rejects them as usual.
+const resolveScope = async (req) => {
+  const credentials = await verifyCredentials(req);
+
+  if (credentials === undefined) return `guest:${req.ip}`;
+  if (!credentials) return null;
+  return credentials.apiKey ? `apikey:${credentials.apiKey._id}` : `user:${credentials.user._id}`;
+};
+
+// JSON with object keys sorted, so key order doesn't change the fingerprint
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+};
+
+// Answered here, like validation errors, so clients can rely on the status
+const reject = (res, statusCode, message) => res.status(statusCode).json({ status: 'error', message });
+
+const isCredentialPath = (req) => {
+  const path = req.originalUrl.split('?')[0];
+  return CREDENTIAL_PATHS.some(prefix => path === prefix || path.startsWith(`${prefix}/`));
+};
+
+// A copy of a response body to store, without credentials in it or its data
+const withoutSecrets = (body) => {
+  const strip = (value) => (value && typeof value === 'object' && !Array.isArray(value)
+    ? Object.fromEntries(Object.entries(value).filter(([field]) => !SECRET_FIELDS.includes(field)))
+    : value);
+
+  const stored = strip(JSON.parse(JSON.stringify(body)));
+  if (stored && typeof stored === 'object' && 'data' in stored) stored.data = strip(stored.data);
+  return stored;
+};
+
+const fingerprintRequest = (req) => crypto
+  .createHash('sha256')
+  .update(`${req.method} ${req.originalUrl}\n${stableStringify(req.body || {})}`)
+  .digest('hex');
+
+// Make mutating requests safe to retry. The first successful JSON response to
+// a request with an Idempotency-Key header is stored per user and key, less
+// any credentials in it, and replayed for retries until the key expires.
+// Failed requests release the key so they can be retried with it. Routes that
+// issue credentials ignore the header.
+export const idempotency = asyncHandler(async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined || !MUTATING_METHODS.includes(req.method) || isCredentialPath(req)) {
+    return next();
+  }
+
+  if (!KEY_FORMAT.test(key)) {
+    return reject(res, 400, 'Idempotency-Key must be 8 to 255 printable characters');
+  }
+
+  // Uploads aren't parsed yet, so their content couldn't be told apart
+  if (req.is('multipart/form-data')) {
+    return reject(res, 400, 'Idempotency-Key is not supported for file uploads');
+  }
+
+  const scope = await resolveScope(req);
+  if (!scope) {
+    return next();
+  }
+
+  const fingerprint = fingerprintRequest(req);
+  const { record, claimed } = await IdempotencyKey.claim(scope, key, fingerprint, { ttlMs: ttlMs(), lockMs: lockMs() });
+
+  if (!claimed) {
+    if (!record) {
+      res.set('Retry-After', '1');
+      return reject(res, 409, 'A request with this Idempotency-Key just finished; please retry');
+    }
+
+    if (record.fingerprint !== fingerprint) {
+      return reject(res, 422, 'This Idempotency-Key was already used for a different request');
+    }
+
+    if (record.status === 'processing') {
+      res.set('Retry-After', String(Math.max(1, Math.ceil((record.lockedUntil - Date.now()) / 1000))));
+      return reject(res, 409, 'A request with this Idempotency-Key is still being processed');
+    }
+
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(record.response.statusCode).json(record.response.body);
+  }
+
+  // Store the response when the route sends it, even if the client has gone
+  // by then, and release the key for anything but a successful JSON response
+  let settled = false;
+  const settle = async (statusCode, body) => {
+    if (settled) return;
+    settled = true;
+
+    try {
+      if (body !== undefined && statusCode >= 200 && statusCode < 300) {
+        await IdempotencyKey.updateOne(
+          { _id: record._id },
+          {
+            status: 'completed',
+            response: { statusCode, body: withoutSecrets(body) },
+            $unset: { lockedUntil: 1 }
+          }
+        );
+      } else {
+        await IdempotencyKey.deleteOne({ _id: record._id, status: 'processing' });
+      }
+    } catch (error) {
+      logger.error(`Failed to save Idempotency-Key ${key}: ${error.message}`);
+    }
+  };
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    settle(res.statusCode, body);
+    return json(body);
+  };
+  res.on('finish', () => settle(res.statusCode));
+
+  next();
+});
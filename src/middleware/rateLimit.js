@@ -0,0 +1,101 @@
+import rateLimit, { MemoryStore } from 'express-rate-limit';
+import { getRedisClient } from '../config/redis.js';
+
+// express-rate-limit store that keeps counters in Redis so limits hold across
+// instances. Falls back to an in-process store while Redis is not configured
+// or not available, checked on every request rather than when routes load.
+class RedisStore {
+  constructor(prefix) {
+    this.prefix = `rl:${prefix}:`;
+    this.localKeys = false;
+    this.memory = new MemoryStore();
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+    this.memory.init(options);
+  }
+
+  async increment(key) {
+    const redis = await getRedisClient();
+    if (!redis) return this.memory.increment(key);
+
+    const redisKey = this.prefix + key;
+    const [totalHits, ttl] = await redis.multi()
+      .incr(redisKey)
+      .pTTL(redisKey)
+      .exec();
+
+    let resetMs = ttl;
+    if (ttl < 0) {
+      await redis.pExpire(redisKey, this.windowMs);
+      resetMs = this.windowMs;
+    }
+
+    return {
+      totalHits,
+      resetTime: new Date(Date.now() + resetMs)
+    };
+  }
+
+  async decrement(key) {
+    const redis = await getRedisClient();
+    if (!redis) return this.memory.decrement(key);
+    await redis.decr(this.prefix + key);
+  }
+
+  async resetKey(key) {
+    const redis = await getRedisClient();
+    if (!redis) return this.memory.resetKey(key);
+    await redis.del(this.prefix + key);
+  }
+}
+
+// Limits for sensitive auth endpoints, per client IP and per submitted email
+const AUTH_LIMITS = {
+  login: { windowMs: 15 * 60 * 1000, ip: 30, email: 10 },
+  'forgot-password': { windowMs: 60 * 60 * 1000, ip: 10, email: 3 },
+  register: { windowMs: 60 * 60 * 1000, ip: 10, email: 3 },
+  'magic-link': { windowMs: 60 * 60 * 1000, ip: 10, email: 5 },
+  'magic-link-verify': { windowMs: 15 * 60 * 1000, ip: 30 },
+  oidc: { windowMs: 15 * 60 * 1000, ip: 30 }
+};
+
+const createLimiter = (name, windowMs, max, keyGenerator, skip) => rateLimit({
+  windowMs,
+  max,
+  keyGenerator,
+  skip,
+  store: new RedisStore(name),
+  // Don't take auth endpoints down with Redis
+  passOnStoreError: true,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    status: 'error',
+    message: 'Too many attempts, please try again later.'
+  }
+});
+
+const emailKey = (req) => String(req.body?.email || '').trim().toLowerCase();
+
+// Per-IP limiter for an auth action
+export const authIpLimiter = (action) => {
+  const { windowMs, ip } = AUTH_LIMITS[action];
+  return createLimiter(`${action}:ip`, windowMs, ip, (req) => req.ip);
+};
+
+// Per-email limiter for an auth action. Mount it after validation so the
+// email has already been normalized.
+export const authEmailLimiter = (action) => {
+  const { windowMs, email } = AUTH_LIMITS[action];
+  return createLimiter(`${action}:email`, windowMs, email, emailKey, (req) => !emailKey(req));
+};
+
+// Per-IP limiter for creating checkout reservations, which anyone can do
+export const reservationIpLimiter = () => createLimiter(
+  'reservation:ip',
+  15 * 60 * 1000,
+  parseInt(process.env.RESERVATION_RATE_LIMIT) || 20,
+  (req) => req.ip
+);
@@ -0,0 +1,109 @@
+import multer from 'multer';
+
+// Accepted image types, with the leading bytes every file of that type starts with
+const IMAGE_TYPES = {
+  'image/jpeg': { extension: 'jpg', matches: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  'image/png': {
+    extension: 'png',
+    matches: (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))
+  },
+  'image/gif': { extension: 'gif', matches: (b) => ['GIF87a', 'GIF89a'].includes(b.toString('latin1', 0, 6)) },
+  'image/webp': {
+    extension: 'webp',
+    matches: (b) => b.toString('latin1', 0, 4) === 'RIFF' && b.toString('latin1', 8, 12) === 'WEBP'
+  }
+};
+
+const maxFileSize = () => parseInt(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024;
+const maxImportSize = () => parseInt(process.env.IMPORT_MAX_FILE_SIZE) || 10 * 1024 * 1024;
+
+const formatSize = (bytes) => bytes >= 1024 * 1024
+  ? `${Math.round(bytes / 1024 / 1024 * 10) / 10} MB`
+  : `${Math.round(bytes / 1024)} KB`;
+
+const MULTER_ERRORS = {
+  LIMIT_FILE_SIZE: (max, field, fileSize) => `Each image must be at most ${formatSize(fileSize)}`,
+  LIMIT_FILE_COUNT: (max) => `At most ${max} images can be uploaded at once`,
+  LIMIT_UNEXPECTED_FILE: (max, field) => `Images must be sent in the "${field}" field, at most ${max} at a time`
+};
+
+// Accept up to maxCount images in a multipart field, kept in memory. Both the
+// declared type and the file's leading bytes must be an accepted image type;
+// checked files get an `extension` for storage. The size limit is read per
+// request, so it always matches the configuration and the error message.
+export const imageUpload = (field, maxCount) => (req, res, next) => {
+  const fileSize = maxFileSize();
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize, files: maxCount },
+    fileFilter: (req, file, cb) => {
+      if (!IMAGE_TYPES[file.mimetype]) {
+        return cb(new Error(`${file.originalname} is not a JPEG, PNG, GIF or WebP image`));
+      }
+      cb(null, true);
+    }
+  }).array(field, maxCount);
+
+  upload(req, res, (error) => {
+    if (error) {
+      res.status(400);
+      const message = error instanceof multer.MulterError && MULTER_ERRORS[error.code]
+        ? MULTER_ERRORS[error.code](maxCount, field, fileSize)
+        : error.message;
+      return next(new Error(message));
+    }
+
+    if (!req.files || req.files.length === 0) {
+      res.status(400);
+      return next(new Error(`No images were uploaded in the "${field}" field`));
+    }
+
+    // The declared type comes from the client, so check the content too
+    for (const file of req.files) {
+      const type = IMAGE_TYPES[file.mimetype];
+      if (!type.matches(file.buffer)) {
+        res.status(400);
+        return next(new Error(`${file.originalname} is not a valid ${file.mimetype} file`));
+      }
+      file.extension = type.extension;
+    }
+
+    next();
+  });
+};
+
+// Accept one CSV or JSON file in a multipart field, kept in memory. The file
+// gets a `format` of csv or json from its extension. The size limit is read
+// per request like the image limit.
+export const dataFileUpload = (field) => (req, res, next) => {
+  const fileSize = maxImportSize();
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize, files: 1 },
+    fileFilter: (req, file, cb) => {
+      const format = file.originalname.toLowerCase().match(/\.(csv|json)$/)?.[1];
+      if (!format) {
+        return cb(new Error(`${file.originalname} is not a .csv or .json file`));
+      }
+      file.format = format;
+      cb(null, true);
+    }
+  }).single(field);
+
+  upload(req, res, (error) => {
+    if (error) {
+      res.status(400);
+      const message = error.code === 'LIMIT_FILE_SIZE'
+        ? `The file must be at most ${formatSize(fileSize)}`
+        : error.message;
+      return next(new Error(message));
+    }
+
+    if (!req.file) {
+      res.status(400);
+      return next(new Error(`No file was uploaded in the "${field}" field`));
+    }
+
+    next();
+  });
+};
@@ -17,6 +17,13 @@ export const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+// Password strength rules shared by every endpoint that sets a password
+const strongPassword = (field) => body(field)
+  .isLength({ min: 6 })
+  .withMessage('Password must be at least 6 characters long')
+  .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+  .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number');
+
 // User registration validation
 export const validateRegister = [
   body('name')
@@ -27,11 +34,7 @@ export const validateRegister = [
     .isEmail()
     .normalizeEmail()
     .withMessage('Please provide a valid email'),
-  body('password')
-    .isLength({ min: 6 })
-    .withMessage('Password must be at least 6 characters long')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-    .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number'),
+  strongPassword('password'),
   handleValidationErrors
 ];
 
@@ -47,6 +50,30 @@ export const validateLogin = [
   handleValidationErrors
 ];
 
+// Magic link request validation
+export const validateMagicLinkRequest = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  handleValidationErrors
+];
+
+// Password reset validation
+export const validateResetPassword = [
+  strongPassword('password'),
+  handleValidationErrors
+];
+
+// Change password validation
+export const validateChangePassword = [
+  body('currentPassword')
+    .notEmpty()
+    .withMessage('Current password is required'),
+  strongPassword('newPassword'),
+  handleValidationErrors
+];
+
 // Product validation
 export const validateProduct = [
   body('name')
@@ -57,30 +84,91 @@ export const validateProduct = [
     .trim()
     .isLength({ min: 10, max: 1000 })
     .withMessage('Description must be between 10 and 1000 characters'),
+  // Products with variants take their price and stock from the variants
   body('price')
+    .if(body('variants').not().isArray({ min: 1 }))
     .isFloat({ min: 0 })
     .withMessage('Price must be a positive number'),
   body('stock')
+    .if(body('variants').not().isArray({ min: 1 }))
     .isInt({ min: 0 })
     .withMessage('Stock must be a non-negative integer'),
   body('category')
     .trim()
     .notEmpty()
     .withMessage('Category is required'),
+  body('variantOptions')
+    .optional()
+    .isArray()
+    .withMessage('Variant options must be an array'),
+  body('variantOptions.*.name')
+    .trim()
+    .notEmpty()
+    .withMessage('Variant option name is required'),
+  body('variants')
+    .optional()
+    .isArray()
+    .withMessage('Variants must be an array'),
+  body('variants.*.sku')
+    .trim()
+    .notEmpty()
+    .withMessage('Variant SKU is required'),
+  body('variants.*.options')
+    .isObject()
+    .withMessage('Variant options are required'),
+  body('variants.*.price')
+    .isFloat({ min: 0 })
+    .withMessage('Variant price must be a positive number'),
+  body('variants.*.stock')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Variant stock must be a non-negative integer'),
+  body('variants.*.weight')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Variant weight must be a positive number'),
   handleValidationErrors
 ];
 
-// Order validation
-export const validateOrder = [
+// Check product data against the validateProduct rules outside a request,
+// e.g. an import row. Returns [{ field, message }]; sanitizers update `data`.
+// With `partial`, as for an update, only the fields present are checked and
+// `data` is left as it is, so sanitizers don't add the missing ones.
+export const productValidationErrors = async (data, { partial = false } = {}) => {
+  const req = { body: partial ? { ...data } : data };
+  for (const rule of validateProduct.filter(rule => typeof rule.run === 'function')) {
+    await rule.run(req);
+  }
+  return validationResult(req).array()
+    .map(error => ({ field: error.path.split(/[.[]/)[0], message: error.msg }))
+    .filter(error => !partial || error.field in data);
+};
+
+// Line items of an order or reservation
+const itemRules = (message) => [
   body('items')
     .isArray({ min: 1 })
-    .withMessage('Order must contain at least one item'),
+    .withMessage(message),
   body('items.*.product')
     .isMongoId()
     .withMessage('Invalid product ID'),
+  body('items.*.variant')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid variant ID'),
   body('items.*.quantity')
     .isInt({ min: 1 })
-    .withMessage('Quantity must be at least 1'),
+    .withMessage('Quantity must be at least 1')
+    .toInt()
+];
+
+// Order validation
+export const validateOrder = [
+  ...itemRules('Order must contain at least one item'),
+  body('reservation')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid reservation ID'),
   body('shippingAddress')
     .isObject()
     .withMessage('Shipping address is required'),
@@ -103,6 +191,21 @@ export const validateOrder = [
   handleValidationErrors
 ];
 
+// Guest order validation
+export const validateGuestOrder = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  ...validateOrder
+];
+
+// Reservation validation
+export const validateReservation = [
+  ...itemRules('Reservation must contain at least one item'),
+  handleValidationErrors
+];
+
 // Review validation
 export const validateReview = [
   body('rating')
@@ -128,4 +231,141 @@ export const validateProfileUpdate = [
     .normalizeEmail()
     .withMessage('Please provide a valid email'),
   handleValidationErrors
-]; 
\ No newline at end of file
+];
+
+// Warehouse validation
+export const validateWarehouse = [
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Warehouse name must be between 2 and 100 characters'),
+  body('code')
+    .trim()
+    .matches(/^[A-Za-z0-9_-]{2,20}$/)
+    .withMessage('Warehouse code must be 2 to 20 letters, digits, dashes or underscores'),
+  body('address')
+    .isObject()
+    .withMessage('Address is required'),
+  body('address.city')
+    .trim()
+    .notEmpty()
+    .withMessage('City is required'),
+  body('address.state')
+    .trim()
+    .notEmpty()
+    .withMessage('State is required'),
+  body('priority')
+    .optional()
+    .isInt()
+    .withMessage('Priority must be an integer'),
+  handleValidationErrors
+];
+
+// Stock level validation
+export const validateStockLevel = [
+  body('product')
+    .isMongoId()
+    .withMessage('Invalid product ID'),
+  body('variant')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid variant ID'),
+  body('stock')
+    .isInt({ min: 0 })
+    .withMessage('Stock must be a non-negative integer')
+    .toInt(),
+  handleValidationErrors
+];
+
+// Stock transfer validation
+export const validateStockTransfer = [
+  body('product')
+    .isMongoId()
+    .withMessage('Invalid product ID'),
+  body('variant')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid variant ID'),
+  body('from')
+    .isMongoId()
+    .withMessage('Invalid source warehouse ID'),
+  body('to')
+    .isMongoId()
+    .withMessage('Invalid destination warehouse ID')
+    .custom((to, { req }) => to !== req.body.from)
+    .withMessage('Source and destination must be different warehouses'),
+  body('quantity')
+    .isInt({ min: 1 })
+    .withMessage('Quantity must be at least 1')
+    .toInt(),
+  handleValidationErrors
+];
+
+// Manual stock adjustment validation
+export const validateStockAdjustment = [
+  body('variant')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid variant ID'),
+  body('warehouse')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid warehouse ID'),
+  body('quantity')
+    .isInt()
+    .withMessage('Quantity must be an integer')
+    .custom(quantity => Number(quantity) !== 0)
+    .withMessage('Quantity cannot be zero')
+    .toInt(),
+  body('reason')
+    .optional()
+    .isIn(['adjustment', 'return'])
+    .withMessage('Reason must be adjustment or return'),
+  body('order')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid order ID'),
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot be more than 500 characters'),
+  handleValidationErrors
+];
+
+// API key validation. Updates only check the fields they send.
+const apiKeyRules = (update) => {
+  const field = (path) => (update ? body(path).optional() : body(path));
+
+  return [
+    field('name')
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage('Name is required'),
+    field('scopes')
+      .isArray({ min: 1 })
+      .withMessage('Scopes must be a list of at least one permission'),
+    body('scopes.*')
+      .isString()
+      .withMessage('Each scope must be a permission name'),
+    body('allowedIps')
+      .optional()
+      .isArray()
+      .withMessage('Allowed IPs must be a list'),
+    body('allowedIps.*')
+      .isString()
+      .withMessage('Each allowed IP must be an IP address or CIDR range'),
+    body('expiresAt')
+      .optional({ values: 'null' })
+      .isISO8601()
+      .withMessage('Expiry must be a date'),
+    body('user')
+      .optional()
+      .isMongoId()
+      .withMessage('Invalid user ID')
+  ];
+};
+
+export const validateApiKey = [...apiKeyRules(false), handleValidationErrors];
+export const validateApiKeyUpdate = [...apiKeyRules(true), handleValidationErrors];
@@ -0,0 +1,193 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+import net from 'net';
+import { PERMISSIONS, WILDCARD } from '../config/permissions.js';
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ApiKey:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         name:
+ *           type: string
+ *           description: What the key is used for, e.g. ERP sync
+ *         prefix:
+ *           type: string
+ *           description: First characters of the key, for identification
+ *         scopes:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Permissions the key may use
+ *         allowedIps:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: IP addresses or CIDR ranges the key may be used from (empty allows any)
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         lastUsedAt:
+ *           type: string
+ *           format: date-time
+ *         lastUsedIp:
+ *           type: string
+ *         revokedAt:
+ *           type: string
+ *           format: date-time
+ *         user:
+ *           type: string
+ *           description: Account the key acts on behalf of
+ */
+
+const KEY_PREFIX = 'ek_';
+
+// Strip the IPv4-mapped IPv6 prefix Express reports on dual-stack sockets
+const normalizeIp = (ip = '') => ip.replace(/^::ffff:/, '');
+
+const isValidIpOrCidr = (value) => {
+  const [address, bits] = value.split('/');
+  const type = net.isIP(address);
+  if (!type) return false;
+  if (bits === undefined) return true;
+  const max = type === 4 ? 32 : 128;
+  return /^\d+$/.test(bits) && Number(bits) <= max;
+};
+
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please add a key name'],
+    trim: true,
+    maxlength: [100, 'Name cannot be more than 100 characters']
+  },
+  prefix: {
+    type: String,
+    required: true
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  scopes: {
+    type: [String],
+    validate: [
+      {
+        validator: (scopes) => scopes.length > 0,
+        message: 'Please add at least one scope'
+      },
+      {
+        validator: (scopes) => scopes.every(scope => scope === WILDCARD || PERMISSIONS[scope]),
+        message: 'Unknown scope'
+      }
+    ]
+  },
+  allowedIps: {
+    type: [String],
+    validate: {
+      validator: (ips) => ips.every(isValidIpOrCidr),
+      message: 'Allowed IPs must be IP addresses or CIDR ranges'
+    }
+  },
+  expiresAt: {
+    type: Date
+  },
+  lastUsedAt: {
+    type: Date
+  },
+  lastUsedIp: {
+    type: String
+  },
+  revokedAt: {
+    type: Date
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for key status
+apiKeySchema.virtual('status').get(function() {
+  if (this.revokedAt) return 'revoked';
+  if (this.isExpired()) return 'expired';
+  return 'active';
+});
+
+// Indexes for better query performance
+apiKeySchema.index({ user: 1 });
+apiKeySchema.index({ revokedAt: 1 });
+
+// Hash a raw key the same way it is stored
+apiKeySchema.statics.hashKey = function(key) {
+  return crypto
+    .createHash('sha256')
+    .update(key)
+    .digest('hex');
+};
+
+// Generate a new raw key. Only its hash is persisted.
+apiKeySchema.statics.generateKey = function() {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+
+  return {
+    key,
+    prefix: key.slice(0, KEY_PREFIX.length + 8),
+    keyHash: this.hashKey(key)
+  };
+};
+
+// Check if key has expired
+apiKeySchema.methods.isExpired = function() {
+  return Boolean(this.expiresAt && this.expiresAt.getTime() <= Date.now());
+};
+
+// Check if a request IP is on the allowlist
+apiKeySchema.methods.isIpAllowed = function(ip) {
+  if (!this.allowedIps || this.allowedIps.length === 0) return true;
+
+  const address = normalizeIp(ip);
+  const type = net.isIP(address) === 6 ? 'ipv6' : 'ipv4';
+  const blockList = new net.BlockList();
+
+  for (const entry of this.allowedIps) {
+    const [network, bits] = entry.split('/');
+    const entryType = net.isIP(network) === 6 ? 'ipv6' : 'ipv4';
+    if (bits === undefined) {
+      blockList.addAddress(network, entryType);
+    } else {
+      blockList.addSubnet(network, Number(bits), entryType);
+    }
+  }
+
+  return blockList.check(address, type);
+};
+
+// Record usage, at most once a minute to keep writes off the hot path
+apiKeySchema.methods.touch = async function(ip) {
+  if (this.lastUsedAt && Date.now() - this.lastUsedAt.getTime() < 60 * 1000) return;
+
+  this.lastUsedAt = new Date();
+  this.lastUsedIp = normalizeIp(ip);
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { lastUsedAt: this.lastUsedAt, lastUsedIp: this.lastUsedIp }
+  );
+};
+
+export default mongoose.model('ApiKey', apiKeySchema);
@@ -0,0 +1,88 @@
+import mongoose from 'mongoose';
+import { logger } from '../config/logger.js';
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AuditLog:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         action:
+ *           type: string
+ *           description: What happened, e.g. impersonation.start
+ *         actor:
+ *           type: string
+ *           description: User who performed the action
+ *         subject:
+ *           type: string
+ *           description: User the action was performed on or as
+ *         impersonation:
+ *           type: string
+ *           description: Impersonation session the entry belongs to
+ *         method:
+ *           type: string
+ *         path:
+ *           type: string
+ *         statusCode:
+ *           type: integer
+ *         ip:
+ *           type: string
+ *         userAgent:
+ *           type: string
+ *         details:
+ *           type: object
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+const auditLogSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  subject: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  impersonation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Impersonation'
+  },
+  method: String,
+  path: String,
+  statusCode: Number,
+  ip: String,
+  userAgent: String,
+  details: {
+    type: mongoose.Schema.Types.Mixed
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for better query performance
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ subject: 1, createdAt: -1 });
+auditLogSchema.index({ impersonation: 1, createdAt: -1 });
+
+// Static method to write an entry. Audit failures are logged, never thrown,
+// so they can't break the request being audited.
+auditLogSchema.statics.record = async function(entry) {
+  try {
+    return await this.create(entry);
+  } catch (error) {
+    logger.error(`Failed to write audit log entry ${entry.action}: ${error.message}`);
+    return null;
+  }
+};
+
+export default mongoose.model('AuditLog', auditLogSchema);
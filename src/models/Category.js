@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import SearchQuery from './SearchQuery.js';
 
 const categorySchema = new mongoose.Schema({
   name: {
@@ -31,6 +32,11 @@ const categorySchema = new mongoose.Schema({
   order: {
     type: Number,
     default: 0
+  },
+  // Name as search suggestions match it, kept up to date on save
+  nameKeys: {
+    type: [String],
+    select: false
   }
 }, {
   timestamps: true,
@@ -50,6 +56,7 @@ categorySchema.virtual('productCount', {
   ref: 'Product',
   localField: '_id',
   foreignField: 'category',
+  match: { deletedAt: null },
   count: true
 });
 
@@ -58,11 +65,13 @@ categorySchema.index({ slug: 1 });
 categorySchema.index({ parent: 1 });
 categorySchema.index({ isActive: 1 });
 categorySchema.index({ order: 1 });
+categorySchema.index({ nameKeys: 1 });
 
-// Pre-save middleware to generate slug
+// Pre-save middleware to generate the slug and suggestion keys
 categorySchema.pre('save', function(next) {
   if (!this.isModified('name')) return next();
   
+  this.nameKeys = SearchQuery.wordKeys(this.name);
   this.slug = this.name
     .toLowerCase()
     .replace(/[^a-z0-9]+/g, '-')
@@ -79,6 +88,7 @@ categorySchema.statics.getCategoriesWithProductCount = function() {
         from: 'products',
         localField: '_id',
         foreignField: 'category',
+        pipeline: [{ $match: { deletedAt: null } }, { $project: { _id: 1 } }],
         as: 'products'
       }
     },
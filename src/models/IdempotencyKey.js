@@ -0,0 +1,78 @@
+import mongoose from 'mongoose';
+
+// A mutating request made with an Idempotency-Key header, and once it has
+// succeeded the response to replay when the same request is retried
+const idempotencyKeySchema = new mongoose.Schema({
+  // Whose key it is: `user:<id>`, `apikey:<id>`, or `guest:<ip>` for requests
+  // without credentials
+  scope: {
+    type: String,
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  // Hash of the method, path and body the key was first used with
+  fingerprint: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'completed'],
+    default: 'processing'
+  },
+  // A processing request that hasn't finished by then is taken to have died
+  lockedUntil: Date,
+  response: {
+    statusCode: Number,
+    body: mongoose.Schema.Types.Mixed
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+idempotencyKeySchema.index({ scope: 1, key: 1 }, { unique: true });
+
+// Let MongoDB purge expired keys
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to claim a key for a new request. Returns the record when this
+// request holds the key, or the existing record when another request has it.
+idempotencyKeySchema.statics.claim = async function(scope, key, fingerprint, { ttlMs, lockMs }) {
+  const now = new Date();
+
+  try {
+    const record = await this.create({
+      scope,
+      key,
+      fingerprint,
+      lockedUntil: new Date(now.getTime() + lockMs),
+      expiresAt: new Date(now.getTime() + ttlMs)
+    });
+    return { record, claimed: true };
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  // Take over a key whose request never finished, e.g. after a crash
+  const abandoned = await this.findOneAndUpdate(
+    { scope, key, fingerprint, status: 'processing', lockedUntil: { $lte: now } },
+    { lockedUntil: new Date(now.getTime() + lockMs) },
+    { new: true }
+  );
+  if (abandoned) {
+    return { record: abandoned, claimed: true };
+  }
+
+  // Gone in between (released or expired); let the client retry
+  const existing = await this.findOne({ scope, key });
+  return { record: existing, claimed: false };
+};
+
+export default mongoose.model('IdempotencyKey', idempotencyKeySchema);
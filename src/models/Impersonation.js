@@ -0,0 +1,108 @@
+import mongoose from 'mongoose';
+import AuditLog from './AuditLog.js';
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Impersonation:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         admin:
+ *           type: string
+ *           description: Staff member acting as the customer
+ *         user:
+ *           type: string
+ *           description: Customer being impersonated
+ *         reason:
+ *           type: string
+ *           description: Why the session was started, e.g. a support ticket
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         endedAt:
+ *           type: string
+ *           format: date-time
+ *         endedBy:
+ *           type: string
+ *         isActive:
+ *           type: boolean
+ */
+
+const impersonationSchema = new mongoose.Schema({
+  admin: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    required: [true, 'Please add a reason'],
+    trim: true,
+    maxlength: [200, 'Reason cannot be more than 200 characters']
+  },
+  ip: {
+    type: String
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  endedAt: {
+    type: Date,
+    default: null
+  },
+  endedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for session state
+impersonationSchema.virtual('isActive').get(function() {
+  return !this.endedAt && this.expiresAt > new Date();
+});
+
+// Indexes for better query performance
+impersonationSchema.index({ admin: 1, createdAt: -1 });
+impersonationSchema.index({ user: 1, createdAt: -1 });
+
+// Static method to find a session that is still running
+impersonationSchema.statics.findActive = function(id) {
+  return this.findOne({
+    _id: id,
+    endedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+// Instance method to end the session early and audit it
+impersonationSchema.methods.end = async function(endedBy, { ip, userAgent } = {}) {
+  if (this.endedAt) return;
+
+  this.endedAt = new Date();
+  this.endedBy = endedBy;
+  await this.save();
+
+  await AuditLog.record({
+    action: 'impersonation.end',
+    actor: endedBy,
+    subject: this.user,
+    impersonation: this._id,
+    ip,
+    userAgent
+  });
+};
+
+export default mongoose.model('Impersonation', impersonationSchema);
@@ -0,0 +1,134 @@
+import mongoose from 'mongoose';
+
+// Errors kept per job; the counts still cover every failed row
+const MAX_ROW_ERRORS = 1000;
+
+const STALE_AFTER_MS = 2 * 60 * 1000;
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ImportJob:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [queued, running, completed, failed]
+ *         dryRun:
+ *           type: boolean
+ *           description: Rows were only validated, nothing was saved
+ *         fileName:
+ *           type: string
+ *         format:
+ *           type: string
+ *           enum: [csv, json]
+ *         total:
+ *           type: number
+ *         processed:
+ *           type: number
+ *         created:
+ *           type: number
+ *           description: Products created, or that would be created in a dry run
+ *         updated:
+ *           type: number
+ *           description: Products updated, or that would be updated in a dry run
+ *         failed:
+ *           type: number
+ *         rowErrors:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               row:
+ *                 type: number
+ *                 description: Row number in the file, counting the CSV header as row 1
+ *               sku:
+ *                 type: string
+ *               errors:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *         error:
+ *           type: string
+ *           description: Why the whole job failed
+ */
+
+const rowErrorSchema = new mongoose.Schema({
+  row: Number,
+  sku: String,
+  errors: [String]
+}, { _id: false, suppressReservedKeysWarning: true });
+
+const importJobSchema = new mongoose.Schema({
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  fileName: String,
+  format: {
+    type: String,
+    enum: ['csv', 'json'],
+    required: true
+  },
+  dryRun: {
+    type: Boolean,
+    default: false
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued'
+  },
+  total: {
+    type: Number,
+    default: 0
+  },
+  processed: {
+    type: Number,
+    default: 0
+  },
+  created: {
+    type: Number,
+    default: 0
+  },
+  updated: {
+    type: Number,
+    default: 0
+  },
+  failed: {
+    type: Number,
+    default: 0
+  },
+  rowErrors: [rowErrorSchema],
+  error: String,
+  startedAt: Date,
+  finishedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+importJobSchema.index({ createdBy: 1, createdAt: -1 });
+
+// Instance method to record a row that could not be imported
+importJobSchema.methods.addRowError = function(row, sku, errors) {
+  this.failed += 1;
+  if (this.rowErrors.length < MAX_ROW_ERRORS) {
+    this.rowErrors.push({ row, sku, errors });
+  }
+};
+
+// Static method to fail jobs whose worker stopped, e.g. in a restart. Running
+// jobs save progress every few seconds, so a quiet one is no longer running.
+importJobSchema.statics.failStale = function() {
+  return this.updateMany(
+    { status: { $in: ['queued', 'running'] }, updatedAt: { $lt: new Date(Date.now() - STALE_AFTER_MS) } },
+    { status: 'failed', error: 'Interrupted before it finished', finishedAt: new Date() }
+  );
+};
+
+export default mongoose.model('ImportJob', importJobSchema);
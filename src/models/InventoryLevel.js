@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     InventoryLevel:
+ *       type: object
+ *       properties:
+ *         product:
+ *           type: string
+ *         variant:
+ *           type: string
+ *           description: Variant ID, empty for products without variants
+ *         warehouse:
+ *           type: string
+ *         stock:
+ *           type: number
+ *           description: Units on hand at the warehouse
+ */
+
+// Stock of one product or variant at one warehouse. Once a product or variant
+// has a level anywhere, its stock is the sum of its levels.
+const inventoryLevelSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  warehouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse',
+    required: true
+  },
+  stock: {
+    type: Number,
+    min: [0, 'Stock cannot be negative'],
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+inventoryLevelSchema.index({ product: 1, variant: 1, warehouse: 1 }, { unique: true });
+inventoryLevelSchema.index({ warehouse: 1 });
+
+export default mongoose.model('InventoryLevel', inventoryLevelSchema);
@@ -0,0 +1,57 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+// Server-side half of a pending OIDC authorization request. Looked up by the
+// state the provider echoes back, and usable once.
+const oauthStateSchema = new mongoose.Schema({
+  stateHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  codeVerifier: {
+    type: String,
+    required: true
+  },
+  nonce: {
+    type: String,
+    required: true
+  },
+  // Set when a signed-in user is linking a provider instead of logging in
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Let MongoDB purge abandoned requests
+oauthStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Hash a raw state value the same way it is stored
+oauthStateSchema.statics.hashState = function(state) {
+  return crypto
+    .createHash('sha256')
+    .update(state)
+    .digest('hex');
+};
+
+// Static method to take a pending request, removing it so it can't be replayed
+oauthStateSchema.statics.consume = function(provider, state) {
+  return this.findOneAndDelete({
+    stateHash: this.hashState(state),
+    provider,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+export default mongoose.model('OAuthState', oauthStateSchema);
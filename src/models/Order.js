@@ -1,4 +1,7 @@
 import mongoose from 'mongoose';
+import crypto from 'crypto';
+import { withTransaction } from '../utils/transaction.js';
+import { logger } from '../config/logger.js';
 
 /**
  * @swagger
@@ -7,7 +10,6 @@ import mongoose from 'mongoose';
  *     Order:
  *       type: object
  *       required:
- *         - user
  *         - items
  *         - totalAmount
  *         - shippingAddress
@@ -17,7 +19,11 @@ import mongoose from 'mongoose';
  *           description: Auto-generated unique identifier
  *         user:
  *           type: string
- *           description: User ID who placed the order
+ *           description: User ID who placed the order, empty for guest orders
+ *         guestEmail:
+ *           type: string
+ *           format: email
+ *           description: Contact email for guest orders
  *         items:
  *           type: array
  *           items:
@@ -26,12 +32,30 @@ import mongoose from 'mongoose';
  *               product:
  *                 type: string
  *                 description: Product ID
+ *               variant:
+ *                 type: string
+ *                 description: Variant ID, for products sold in variants
+ *               sku:
+ *                 type: string
+ *               options:
+ *                 type: object
+ *                 description: Variant options, e.g. size and color
  *               quantity:
  *                 type: number
  *                 description: Quantity ordered
  *               price:
  *                 type: number
  *                 description: Price at time of order
+ *               allocations:
+ *                 type: array
+ *                 description: Warehouses the item ships from, for products stocked per warehouse
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     warehouse:
+ *                       type: string
+ *                     quantity:
+ *                       type: number
  *         totalAmount:
  *           type: number
  *           description: Total order amount
@@ -66,6 +90,17 @@ const orderItemSchema = new mongoose.Schema({
     ref: 'Product',
     required: true
   },
+  // Set when the product is sold in variants
+  variant: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  sku: {
+    type: String
+  },
+  options: {
+    type: Map,
+    of: String
+  },
   name: {
     type: String,
     required: true
@@ -82,7 +117,16 @@ const orderItemSchema = new mongoose.Schema({
   },
   image: {
     type: String
-  }
+  },
+  // Warehouses the item ships from, for products stocked per warehouse
+  allocations: [{
+    _id: false,
+    warehouse: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Warehouse'
+    },
+    quantity: Number
+  }]
 }, { _id: false });
 
 const shippingAddressSchema = new mongoose.Schema({
@@ -121,7 +165,17 @@ const orderSchema = new mongoose.Schema({
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: [true, 'Please add user']
+    // Guest orders have no account until they are claimed
+    required: [function() { return !this.guestEmail; }, 'Please add user']
+  },
+  guestEmail: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  guestAccessToken: {
+    type: String,
+    select: false
   },
   items: [orderItemSchema],
   totalAmount: {
@@ -203,7 +257,13 @@ const orderSchema = new mongoose.Schema({
   }
 }, {
   timestamps: true,
-  toJSON: { virtuals: true },
+  toJSON: {
+    virtuals: true,
+    transform: (doc, ret) => {
+      delete ret.guestAccessToken;
+      return ret;
+    }
+  },
   toObject: { virtuals: true }
 });
 
@@ -227,6 +287,7 @@ orderSchema.index({ user: 1 });
 orderSchema.index({ status: 1 });
 orderSchema.index({ paymentStatus: 1 });
 orderSchema.index({ createdAt: -1 });
+orderSchema.index({ guestEmail: 1, user: 1 });
 
 // Pre-save middleware to calculate totals
 orderSchema.pre('save', function(next) {
@@ -247,7 +308,52 @@ orderSchema.statics.getOrdersByUser = function(userId, limit = 10, skip = 0) {
     .limit(limit);
 };
 
-// Instance method to cancel order
+// Static method to hash a guest order access token the same way it is stored
+orderSchema.statics.hashAccessToken = function(token) {
+  return crypto
+    .createHash('sha256')
+    .update(token)
+    .digest('hex');
+};
+
+// Static method to find a guest order by id and access token
+orderSchema.statics.findGuestOrder = function(id, token) {
+  if (!mongoose.isValidObjectId(id) || !token) return null;
+
+  return this.findOne({
+    _id: id,
+    guestEmail: { $exists: true },
+    guestAccessToken: this.hashAccessToken(String(token))
+  });
+};
+
+// Static method to move unclaimed guest orders placed with an email onto an account
+orderSchema.statics.claimGuestOrders = async function(user) {
+  const result = await this.updateMany(
+    { guestEmail: user.email, user: null },
+    { $set: { user: user._id }, $unset: { guestAccessToken: 1 } }
+  );
+  return result.modifiedCount;
+};
+
+// Generate and hash a guest order access token
+orderSchema.methods.getGuestAccessToken = function() {
+  const accessToken = crypto.randomBytes(24).toString('hex');
+  this.guestAccessToken = this.constructor.hashAccessToken(accessToken);
+  return accessToken;
+};
+
+// Name and email to send order updates to. Expects user to be populated.
+orderSchema.methods.getContact = function() {
+  if (this.user && this.user.email) {
+    return { name: this.user.name, email: this.user.email };
+  }
+  return { name: this.shippingAddress?.name, email: this.guestEmail };
+};
+
+// Instance method to cancel order. The status changes only if the order is
+// still open, in one transaction with the stock coming back and its ledger
+// entries, so concurrent cancels can't restore stock twice.
 orderSchema.methods.cancelOrder = async function(userId, reason) {
   if (this.status === 'cancelled') {
     throw new Error('Order is already cancelled');
@@ -257,20 +363,80 @@ orderSchema.methods.cancelOrder = async function(userId, reason) {
     throw new Error('Cannot cancel delivered order');
   }
 
-  this.status = 'cancelled';
-  this.cancelledAt = new Date();
-  this.cancelledBy = userId;
-  this.cancellationReason = reason;
-
-  // Update product stock
   const Product = mongoose.model('Product');
-  for (const item of this.items) {
-    await Product.findByIdAndUpdate(item.product, {
-      $inc: { stock: item.quantity }
-    });
-  }
+  const InventoryLevel = mongoose.model('InventoryLevel');
+  const StockMovement = mongoose.model('StockMovement');
+
+  const cancelled = await withTransaction(async (session) => {
+    const order = await this.constructor.findOneAndUpdate(
+      { _id: this._id, status: { $nin: ['cancelled', 'delivered'] } },
+      { status: 'cancelled', cancelledAt: new Date(), cancelledBy: userId, cancellationReason: reason },
+      { new: true, session }
+    );
+    if (!order) {
+      throw new Error('Order is already cancelled or delivered');
+    }
+
+    // Update product stock, and warehouse stock where it was allocated, and
+    // record the stock coming back in the ledger
+    const movements = [];
+    for (const item of order.items) {
+      const unit = { product: item.product, variant: item.variant || null };
+      const levels = [];
+      for (const allocation of item.allocations || []) {
+        const level = await InventoryLevel.findOneAndUpdate(
+          { ...unit, warehouse: allocation.warehouse },
+          { $inc: { stock: allocation.quantity } },
+          { upsert: true, new: true, session }
+        );
+        levels.push({ warehouse: allocation.warehouse, quantity: allocation.quantity, stock: level.stock });
+      }
+
+      const product = item.variant
+        ? await Product.findOneAndUpdate(
+          { _id: item.product, 'variants._id': item.variant },
+          { $inc: { 'variants.$.stock': item.quantity, stock: item.quantity, salesCount: -item.quantity } },
+          { new: true, session }
+        )
+        : await Product.findByIdAndUpdate(item.product, {
+          $inc: { stock: item.quantity, salesCount: -item.quantity }
+        }, { new: true, session });
+      if (!product) {
+        logger.warn(`Order ${order._id} cancelled without restoring stock of ${item.sku || item.product}, which no longer exists`);
+        continue;
+      }
+
+      const details = { reason: 'cancellation', actor: userId, reference: order._id, referenceModel: 'Order' };
+      const balance = item.variant ? product.getVariant(item.variant).stock : product.stock;
+      if (levels.length === 0) {
+        movements.push({ ...unit, quantity: item.quantity, balance, ...details });
+      } else {
+        let running = balance - item.quantity;
+        for (const level of levels) {
+          running += level.quantity;
+          movements.push({
+            ...unit,
+            warehouse: level.warehouse,
+            quantity: level.quantity,
+            balance: running,
+            warehouseBalance: level.stock,
+            ...details
+          });
+        }
+      }
+    }
+    await StockMovement.record(movements, session);
+
+    return order;
+  });
 
-  await this.save();
+  this.set({
+    status: cancelled.status,
+    cancelledAt: cancelled.cancelledAt,
+    cancelledBy: cancelled.cancelledBy,
+    cancellationReason: cancelled.cancellationReason,
+    updatedAt: cancelled.updatedAt
+  });
 };
 
 export default mongoose.model('Order', orderSchema); 
\ No newline at end of file
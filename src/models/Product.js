@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import SearchQuery from './SearchQuery.js';
 
 /**
  * @swagger
@@ -35,12 +36,39 @@ import mongoose from 'mongoose';
  *           description: Product brand
  *         stock:
  *           type: number
- *           description: Available stock quantity
+ *           description: Stock on hand, the sum of variant stock when the product has variants
+ *         reserved:
+ *           type: number
+ *           description: Units held by active checkout reservations
+ *         available:
+ *           type: number
+ *           description: Available to sell, stock minus reserved
+ *         stockStatus:
+ *           type: string
+ *           enum: [in-stock, low-stock, out-of-stock]
+ *           description: Based on the quantity available to sell
  *         images:
  *           type: array
  *           items:
  *             type: string
  *           description: Product image URLs
+ *         variantOptions:
+ *           type: array
+ *           description: Options variants differ by, e.g. size and color
+ *           items:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               values:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *         variants:
+ *           type: array
+ *           description: Purchasable variants. When present, price is the lowest variant price.
+ *           items:
+ *             $ref: '#/components/schemas/ProductVariant'
  *         specifications:
  *           type: object
  *           description: Product specifications
@@ -61,14 +89,145 @@ import mongoose from 'mongoose';
  *         numReviews:
  *           type: number
  *           description: Number of reviews
+ *         salesCount:
+ *           type: number
+ *           description: Units sold, excluding cancelled orders
+ *         deletedAt:
+ *           type: string
+ *           format: date-time
+ *           description: Set while the product is in the trash
  *         createdAt:
  *           type: string
  *           format: date-time
  *         updatedAt:
  *           type: string
  *           format: date-time
+ *     ProductVariant:
+ *       type: object
+ *       required:
+ *         - sku
+ *         - options
+ *         - price
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Variant ID, used when ordering
+ *         sku:
+ *           type: string
+ *         options:
+ *           type: object
+ *           additionalProperties:
+ *             type: string
+ *           description: One value per variant option, keyed by option name
+ *         price:
+ *           type: number
+ *         originalPrice:
+ *           type: number
+ *         stock:
+ *           type: number
+ *         reserved:
+ *           type: number
+ *         available:
+ *           type: number
+ *         stockStatus:
+ *           type: string
+ *           enum: [in-stock, low-stock, out-of-stock]
+ *         weight:
+ *           type: number
+ *         images:
+ *           type: array
+ *           items:
+ *             type: string
+ *         isActive:
+ *           type: boolean
  */
 
+// Stock at or below this is reported as low
+const LOW_STOCK_THRESHOLD = 10;
+
+// Lower bounds of the price ranges counted for search facets
+const PRICE_BUCKETS = [0, 25, 50, 100, 250, 500, 1000];
+
+const stockStatus = (stock) => {
+  if (stock <= 0) return 'out-of-stock';
+  if (stock <= LOW_STOCK_THRESHOLD) return 'low-stock';
+  return 'in-stock';
+};
+
+// Available to sell: stock on hand less what reservations hold, for queries
+const AVAILABLE_EXPR = { $subtract: ['$stock', { $ifNull: ['$reserved', 0] }] };
+
+const variantOptionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please add an option name'],
+    trim: true
+  },
+  values: [{
+    type: String,
+    trim: true
+  }]
+}, { _id: false });
+
+const variantSchema = new mongoose.Schema({
+  sku: {
+    type: String,
+    required: [true, 'Please add a variant SKU'],
+    trim: true
+  },
+  options: {
+    type: Map,
+    of: String,
+    required: [true, 'Please add variant options']
+  },
+  price: {
+    type: Number,
+    required: [true, 'Please add a variant price'],
+    min: [0, 'Price must be positive']
+  },
+  originalPrice: {
+    type: Number,
+    min: [0, 'Original price must be positive']
+  },
+  stock: {
+    type: Number,
+    min: [0, 'Stock cannot be negative'],
+    default: 0
+  },
+  // Held by active reservations; only changed by reservations
+  reserved: {
+    type: Number,
+    default: 0
+  },
+  weight: {
+    type: Number,
+    min: [0, 'Weight must be positive']
+  },
+  images: [String],
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for the quantity available to sell
+variantSchema.virtual('available').get(function() {
+  return Math.max(0, this.stock - (this.reserved || 0));
+});
+
+// Virtual for variant stock status
+variantSchema.virtual('stockStatus').get(function() {
+  return stockStatus(this.available);
+});
+
+// Virtual for a readable label, e.g. "M / Red"
+variantSchema.virtual('label').get(function() {
+  return [...(this.options?.values() || [])].join(' / ');
+});
+
 const productSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -105,10 +264,18 @@ const productSchema = new mongoose.Schema({
     min: [0, 'Stock cannot be negative'],
     default: 0
   },
+  // Held by active reservations, the sum of variant holds when the product
+  // has variants; only changed by reservations
+  reserved: {
+    type: Number,
+    default: 0
+  },
   images: [{
     type: String,
     required: [true, 'Please add at least one image']
   }],
+  variantOptions: [variantOptionSchema],
+  variants: [variantSchema],
   specifications: {
     type: Map,
     of: String
@@ -136,6 +303,19 @@ const productSchema = new mongoose.Schema({
     default: 0,
     min: [0, 'Number of reviews cannot be negative']
   },
+  salesCount: {
+    type: Number,
+    default: 0
+  },
+  // Soft delete: past orders and reviews keep pointing at the product
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   sku: {
     type: String,
     unique: true,
@@ -161,6 +341,15 @@ const productSchema = new mongoose.Schema({
       type: Boolean,
       default: false
     }
+  },
+  // Name and brand as search suggestions match them, kept up to date on save
+  nameKeys: {
+    type: [String],
+    select: false
+  },
+  brandKeys: {
+    type: [String],
+    select: false
   }
 }, {
   timestamps: true,
@@ -180,26 +369,80 @@ productSchema.virtual('discountAmount').get(function() {
   return this.originalPrice - this.price;
 });
 
+// Virtual for the quantity available to sell
+productSchema.virtual('available').get(function() {
+  return Math.max(0, this.stock - (this.reserved || 0));
+});
+
 // Virtual for stock status
 productSchema.virtual('stockStatus').get(function() {
-  if (this.stock === 0) return 'out-of-stock';
-  if (this.stock <= 10) return 'low-stock';
-  return 'in-stock';
+  return stockStatus(this.available);
+});
+
+// Check variants against the option definitions, and keep the product's
+// price and stock in line with its variants
+productSchema.pre('validate', function(next) {
+  if (!this.variants || this.variants.length === 0) return next();
+
+  const optionNames = (this.variantOptions || []).map(option => option.name);
+  const seenSkus = new Set();
+  const seenCombinations = new Set();
+
+  for (const variant of this.variants) {
+    const options = variant.options || new Map();
+
+    if (options.size !== optionNames.length || optionNames.some(name => !options.has(name))) {
+      return next(new Error(`Variant ${variant.sku} must set exactly these options: ${optionNames.join(', ')}`));
+    }
+
+    for (const option of this.variantOptions) {
+      if (option.values.length > 0 && !option.values.includes(options.get(option.name))) {
+        return next(new Error(`Variant ${variant.sku} has an invalid ${option.name}: ${options.get(option.name)}`));
+      }
+    }
+
+    const combination = optionNames.map(name => options.get(name)).join('\u0000');
+    if (seenCombinations.has(combination)) {
+      return next(new Error(`More than one variant has the options ${variant.label}`));
+    }
+    if (seenSkus.has(variant.sku)) {
+      return next(new Error(`Duplicate variant SKU ${variant.sku}`));
+    }
+    seenCombinations.add(combination);
+    seenSkus.add(variant.sku);
+  }
+
+  this.stock = this.variants.reduce((sum, variant) => sum + variant.stock, 0);
+  this.reserved = this.variants.reduce((sum, variant) => sum + (variant.reserved || 0), 0);
+  this.price = Math.min(...this.variants.map(variant => variant.price));
+  next();
+});
+
+// Keep the keys search suggestions match against in line with the name and brand
+productSchema.pre('save', function(next) {
+  if (this.isModified('name')) this.nameKeys = SearchQuery.wordKeys(this.name);
+  if (this.isModified('brand')) this.brandKeys = SearchQuery.wordKeys(this.brand);
+  next();
 });
 
 // Indexes for better query performance
 productSchema.index({ name: 'text', description: 'text', tags: 'text' });
 productSchema.index({ category: 1 });
 productSchema.index({ brand: 1 });
+productSchema.index({ nameKeys: 1 });
+productSchema.index({ brandKeys: 1 });
 productSchema.index({ isActive: 1 });
 productSchema.index({ isFeatured: 1 });
 productSchema.index({ price: 1 });
 productSchema.index({ averageRating: -1 });
+productSchema.index({ salesCount: -1 });
+productSchema.index({ deletedAt: 1 });
 productSchema.index({ createdAt: -1 });
+productSchema.index({ 'variants.sku': 1 }, { unique: true, sparse: true });
 
 // Static method to get featured products
 productSchema.statics.getFeaturedProducts = function(limit = 10) {
-  return this.find({ isActive: true, isFeatured: true })
+  return this.find({ isActive: true, isFeatured: true, deletedAt: null })
     .populate('category', 'name')
     .sort({ createdAt: -1 })
     .limit(limit);
@@ -207,33 +450,239 @@ productSchema.statics.getFeaturedProducts = function(limit = 10) {
 
 // Static method to get products by category
 productSchema.statics.getProductsByCategory = function(categoryId, limit = 20, skip = 0) {
-  return this.find({ category: categoryId, isActive: true })
+  return this.find({ category: categoryId, isActive: true, deletedAt: null })
     .populate('category', 'name')
     .sort({ createdAt: -1 })
     .skip(skip)
     .limit(limit);
 };
 
-// Static method to search products
-productSchema.statics.searchProducts = function(query, limit = 20, skip = 0) {
-  return this.find({
-    $and: [
-      { isActive: true },
-      {
-        $or: [
-          { name: { $regex: query, $options: 'i' } },
-          { description: { $regex: query, $options: 'i' } },
-          { tags: { $in: [new RegExp(query, 'i')] } }
-        ]
-      }
-    ]
-  })
+// Static method for relevance-ranked search on the text index. Other filters
+// (category, price, ...) are combined with the search.
+productSchema.statics.searchProducts = function(query, { filter = {}, sort, limit = 20, skip = 0 } = {}) {
+  return this.find({ ...filter, isActive: true, deletedAt: null, $text: { $search: query } })
+    .select({ score: { $meta: 'textScore' } })
     .populate('category', 'name')
-    .sort({ averageRating: -1, createdAt: -1 })
+    .sort(sort || { score: { $meta: 'textScore' }, averageRating: -1 })
     .skip(skip)
     .limit(limit);
 };
 
+// Query for products in a stock status (in-stock, low-stock, out-of-stock),
+// by the quantity available to sell
+productSchema.statics.stockStatusFilter = function(status) {
+  switch (status) {
+    case 'out-of-stock':
+      return { $expr: { $lte: [AVAILABLE_EXPR, 0] } };
+    case 'low-stock':
+      return { $expr: { $and: [{ $gt: [AVAILABLE_EXPR, 0] }, { $lte: [AVAILABLE_EXPR, LOW_STOCK_THRESHOLD] }] } };
+    case 'in-stock':
+      return { $expr: { $gt: [AVAILABLE_EXPR, LOW_STOCK_THRESHOLD] } };
+    default:
+      return null;
+  }
+};
+
+// Query for a product, or one of its variants, with at least quantity
+// available to sell. Used for conditional updates; with a variant the
+// positional operator refers to it.
+productSchema.statics.availableFilter = function(productId, variantId, quantity) {
+  // Nothing inside $expr is cast by Mongoose
+  quantity = Number(quantity);
+
+  if (!variantId) {
+    return { _id: productId, $expr: { $gte: [AVAILABLE_EXPR, quantity] } };
+  }
+
+  return {
+    _id: productId,
+    'variants._id': variantId,
+    $expr: {
+      $anyElementTrue: [{
+        $map: {
+          input: '$variants',
+          in: {
+            $and: [
+              { $eq: ['$$this._id', variantId] },
+              { $gte: [{ $subtract: ['$$this.stock', { $ifNull: ['$$this.reserved', 0] }] }, quantity] }
+            ]
+          }
+        }
+      }]
+    }
+  };
+};
+
+// Static method to count matching products by brand, category, price, rating
+// and stock status. `filters` maps a facet name to its filter clause; each facet
+// is counted without its own clause so the other values stay selectable.
+productSchema.statics.getFacets = async function(baseFilter, filters = {}) {
+  const cast = (filter) => this.find(filter).cast();
+  const matchExcept = (facet) => ({
+    $match: cast(Object.entries(filters)
+      .filter(([name, clause]) => name !== facet && clause)
+      .reduce((all, [, clause]) => ({ ...all, ...clause }), {}))
+  });
+
+  const [facets] = await this.aggregate([
+    { $match: cast({ ...baseFilter, isActive: true, deletedAt: null }) },
+    {
+      $facet: {
+        brand: [
+          matchExcept('brand'),
+          { $match: { brand: { $nin: [null, ''] } } },
+          { $group: { _id: '$brand', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+          { $limit: 50 },
+          { $project: { _id: 0, value: '$_id', count: 1 } }
+        ],
+        category: [
+          matchExcept('category'),
+          { $group: { _id: '$category', count: { $sum: 1 } } },
+          { $lookup: { from: 'categories', localField: '_id', foreignField: '_id', as: 'category' } },
+          { $unwind: '$category' },
+          { $sort: { count: -1 } },
+          { $project: { _id: 0, value: '$_id', name: '$category.name', count: 1 } }
+        ],
+        price: [
+          matchExcept('price'),
+          {
+            $bucket: {
+              groupBy: '$price',
+              boundaries: PRICE_BUCKETS,
+              default: 'more',
+              output: { count: { $sum: 1 } }
+            }
+          }
+        ],
+        rating: [
+          matchExcept('rating'),
+          {
+            $group: {
+              _id: null,
+              ...Object.fromEntries([4, 3, 2, 1].map(min => [
+                `min${min}`,
+                { $sum: { $cond: [{ $gte: ['$averageRating', min] }, 1, 0] } }
+              ]))
+            }
+          }
+        ],
+        stockStatus: [
+          matchExcept('stockStatus'),
+          {
+            $group: {
+              _id: {
+                $switch: {
+                  branches: [
+                    { case: { $lte: [AVAILABLE_EXPR, 0] }, then: 'out-of-stock' },
+                    { case: { $lte: [AVAILABLE_EXPR, LOW_STOCK_THRESHOLD] }, then: 'low-stock' }
+                  ],
+                  default: 'in-stock'
+                }
+              },
+              count: { $sum: 1 }
+            }
+          },
+          { $project: { _id: 0, value: '$_id', count: 1 } }
+        ]
+      }
+    }
+  ]);
+
+  const lastBoundary = PRICE_BUCKETS[PRICE_BUCKETS.length - 1];
+  const ratings = facets.rating[0] || {};
+
+  return {
+    brand: facets.brand,
+    category: facets.category,
+    price: facets.price.map(bucket => {
+      if (bucket._id === 'more') return { min: lastBoundary, max: null, count: bucket.count };
+      const index = PRICE_BUCKETS.indexOf(bucket._id);
+      return { min: bucket._id, max: PRICE_BUCKETS[index + 1], count: bucket.count };
+    }),
+    rating: [4, 3, 2, 1].map(min => ({ min, count: ratings[`min${min}`] || 0 })),
+    stockStatus: facets.stockStatus
+  };
+};
+
+// Stock-keeping units: one row per variant, or the product itself when it has
+// none. Products in the trash are left out.
+const stockUnitStages = () => [
+  { $match: { deletedAt: null } },
+  { $unwind: { path: '$variants', preserveNullAndEmptyArrays: true } },
+  {
+    $project: {
+      _id: 0,
+      product: '$_id',
+      name: 1,
+      variant: '$variants._id',
+      options: '$variants.options',
+      sku: { $ifNull: ['$variants.sku', '$sku'] },
+      price: { $ifNull: ['$variants.price', '$price'] },
+      stock: { $ifNull: ['$variants.stock', '$stock'] },
+      reserved: {
+        $cond: [{ $ifNull: ['$variants', false] }, { $ifNull: ['$variants.reserved', 0] }, { $ifNull: ['$reserved', 0] }]
+      }
+    }
+  }
+];
+
+// Static method to get products and variants running low on stock
+productSchema.statics.getLowStock = function(limit = 10, threshold = LOW_STOCK_THRESHOLD) {
+  return this.aggregate([
+    ...stockUnitStages(),
+    { $match: { stock: { $lte: threshold } } },
+    { $sort: { stock: 1 } },
+    { $limit: limit }
+  ]);
+};
+
+// Static method to count out-of-stock and low-stock products and variants
+productSchema.statics.getStockLevels = async function(threshold = LOW_STOCK_THRESHOLD) {
+  const [levels] = await this.aggregate([
+    ...stockUnitStages(),
+    {
+      $group: {
+        _id: null,
+        outOfStock: { $sum: { $cond: [{ $lte: ['$stock', 0] }, 1, 0] } },
+        lowStock: {
+          $sum: { $cond: [{ $and: [{ $gt: ['$stock', 0] }, { $lte: ['$stock', threshold] }] }, 1, 0] }
+        }
+      }
+    }
+  ]);
+
+  return { outOfStock: levels?.outOfStock || 0, lowStock: levels?.lowStock || 0 };
+};
+
+// Instance method to move the product to the trash
+productSchema.methods.softDelete = function(userId) {
+  this.deletedAt = new Date();
+  this.deletedBy = userId;
+  return this.save();
+};
+
+// Instance method to take the product out of the trash
+productSchema.methods.restore = function() {
+  this.deletedAt = null;
+  this.deletedBy = undefined;
+  return this.save();
+};
+
+// Instance method to count the orders and reviews that point at the product
+productSchema.methods.countReferences = async function() {
+  const [orders, reviews] = await Promise.all([
+    mongoose.model('Order').countDocuments({ 'items.product': this._id }),
+    mongoose.model('Review').countDocuments({ product: this._id })
+  ]);
+  return { orders, reviews };
+};
+
+// Instance method to find a variant by ID
+productSchema.methods.getVariant = function(variantId) {
+  return this.variants.id(variantId);
+};
+
 // Instance method to update average rating
 productSchema.methods.updateAverageRating = async function() {
   const Review = mongoose.model('Review');
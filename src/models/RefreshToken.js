@@ -0,0 +1,75 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+const refreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Please add user']
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  family: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['rotated', 'logout', 'logout-all', 'reuse-detected']
+  },
+  replacedBy: {
+    type: String
+  },
+  createdByIp: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+refreshTokenSchema.index({ user: 1 });
+refreshTokenSchema.index({ family: 1 });
+// Let MongoDB purge tokens once they have expired
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Hash a raw refresh token the same way it is stored
+refreshTokenSchema.statics.hashToken = function(token) {
+  return crypto
+    .createHash('sha256')
+    .update(token)
+    .digest('hex');
+};
+
+// Generate a raw refresh token and persist its hash
+refreshTokenSchema.statics.issue = async function(userId, { family, ip, userAgent } = {}) {
+  const token = crypto.randomBytes(40).toString('hex');
+  const days = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+
+  const record = await this.create({
+    user: userId,
+    tokenHash: this.hashToken(token),
+    family: family || crypto.randomUUID(),
+    expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000),
+    createdByIp: ip,
+    userAgent
+  });
+
+  return { token, record };
+};
+
+export default mongoose.model('RefreshToken', refreshTokenSchema);
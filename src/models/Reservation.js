@@ -0,0 +1,116 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Reservation:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         items:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               product:
+ *                 type: string
+ *                 description: Product ID
+ *               variant:
+ *                 type: string
+ *                 description: Variant ID, for products sold in variants
+ *               quantity:
+ *                 type: number
+ *         status:
+ *           type: string
+ *           enum: [active, consumed, released, expired]
+ *           description: Only active reservations hold stock
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         order:
+ *           type: string
+ *           description: Order that used the reservation
+ */
+
+const reservationItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variant: mongoose.Schema.Types.ObjectId,
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Quantity must be at least 1']
+  }
+}, { _id: false });
+
+// Stock held for a cart or checkout until it is ordered, released or expires
+const reservationSchema = new mongoose.Schema({
+  // Empty for guest reservations, which are reached with an access token
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  guestAccessToken: String,
+  // Client IP of a guest reservation, to limit how many one client holds
+  ip: String,
+  items: [reservationItemSchema],
+  status: {
+    type: String,
+    enum: ['active', 'consumed', 'released', 'expired'],
+    default: 'active'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.guestAccessToken;
+      delete ret.ip;
+      return ret;
+    }
+  }
+});
+
+// Indexes for better query performance
+reservationSchema.index({ status: 1, expiresAt: 1 });
+reservationSchema.index({ user: 1, status: 1 });
+reservationSchema.index({ ip: 1, status: 1 });
+
+// Static method to hash a guest access token the same way it is stored
+reservationSchema.statics.hashAccessToken = function(token) {
+  return crypto
+    .createHash('sha256')
+    .update(token)
+    .digest('hex');
+};
+
+// Generate and hash a guest access token
+reservationSchema.methods.getGuestAccessToken = function() {
+  const accessToken = crypto.randomBytes(24).toString('hex');
+  this.guestAccessToken = this.constructor.hashAccessToken(accessToken);
+  return accessToken;
+};
+
+// Instance method to check whether a request may use the reservation: its
+// owner, or for a guest reservation whoever has the access token
+reservationSchema.methods.isAccessibleBy = function(user, token) {
+  if (this.user) {
+    return Boolean(user) && this.user.toString() === user._id.toString();
+  }
+  return Boolean(token) && this.guestAccessToken === this.constructor.hashAccessToken(String(token));
+};
+
+export default mongoose.model('Reservation', reservationSchema);
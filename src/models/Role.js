@@ -0,0 +1,110 @@
+import mongoose from 'mongoose';
+import { PERMISSIONS, WILDCARD, DEFAULT_ROLES, hasPermission } from '../config/permissions.js';
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Role:
+ *       type: object
+ *       required:
+ *         - name
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Auto-generated unique identifier
+ *         name:
+ *           type: string
+ *           description: Role name assigned to users
+ *         description:
+ *           type: string
+ *         permissions:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Granted permissions, e.g. orders:update-status
+ *         isSystem:
+ *           type: boolean
+ *           description: Built-in role that cannot be changed
+ */
+
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please add a role name'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z][a-z0-9-]{1,29}$/, 'Role name must be 2-30 lowercase letters, numbers or dashes']
+  },
+  description: {
+    type: String,
+    maxlength: [200, 'Description cannot be more than 200 characters']
+  },
+  permissions: {
+    type: [String],
+    validate: {
+      validator: (permissions) => permissions.every(p => p === WILDCARD || PERMISSIONS[p]),
+      message: 'Unknown permission'
+    }
+  },
+  isSystem: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+// Permissions are read on every guarded request, so keep them briefly in memory
+const CACHE_TTL_MS = 60 * 1000;
+const permissionCache = new Map();
+
+roleSchema.post('save', function() {
+  permissionCache.delete(this.name);
+});
+
+roleSchema.post('findOneAndDelete', function(doc) {
+  if (doc) permissionCache.delete(doc.name);
+});
+
+// Static method to create the default roles that don't exist yet
+roleSchema.statics.ensureDefaultRoles = async function() {
+  for (const role of DEFAULT_ROLES) {
+    await this.updateOne(
+      { name: role.name },
+      { $setOnInsert: role },
+      { upsert: true }
+    );
+  }
+};
+
+// Static method to get the permissions granted to a role name
+roleSchema.statics.getPermissions = async function(name) {
+  const cached = permissionCache.get(name);
+  if (cached && cached.expires > Date.now()) {
+    return cached.permissions;
+  }
+
+  const role = await this.findOne({ name }).select('permissions').lean();
+  // Fall back to the defaults if roles haven't been seeded yet
+  const permissions = role
+    ? role.permissions
+    : DEFAULT_ROLES.find(r => r.name === name)?.permissions || [];
+
+  permissionCache.set(name, { permissions, expires: Date.now() + CACHE_TTL_MS });
+  return permissions;
+};
+
+// Static method to check if a role grants a permission
+roleSchema.statics.hasPermission = async function(name, permission) {
+  return hasPermission(await this.getPermissions(name), permission);
+};
+
+// Static method to check if a role name can be assigned
+roleSchema.statics.isAssignable = async function(name) {
+  if (DEFAULT_ROLES.some(r => r.name === name)) return true;
+  return Boolean(await this.exists({ name }));
+};
+
+export default mongoose.model('Role', roleSchema);
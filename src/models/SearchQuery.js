@@ -0,0 +1,59 @@
+import mongoose from 'mongoose';
+import { logger } from '../config/logger.js';
+
+// Product searches that returned results, counted to suggest popular queries
+const searchQuerySchema = new mongoose.Schema({
+  // Lowercased, with whitespace collapsed
+  query: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  resultCount: {
+    type: Number,
+    default: 0
+  },
+  lastSearchedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes for better query performance
+searchQuerySchema.index({ count: -1 });
+
+// Normalize a query the way it is stored
+searchQuerySchema.statics.normalize = function(query) {
+  return String(query).toLowerCase().replace(/\s+/g, ' ').trim();
+};
+
+// The normalized text from each of its words on. Stored on products and
+// categories, so a suggestion matching the start of any word is found with an
+// anchored, indexed prefix query.
+searchQuerySchema.statics.wordKeys = function(text) {
+  const words = this.normalize(text ?? '').split(' ').filter(Boolean);
+  return words.map((word, index) => words.slice(index).join(' '));
+};
+
+// Static method to count a search. Failures are logged, never thrown, so they
+// can't break the search itself.
+searchQuerySchema.statics.record = async function(query, resultCount) {
+  const normalized = this.normalize(query);
+  if (!normalized || normalized.length > 100 || resultCount === 0) return;
+
+  try {
+    await this.updateOne(
+      { query: normalized },
+      { $inc: { count: 1 }, $set: { resultCount, lastSearchedAt: new Date() } },
+      { upsert: true }
+    );
+  } catch (error) {
+    logger.error(`Failed to record search query: ${error.message}`);
+  }
+};
+
+export default mongoose.model('SearchQuery', searchQuerySchema);
@@ -0,0 +1,150 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Session:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Session identifier
+ *         userAgent:
+ *           type: string
+ *           description: User agent of the device that logged in
+ *         ip:
+ *           type: string
+ *           description: IP address at login
+ *         lastSeenAt:
+ *           type: string
+ *           format: date-time
+ *         lastSeenIp:
+ *           type: string
+ *         current:
+ *           type: boolean
+ *           description: Whether this is the session making the request
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Please add user']
+  },
+  // Refresh token family that belongs to this login, also carried in access tokens
+  family: {
+    type: String,
+    required: true,
+    unique: true,
+    default: () => crypto.randomUUID()
+  },
+  userAgent: {
+    type: String
+  },
+  ip: {
+    type: String
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastSeenIp: {
+    type: String
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout-all', 'revoked', 'reuse-detected', 'password-reset', 'password-change', 'deactivated']
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: (doc, ret) => {
+      delete ret.family;
+      return ret;
+    }
+  },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better query performance
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Keep ended sessions around for a while, then let MongoDB purge them
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+// Virtual for session state
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Static method to find the active session for a token family
+sessionSchema.statics.findActive = function(family) {
+  return this.findOne({
+    family,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+// Static method to list a user's active sessions, most recent first
+sessionSchema.statics.getActiveSessions = function(userId) {
+  return this.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastSeenAt: -1 });
+};
+
+// Static method to end sessions matching a filter and revoke their refresh tokens
+sessionSchema.statics.revokeWhere = async function(filter, reason) {
+  const sessions = await this.find({ ...filter, revokedAt: null }).select('family');
+  if (sessions.length === 0) return 0;
+
+  const families = sessions.map(session => session.family);
+  await this.updateMany(
+    { family: { $in: families } },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+
+  const RefreshToken = mongoose.model('RefreshToken');
+  await RefreshToken.updateMany(
+    { family: { $in: families }, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason === 'reuse-detected' ? reason : 'logout' }
+  );
+
+  return sessions.length;
+};
+
+// Static method to end every session of a user, optionally keeping one
+sessionSchema.statics.revokeAllForUser = function(userId, reason, exceptFamily) {
+  const filter = { user: userId };
+  if (exceptFamily) filter.family = { $ne: exceptFamily };
+  return this.revokeWhere(filter, reason);
+};
+
+// Instance method to record activity, at most once a minute
+sessionSchema.methods.touch = async function(ip) {
+  if (this.lastSeenAt && Date.now() - this.lastSeenAt.getTime() < 60 * 1000) return;
+
+  this.lastSeenAt = new Date();
+  this.lastSeenIp = ip;
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { lastSeenAt: this.lastSeenAt, lastSeenIp: ip }
+  );
+};
+
+export default mongoose.model('Session', sessionSchema);
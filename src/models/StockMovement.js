@@ -0,0 +1,161 @@
+import mongoose from 'mongoose';
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     StockMovement:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         product:
+ *           type: string
+ *         variant:
+ *           type: string
+ *           description: Variant ID, empty for products without variants
+ *         warehouse:
+ *           type: string
+ *           description: Warehouse the stock moved at, empty for stock not kept per warehouse
+ *         reason:
+ *           type: string
+ *           enum: [opening, sale, cancellation, return, adjustment, import, transfer]
+ *         quantity:
+ *           type: number
+ *           description: Change in stock, negative when stock went out
+ *         balance:
+ *           type: number
+ *           description: Stock of the product or variant after the movement
+ *         warehouseBalance:
+ *           type: number
+ *           description: Stock at the warehouse after the movement
+ *         actor:
+ *           type: string
+ *           description: User who caused the movement, empty for guests and the system
+ *         reference:
+ *           type: string
+ *           description: ID of the order or import job behind the movement
+ *         referenceModel:
+ *           type: string
+ *           enum: [Order, ImportJob]
+ *         note:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+// Reasons stock can change. An opening entry records stock that was there
+// before its first recorded movement.
+export const MOVEMENT_REASONS = ['opening', 'sale', 'cancellation', 'return', 'adjustment', 'import', 'transfer'];
+
+// One change to the stock of a product or variant. Entries are only ever
+// added, so the stock is the sum of its entries.
+const stockMovementSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  warehouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse',
+    default: null
+  },
+  reason: {
+    type: String,
+    enum: MOVEMENT_REASONS,
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true
+  },
+  balance: {
+    type: Number,
+    required: true
+  },
+  warehouseBalance: Number,
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reference: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'referenceModel'
+  },
+  referenceModel: {
+    type: String,
+    enum: ['Order', 'ImportJob']
+  },
+  note: {
+    type: String,
+    maxlength: [500, 'Note cannot be more than 500 characters']
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for better query performance
+stockMovementSchema.index({ product: 1, variant: 1, warehouse: 1, createdAt: 1 });
+stockMovementSchema.index({ reference: 1 });
+
+// The ledger is append-only
+const rejectChange = function(next) {
+  next(new Error('Stock movements cannot be changed or deleted'));
+};
+stockMovementSchema.pre('save', function(next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+stockMovementSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  rejectChange
+);
+
+// Static method to append movements in order. The first movement of a product
+// or variant, or of one at a warehouse, is preceded by an opening entry for
+// the stock it had before. Call inside the transaction that moved the stock.
+stockMovementSchema.statics.record = async function(movements, session) {
+  const entries = [];
+  const seen = new Set();
+
+  const isFirst = async (filter) => {
+    const key = JSON.stringify(filter);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return !(await this.exists(filter).session(session));
+  };
+
+  for (const movement of movements) {
+    const unit = { product: movement.product, variant: movement.variant ?? null };
+    // A transfer moves stock between warehouses without changing the total
+    const before = movement.balance - (movement.reason === 'transfer' ? 0 : movement.quantity);
+
+    if (await isFirst(unit) && before !== 0) {
+      entries.push({ ...unit, reason: 'opening', quantity: before, balance: before });
+    }
+
+    // Stock already at the warehouse moves there from the unassigned pool, so
+    // the product's total doesn't change
+    if (movement.warehouse && await isFirst({ ...unit, warehouse: movement.warehouse })) {
+      const level = movement.warehouseBalance - movement.quantity;
+      if (level !== 0) {
+        entries.push(
+          { ...unit, reason: 'opening', quantity: -level, balance: before },
+          { ...unit, warehouse: movement.warehouse, reason: 'opening', quantity: level, balance: before, warehouseBalance: level }
+        );
+      }
+    }
+
+    entries.push({ ...unit, ...movement });
+  }
+
+  return this.insertMany(entries, { session });
+};
+
+export default mongoose.model('StockMovement', stockMovementSchema);
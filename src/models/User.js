@@ -1,7 +1,9 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
 import crypto from 'crypto';
+import { verifyCode, decryptSecret, generateRecoveryCodes } from '../utils/totp.js';
+import { signJwt } from '../utils/jwt.js';
+import { ADMIN_PERMISSIONS, hasPermission } from '../config/permissions.js';
 
 /**
  * @swagger
@@ -29,13 +31,41 @@ import crypto from 'crypto';
  *           description: Hashed password
  *         role:
  *           type: string
- *           enum: [customer, admin]
  *           default: customer
- *           description: User role
+ *           description: Role name, e.g. customer, admin, support, warehouse, catalog or a custom role
  *         isActive:
  *           type: boolean
  *           default: true
  *           description: Account status
+ *         emailVerified:
+ *           type: boolean
+ *           default: false
+ *           description: Whether the email address has been confirmed
+ *         twoFactorEnabled:
+ *           type: boolean
+ *           default: false
+ *           description: Whether TOTP two-factor authentication is enabled
+ *         magicLinkEnabled:
+ *           type: boolean
+ *           default: true
+ *           description: Whether the account can log in with emailed magic links
+ *         deletionScheduledFor:
+ *           type: string
+ *           format: date-time
+ *           description: When a requested account erasure will be carried out
+ *         identities:
+ *           type: array
+ *           description: Linked social login providers
+ *           items:
+ *             type: object
+ *             properties:
+ *               provider:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *               linkedAt:
+ *                 type: string
+ *                 format: date-time
  *         phone:
  *           type: string
  *           description: User's phone number
@@ -60,6 +90,26 @@ import crypto from 'crypto';
  *           format: date-time
  */
 
+const identitySchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true
+  },
+  // The provider's stable user id (the `sub` claim)
+  subject: {
+    type: String,
+    required: true
+  },
+  email: {
+    type: String,
+    lowercase: true
+  },
+  linkedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
 const userSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -79,13 +129,21 @@ const userSchema = new mongoose.Schema({
   },
   password: {
     type: String,
-    required: [true, 'Please add a password'],
+    // Accounts created through a social login may have no password
+    required: [function() { return !this.identities || this.identities.length === 0; }, 'Please add a password'],
     minlength: [6, 'Password must be at least 6 characters'],
     select: false
   },
+  // Hashes of previous passwords, most recent first
+  passwordHistory: {
+    type: [String],
+    select: false
+  },
+  passwordChangedAt: Date,
   role: {
     type: String,
-    enum: ['customer', 'admin'],
+    trim: true,
+    lowercase: true,
     default: 'customer'
   },
   isActive: {
@@ -106,14 +164,60 @@ const userSchema = new mongoose.Schema({
       default: 'USA'
     }
   },
+  // Linked social login (OIDC) accounts
+  identities: [identitySchema],
   resetPasswordToken: String,
   resetPasswordExpire: Date,
+  magicLinkEnabled: {
+    type: Boolean,
+    default: true
+  },
+  magicLinkToken: {
+    type: String,
+    select: false
+  },
+  magicLinkExpire: Date,
   emailVerified: {
     type: Boolean,
     default: false
   },
   emailVerificationToken: String,
-  emailVerificationExpire: Date
+  emailVerificationExpire: Date,
+  emailVerificationSentAt: Date,
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorSecret: {
+    type: String,
+    select: false
+  },
+  twoFactorPendingSecret: {
+    type: String,
+    select: false
+  },
+  twoFactorRecoveryCodes: {
+    type: [String],
+    select: false
+  },
+  twoFactorLastUsedStep: {
+    type: Number,
+    select: false
+  },
+  // Account erasure requested by the user, carried out after a grace period
+  deletionRequestedAt: Date,
+  deletionScheduledFor: Date,
+  erasedAt: Date,
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockUntil: Date,
+  lastFailedLoginAt: Date
 }, {
   timestamps: true,
   toJSON: { virtuals: true },
@@ -131,29 +235,81 @@ userSchema.virtual('fullAddress').get(function() {
 userSchema.index({ email: 1 });
 userSchema.index({ role: 1 });
 userSchema.index({ isActive: 1 });
+userSchema.index({ deletionScheduledFor: 1 }, { sparse: true });
+userSchema.index(
+  { 'identities.provider': 1, 'identities.subject': 1 },
+  { unique: true, partialFilterExpression: { 'identities.subject': { $exists: true } } }
+);
 
 // Encrypt password using bcrypt
 userSchema.pre('save', async function(next) {
-  if (!this.isModified('password')) {
-    next();
+  // Nothing to hash when the password was removed, e.g. by a provider link
+  if (!this.isModified('password') || !this.password) {
+    return next();
   }
 
   const salt = await bcrypt.genSalt(10);
   this.password = await bcrypt.hash(this.password, salt);
 });
 
-// Sign JWT and return
-userSchema.methods.getSignedJwtToken = function() {
-  return jwt.sign({ id: this._id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN
+// Sign a short-lived access JWT bound to a refresh token family and return
+userSchema.methods.getSignedJwtToken = function(family) {
+  return signJwt({ id: this._id, tv: this.tokenVersion, fam: family }, {
+    expiresIn: process.env.JWT_EXPIRES_IN || '15m'
   });
 };
 
+// Sign a short-lived partial JWT that only allows completing two-factor login
+userSchema.methods.getTwoFactorToken = function() {
+  return signJwt({ id: this._id, purpose: '2fa' }, {
+    expiresIn: process.env.TWO_FACTOR_TOKEN_EXPIRES_IN || '5m'
+  });
+};
+
+// Sign an impersonation JWT that acts as this user on behalf of a staff member
+userSchema.methods.getImpersonationToken = function(impersonation) {
+  const expiresIn = Math.max(1, Math.floor((impersonation.expiresAt.getTime() - Date.now()) / 1000));
+  return signJwt(
+    { id: this._id, act: impersonation.admin.toString(), imp: impersonation._id.toString() },
+    { expiresIn }
+  );
+};
+
 // Match user entered password to hashed password in database
 userSchema.methods.matchPassword = async function(enteredPassword) {
+  if (!this.password) return false;
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
+// Check a candidate against the current and recent passwords.
+// Requires password and passwordHistory to be selected.
+userSchema.methods.isPasswordReused = async function(candidate) {
+  const size = parseInt(process.env.PASSWORD_HISTORY_SIZE) || 5;
+  const hashes = [this.password, ...(this.passwordHistory || []).slice(0, size)].filter(Boolean);
+
+  for (const hash of hashes) {
+    if (await bcrypt.compare(candidate, hash)) return true;
+  }
+  return false;
+};
+
+// Replace the password, keeping the old hash in the history.
+// Requires password and passwordHistory to be selected.
+userSchema.methods.setPassword = function(newPassword) {
+  const size = parseInt(process.env.PASSWORD_HISTORY_SIZE) || 5;
+
+  if (this.password) {
+    this.passwordHistory = [this.password, ...(this.passwordHistory || [])].slice(0, size);
+  }
+  this.password = newPassword;
+  this.passwordChangedAt = Date.now();
+};
+
+// Find the identity linked for a provider
+userSchema.methods.getIdentity = function(provider) {
+  return (this.identities || []).find(identity => identity.provider === provider);
+};
+
 // Generate and hash password token
 userSchema.methods.getResetPasswordToken = function() {
   // Generate token
@@ -171,6 +327,154 @@ userSchema.methods.getResetPasswordToken = function() {
   return resetToken;
 };
 
+// Generate and hash a single-use magic login link token
+userSchema.methods.getMagicLinkToken = function() {
+  // Generate token
+  const magicLinkToken = crypto.randomBytes(20).toString('hex');
+
+  // Hash token and set to magicLinkToken field
+  this.magicLinkToken = crypto
+    .createHash('sha256')
+    .update(magicLinkToken)
+    .digest('hex');
+
+  // Set expire
+  const minutes = parseInt(process.env.MAGIC_LINK_EXPIRE_MINUTES) || 15;
+  this.magicLinkExpire = Date.now() + minutes * 60 * 1000;
+
+  return magicLinkToken;
+};
+
+// Generate and hash email verification token
+userSchema.methods.getEmailVerificationToken = function() {
+  // Generate token
+  const verificationToken = crypto.randomBytes(20).toString('hex');
+
+  // Hash token and set to emailVerificationToken field
+  this.emailVerificationToken = crypto
+    .createHash('sha256')
+    .update(verificationToken)
+    .digest('hex');
+
+  // Set expire
+  const hours = parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS) || 24;
+  this.emailVerificationExpire = Date.now() + hours * 60 * 60 * 1000;
+  this.emailVerificationSentAt = Date.now();
+
+  return verificationToken;
+};
+
+// Verify a TOTP code against the enabled secret, rejecting replayed codes.
+// Requires +twoFactorSecret +twoFactorLastUsedStep to be selected.
+userSchema.methods.verifyTwoFactorCode = function(code) {
+  if (!this.twoFactorSecret) return false;
+
+  const step = verifyCode(decryptSecret(this.twoFactorSecret), code);
+  if (step === null || (this.twoFactorLastUsedStep && step <= this.twoFactorLastUsedStep)) {
+    return false;
+  }
+
+  this.twoFactorLastUsedStep = step;
+  return true;
+};
+
+// Generate new recovery codes, store their hashes and return the plain codes
+userSchema.methods.generateRecoveryCodes = function() {
+  const codes = generateRecoveryCodes();
+
+  this.twoFactorRecoveryCodes = codes.map(code => crypto
+    .createHash('sha256')
+    .update(code)
+    .digest('hex'));
+
+  return codes;
+};
+
+// Consume a recovery code. Requires +twoFactorRecoveryCodes to be selected.
+userSchema.methods.useRecoveryCode = function(code) {
+  const hashed = crypto
+    .createHash('sha256')
+    .update(String(code).trim().toLowerCase())
+    .digest('hex');
+
+  const index = (this.twoFactorRecoveryCodes || []).indexOf(hashed);
+  if (index === -1) return false;
+
+  this.twoFactorRecoveryCodes.splice(index, 1);
+  return true;
+};
+
+// Check if the account's role grants any admin-level permission
+userSchema.methods.hasAdminPermissions = async function() {
+  const permissions = await mongoose.model('Role').getPermissions(this.role);
+  return ADMIN_PERMISSIONS.some(permission => hasPermission(permissions, permission));
+};
+
+// Check if the account must keep two-factor authentication on
+userSchema.methods.requiresTwoFactor = async function() {
+  return process.env.REQUIRE_ADMIN_2FA === 'true' && this.hasAdminPermissions();
+};
+
+// Check if the account must enroll in two-factor authentication
+userSchema.methods.requiresTwoFactorSetup = async function() {
+  return !this.twoFactorEnabled && this.requiresTwoFactor();
+};
+
+// Check if sign-in is temporarily blocked after failed attempts
+userSchema.methods.isLocked = function() {
+  return Boolean(this.lockUntil && this.lockUntil.getTime() > Date.now());
+};
+
+// Seconds until sign-in is allowed again
+userSchema.methods.lockRetryAfter = function() {
+  return this.isLocked() ? Math.ceil((this.lockUntil.getTime() - Date.now()) / 1000) : 0;
+};
+
+// Record a failed sign-in. After a few free attempts each failure doubles the
+// wait before the next try, and reaching LOGIN_MAX_ATTEMPTS locks the account.
+userSchema.methods.registerFailedLogin = async function() {
+  const maxAttempts = parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 10;
+  const lockMinutes = parseInt(process.env.LOGIN_LOCK_MINUTES) || 15;
+  const freeAttempts = parseInt(process.env.LOGIN_FREE_ATTEMPTS) || 3;
+
+  // A lockout that has run its course starts a fresh count
+  const update = this.failedLoginAttempts >= maxAttempts
+    ? { $set: { failedLoginAttempts: 1 } }
+    : { $inc: { failedLoginAttempts: 1 } };
+
+  const updated = await this.constructor
+    .findByIdAndUpdate(this._id, update, { new: true })
+    .select('failedLoginAttempts');
+  const attempts = updated.failedLoginAttempts;
+
+  let lockUntil;
+  if (attempts >= maxAttempts) {
+    lockUntil = new Date(Date.now() + lockMinutes * 60 * 1000);
+  } else if (attempts > freeAttempts) {
+    const delaySeconds = Math.min(2 ** (attempts - freeAttempts - 1), 60);
+    lockUntil = new Date(Date.now() + delaySeconds * 1000);
+  }
+
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { lockUntil, lastFailedLoginAt: new Date() }
+  );
+
+  this.failedLoginAttempts = attempts;
+  this.lockUntil = lockUntil;
+  return lockUntil;
+};
+
+// Clear failed sign-in tracking
+userSchema.methods.resetLoginAttempts = function() {
+  this.failedLoginAttempts = 0;
+  this.lockUntil = undefined;
+  return this.constructor.updateOne(
+    { _id: this._id },
+    { $set: { failedLoginAttempts: 0 }, $unset: { lockUntil: 1 } }
+  );
+};
+
 // Check if user is admin
 userSchema.methods.isAdmin = function() {
   return this.role === 'admin';
@@ -0,0 +1,89 @@
+import mongoose from 'mongoose';
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Warehouse:
+ *       type: object
+ *       required:
+ *         - name
+ *         - code
+ *         - address
+ *       properties:
+ *         _id:
+ *           type: string
+ *         name:
+ *           type: string
+ *         code:
+ *           type: string
+ *           description: Short unique code, e.g. EAST
+ *         address:
+ *           type: object
+ *           properties:
+ *             street:
+ *               type: string
+ *             city:
+ *               type: string
+ *             state:
+ *               type: string
+ *             zipCode:
+ *               type: string
+ *             country:
+ *               type: string
+ *         priority:
+ *           type: number
+ *           description: Lower ships first when warehouses are otherwise equal
+ */
+
+const warehouseSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please add a warehouse name'],
+    trim: true,
+    maxlength: [100, 'Name cannot be more than 100 characters']
+  },
+  code: {
+    type: String,
+    required: [true, 'Please add a warehouse code'],
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  address: {
+    street: String,
+    city: {
+      type: String,
+      required: [true, 'Please add city']
+    },
+    state: {
+      type: String,
+      required: [true, 'Please add state']
+    },
+    zipCode: String,
+    country: {
+      type: String,
+      default: 'USA'
+    }
+  },
+  priority: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+const normalize = (value) => String(value || '').trim().toLowerCase();
+
+// Instance method to rank how close the warehouse is to a shipping address:
+// 0 same city, 1 same state, 2 same country, 3 elsewhere
+warehouseSchema.methods.distanceTo = function(address = {}) {
+  const country = normalize(address.country || 'USA');
+  if (normalize(this.address.country) !== country) return 3;
+  if (normalize(this.address.state) !== normalize(address.state)) return 2;
+  if (normalize(this.address.city) !== normalize(address.city)) return 1;
+  return 0;
+};
+
+export default mongoose.model('Warehouse', warehouseSchema);
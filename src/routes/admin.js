@@ -6,12 +6,19 @@ import Product from '../models/Product.js';
 import Order from '../models/Order.js';
 import Category from '../models/Category.js';
 import Review from '../models/Review.js';
-import { protect, admin } from '../middleware/auth.js';
+import Role from '../models/Role.js';
+import ApiKey from '../models/ApiKey.js';
+import Impersonation from '../models/Impersonation.js';
+import AuditLog from '../models/AuditLog.js';
+import { protect, requirePermission, can, assertCanGrant, assertCanManageUser } from '../middleware/auth.js';
+import { PERMISSIONS } from '../config/permissions.js';
+import { validateApiKey, validateApiKeyUpdate } from '../middleware/validation.js';
+import { getAvailability } from '../utils/inventory.js';
 
 const router = express.Router();
 
-// All routes require admin authentication
-router.use(protect, admin);
+// All routes require authentication, each route checks its own permission
+router.use(protect);
 
 /**
  * @swagger
@@ -25,10 +32,10 @@ router.use(protect, admin);
  *       200:
  *         description: Dashboard statistics retrieved successfully
  */
-router.get('/dashboard', asyncHandler(async (req, res) => {
+router.get('/dashboard', requirePermission('analytics:read'), asyncHandler(async (req, res) => {
   // Get counts
   const userCount = await User.countDocuments();
-  const productCount = await Product.countDocuments();
+  const productCount = await Product.countDocuments({ deletedAt: null });
   const orderCount = await Order.countDocuments();
   const categoryCount = await Category.countDocuments();
   const reviewCount = await Review.countDocuments();
@@ -39,10 +46,8 @@ router.get('/dashboard', asyncHandler(async (req, res) => {
     .sort({ createdAt: -1 })
     .limit(5);
 
-  // Get low stock products
-  const lowStockProducts = await Product.find({ stock: { $lte: 10 } })
-    .select('name stock price')
-    .limit(10);
+  // Get low stock products and variants
+  const lowStockProducts = await Product.getLowStock(10);
 
   // Get top selling products
   const topSellingProducts = await Order.aggregate([
@@ -132,7 +137,7 @@ router.get('/dashboard', asyncHandler(async (req, res) => {
  *       200:
  *         description: Analytics retrieved successfully
  */
-router.get('/analytics', asyncHandler(async (req, res) => {
+router.get('/analytics', requirePermission('analytics:read'), asyncHandler(async (req, res) => {
   const { period = '30d' } = req.query;
   
   let days;
@@ -256,7 +261,7 @@ router.get('/analytics', asyncHandler(async (req, res) => {
  *       200:
  *         description: User statistics retrieved successfully
  */
-router.get('/users/statistics', asyncHandler(async (req, res) => {
+router.get('/users/statistics', requirePermission('analytics:read'), asyncHandler(async (req, res) => {
   const totalUsers = await User.countDocuments();
   const activeUsers = await User.countDocuments({ isActive: true });
   const customers = await User.countDocuments({ role: 'customer' });
@@ -289,6 +294,51 @@ router.get('/users/statistics', asyncHandler(async (req, res) => {
   });
 }));
 
+/**
+ * @swagger
+ * /admin/users/{id}/unlock:
+ *   put:
+ *     summary: Unlock a user account locked after failed logins
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Account unlocked successfully
+ *       403:
+ *         description: The user's role has permissions the caller doesn't hold
+ *       404:
+ *         description: User not found
+ */
+router.put('/users/:id/unlock', requirePermission('users:write'), asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    res.status(404);
+    throw new Error('User not found');
+  }
+
+  await assertCanManageUser(req, res, user);
+
+  await user.resetLoginAttempts();
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Account unlocked successfully',
+    data: {
+      id: user._id,
+      failedLoginAttempts: user.failedLoginAttempts,
+      lockUntil: null
+    }
+  });
+}));
+
 /**
  * @swagger
  * /admin/orders/statistics:
@@ -301,7 +351,7 @@ router.get('/users/statistics', asyncHandler(async (req, res) => {
  *       200:
  *         description: Order statistics retrieved successfully
  */
-router.get('/orders/statistics', asyncHandler(async (req, res) => {
+router.get('/orders/statistics', requirePermission('analytics:read'), asyncHandler(async (req, res) => {
   const totalOrders = await Order.countDocuments();
   const pendingOrders = await Order.countDocuments({ status: 'pending' });
   const processingOrders = await Order.countDocuments({ status: 'processing' });
@@ -352,15 +402,15 @@ router.get('/orders/statistics', asyncHandler(async (req, res) => {
  *       200:
  *         description: Product statistics retrieved successfully
  */
-router.get('/products/statistics', asyncHandler(async (req, res) => {
-  const totalProducts = await Product.countDocuments();
-  const activeProducts = await Product.countDocuments({ isActive: true });
-  const featuredProducts = await Product.countDocuments({ isFeatured: true });
-  const outOfStockProducts = await Product.countDocuments({ stock: 0 });
-  const lowStockProducts = await Product.countDocuments({ stock: { $lte: 10, $gt: 0 } });
+router.get('/products/statistics', requirePermission('analytics:read'), asyncHandler(async (req, res) => {
+  const totalProducts = await Product.countDocuments({ deletedAt: null });
+  const activeProducts = await Product.countDocuments({ isActive: true, deletedAt: null });
+  const featuredProducts = await Product.countDocuments({ isFeatured: true, deletedAt: null });
+  const { outOfStock: outOfStockProducts, lowStock: lowStockProducts } = await Product.getStockLevels();
 
   // Products by category
   const productsByCategory = await Product.aggregate([
+    { $match: { deletedAt: null } },
     {
       $lookup: {
         from: 'categories',
@@ -392,4 +442,859 @@ router.get('/products/statistics', asyncHandler(async (req, res) => {
   });
 }));
 
-export default router; 
\ No newline at end of file
+/**
+ * @swagger
+ * /admin/products/{id}/inventory:
+ *   get:
+ *     summary: Get a product's stock broken down by warehouse (requires inventory:read)
+ *     description: For the product and each variant, the stock, reserved and available quantities, and the stock at every warehouse. Units with perWarehouse false aren't stocked per warehouse yet.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Availability retrieved successfully
+ *       404:
+ *         description: Product not found
+ */
+router.get('/products/:id/inventory', requirePermission('inventory:read'), asyncHandler(async (req, res) => {
+  const product = await Product.findById(req.params.id);
+
+  if (!product) {
+    res.status(404);
+    throw new Error('Product not found');
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: await getAvailability(product)
+  });
+}));
+
+/**
+ * @swagger
+ * /admin/permissions:
+ *   get:
+ *     summary: List every permission that can be granted
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Permissions retrieved successfully
+ */
+router.get('/permissions', requirePermission('roles:manage'), asyncHandler(async (req, res) => {
+  res.status(200).json({
+    status: 'success',
+    data: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description }))
+  });
+}));
+
+/**
+ * @swagger
+ * /admin/roles:
+ *   get:
+ *     summary: List roles with their user counts
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Roles retrieved successfully
+ */
+router.get('/roles', requirePermission('roles:manage'), asyncHandler(async (req, res) => {
+  const roles = await Role.find().sort({ isSystem: -1, name: 1 }).lean();
+
+  const counts = await User.aggregate([
+    { $group: { _id: '$role', count: { $sum: 1 } } }
+  ]);
+  const countByRole = Object.fromEntries(counts.map(c => [c._id, c.count]));
+
+  res.status(200).json({
+    status: 'success',
+    data: roles.map(role => ({ ...role, userCount: countByRole[role.name] || 0 }))
+  });
+}));
+
+/**
+ * @swagger
+ * /admin/roles:
+ *   post:
+ *     summary: Create a role
+ *     description: Only permissions the caller holds can be granted.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       201:
+ *         description: Role created successfully
+ *       400:
+ *         description: Validation error or role already exists
+ *       403:
+ *         description: Permissions exceed the caller's own
+ */
+router.post('/roles', requirePermission('roles:manage'), asyncHandler(async (req, res) => {
+  const { name, description, permissions = [] } = req.body;
+
+  await assertCanGrant(req, res, permissions);
+
+  const role = await Role.create({ name, description, permissions });
+
+  res.status(201).json({
+    status: 'success',
+    data: role
+  });
+}));
+
+/**
+ * @swagger
+ * /admin/roles/{name}:
+ *   put:
+ *     summary: Update a role's description or permissions
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               description:
+ *                 type: string
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Role updated successfully
+ *       403:
+ *         description: System roles cannot be changed, or permissions exceed the caller's own
+ *       404:
+ *         description: Role not found
+ */
+router.put('/roles/:name', requirePermission('roles:manage'), asyncHandler(async (req, res) => {
+  const { description, permissions } = req.body;
+
+  const role = await Role.findOne({ name: req.params.name });
+
+  if (!role) {
+    res.status(404);
+    throw new Error('Role not found');
+  }
+
+  if (role.isSystem) {
+    res.status(403);
+    throw new Error('System roles cannot be changed');
+  }
+
+  if (permissions !== undefined) {
+    await assertCanGrant(req, res, permissions);
+    role.permissions = permissions;
+  }
+  if (description !== undefined) role.description = description;
+
+  await role.save();
+
+  res.status(200).json({
+    status: 'success',
+    data: role
+  });
+}));
+
+/**
+ * @swagger
+ * /admin/roles/{name}:
+ *   delete:
+ *     summary: Delete a role that no user holds
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Role deleted successfully
+ *       403:
+ *         description: System roles cannot be deleted
+ *       404:
+ *         description: Role not found
+ *       409:
+ *         description: Role is still assigned to users
+ */
+router.delete('/roles/:name', requirePermission('roles:manage'), asyncHandler(async (req, res) => {
+  const role = await Role.findOne({ name: req.params.name });
+
+  if (!role) {
+    res.status(404);
+    throw new Error('Role not found');
+  }
+
+  if (role.isSystem) {
+    res.status(403);
+    throw new Error('System roles cannot be deleted');
+  }
+
+  const assigned = await User.countDocuments({ role: role.name });
+  if (assigned > 0) {
+    res.status(409);
+    throw new Error(`Role is still assigned to ${assigned} user(s)`);
+  }
+
+  await Role.findOneAndDelete({ _id: role._id });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Role deleted successfully'
+  });
+}));
+
+/**
+ * @swagger
+ * /admin/users/{id}/role:
+ *   put:
+ *     summary: Assign a role to a user
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Role assigned successfully
+ *       400:
+ *         description: Role does not exist
+ *       403:
+ *         description: The old or new role has permissions the caller doesn't hold
+ *       404:
+ *         description: User not found
+ */
+router.put('/users/:id/role', requirePermission('roles:manage'), asyncHandler(async (req, res) => {
+  const role = String(req.body.role || '').trim().toLowerCase();
+
+  if (!role || !(await Role.isAssignable(role))) {
+    res.status(400);
+    throw new Error(`Role ${role} does not exist`);
+  }
+
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    res.status(404);
+    throw new Error('User not found');
+  }
+
+  // Nobody can give out, or take away, more than they can do themselves
+  await assertCanGrant(req, res, await Role.getPermissions(role));
+  await assertCanGrant(req, res, await Role.getPermissions(user.role));
+
+  user.role = role;
+  await user.save();
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Role assigned successfully',
+    data: {
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      role: user.role
+    }
+  });
+}));
+
+/**
+ * @swagger
+ * /admin/api-keys:
+ *   get:
+ *     summary: List API keys
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: API keys retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ApiKey'
+ */
+router.get('/api-keys', requirePermission('api-keys:manage'), asyncHandler(async (req, res) => {
+  const apiKeys = await ApiKey.find()
+    .populate('user', 'name email role')
+    .populate('createdBy', 'name email')
+    .sort({ createdAt: -1 });
+
+  res.status(200).json({
+    status: 'success',
+    data: apiKeys
+  });
+}));
+
+/**
+ * @swagger
+ * /admin/api-keys:
+ *   post:
+ *     summary: Create an API key
+ *     description: The key is returned once in the response and cannot be retrieved again. It acts as the given user (default the caller), limited to its scopes. Another user must be a staff account whose permissions the caller holds; keys can't act as customers.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - scopes
+ *             properties:
+ *               name:
+ *                 type: string
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               allowedIps:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *               user:
+ *                 type: string
+ *                 description: Staff or service account the key acts as
+ *     responses:
+ *       201:
+ *         description: API key created successfully
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Scopes or the owner's role exceed the caller's permissions, or the owner is a customer
+ */
+router.post('/api-keys', requirePermission('api-keys:manage'), validateApiKey, asyncHandler(async (req, res) => {
+  const { name, scopes = [], allowedIps = [], expiresAt, user: userId } = req.body;
+
+  // A key can never carry more than its creator is allowed to do
+  for (const scope of scopes) {
+    if (!(await can(req, scope))) {
+      res.status(403);
+      throw new Error(`Not authorized to grant scope ${scope}`);
+    }
+  }
+
+  const owner = userId ? await User.findById(userId) : req.user;
+  if (!owner) {
+    res.status(404);
+    throw new Error('User not found');
+  }
+
+  // A key for another account acts as a staff account with no more access
+  // than the caller; customer accounts are only used by their owners
+  if (!owner._id.equals(req.user._id)) {
+    if (owner.role === 'customer') {
+      res.status(403);
+      throw new Error('API keys cannot act as customer accounts');
+    }
+    await assertCanGrant(req, res, await Role.getPermissions(owner.role));
+  }
+
+  const { key, prefix, keyHash } = ApiKey.generateKey();
+
+  const apiKey = await ApiKey.create({
+    name,
+    prefix,
+    keyHash,
+    scopes,
+    allowedIps,
+    expiresAt,
+    user: owner._id,
+    createdBy: req.user._id
+  });
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Store this key now, it will not be shown again',
+    data: {
+      ...apiKey.toJSON(),
+      keyHash: undefined,
+      key
+    }
+  });
+}));
+
+/**
+ * @swagger
+ * /admin/api-keys/{id}:
+ *   put:
+ *     summary: Update an API key's name, scopes, allowlist or expiry
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               allowedIps:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       200:
+ *         description: API key updated successfully
+ *       404:
+ *         description: API key not found
+ */
+router.put('/api-keys/:id', requirePermission('api-keys:manage'), validateApiKeyUpdate, asyncHandler(async (req, res) => {
+  const { name, scopes, allowedIps, expiresAt } = req.body;
+
+  const apiKey = await ApiKey.findById(req.params.id);
+
+  if (!apiKey) {
+    res.status(404);
+    throw new Error('API key not found');
+  }
+
+  if (scopes !== undefined) {
+    for (const scope of scopes) {
+      if (!(await can(req, scope))) {
+        res.status(403);
+        throw new Error(`Not authorized to grant scope ${scope}`);
+      }
+    }
+    apiKey.scopes = scopes;
+  }
+
+  if (name !== undefined) apiKey.name = name;
+  if (allowedIps !== undefined) apiKey.allowedIps = allowedIps;
+  if (expiresAt !== undefined) apiKey.expiresAt = expiresAt;
+
+  await apiKey.save();
+
+  res.status(200).json({
+    status: 'success',
+    data: apiKey
+  });
+}));
+
+/**
+ * @swagger
+ * /admin/api-keys/{id}:
+ *   delete:
+ *     summary: Revoke an API key
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: API key revoked successfully
+ *       404:
+ *         description: API key not found
+ */
+router.delete('/api-keys/:id', requirePermission('api-keys:manage'), asyncHandler(async (req, res) => {
+  const apiKey = await ApiKey.findById(req.params.id);
+
+  if (!apiKey) {
+    res.status(404);
+    throw new Error('API key not found');
+  }
+
+  if (!apiKey.revokedAt) {
+    apiKey.revokedAt = new Date();
+    await apiKey.save();
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: 'API key revoked successfully'
+  });
+}));
+
+/**
+ * @swagger
+ * /admin/users/{id}/impersonate:
+ *   post:
+ *     summary: Start a read-only impersonation session for a customer (requires users:impersonate)
+ *     description: Returns a short-lived token that acts as the customer. Write requests, admin routes and permission checks are refused while using it, and every request is written to the audit log. Log out with the token to end the session early.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 description: Why, e.g. a support ticket reference
+ *               minutes:
+ *                 type: integer
+ *                 description: Session length, capped at IMPERSONATION_MAX_MINUTES
+ *     responses:
+ *       201:
+ *         description: Impersonation started
+ *       400:
+ *         description: Missing reason or user cannot be impersonated
+ *       404:
+ *         description: User not found
+ */
+router.post('/users/:id/impersonate', requirePermission('users:impersonate'), asyncHandler(async (req, res) => {
+  const { reason, minutes } = req.body;
+
+  if (!reason || typeof reason !== 'string' || !reason.trim()) {
+    res.status(400);
+    throw new Error('Please add a reason for impersonating this user');
+  }
+
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    res.status(404);
+    throw new Error('User not found');
+  }
+
+  if (user._id.equals(req.user._id)) {
+    res.status(400);
+    throw new Error('You cannot impersonate yourself');
+  }
+
+  if (!user.isActive) {
+    res.status(400);
+    throw new Error('Cannot impersonate a deactivated user');
+  }
+
+  // Only accounts without staff permissions can be impersonated
+  const permissions = await Role.getPermissions(user.role);
+  if (permissions.length > 0) {
+    res.status(400);
+    throw new Error('Only customer accounts can be impersonated');
+  }
+
+  const maxMinutes = parseInt(process.env.IMPERSONATION_MAX_MINUTES) || 30;
+  const duration = Math.min(parseInt(minutes) || maxMinutes, maxMinutes);
+
+  const impersonation = await Impersonation.create({
+    admin: req.user._id,
+    user: user._id,
+    reason,
+    ip: req.ip,
+    expiresAt: new Date(Date.now() + duration * 60 * 1000)
+  });
+
+  await AuditLog.record({
+    action: 'impersonation.start',
+    actor: req.user._id,
+    subject: user._id,
+    impersonation: impersonation._id,
+    ip: req.ip,
+    userAgent: req.get('User-Agent'),
+    details: { reason: impersonation.reason, expiresAt: impersonation.expiresAt }
+  });
+
+  res.status(201).json({
+    status: 'success',
+    data: impersonation,
+    token: user.getImpersonationToken(impersonation)
+  });
+}));
+
+/**
+ * @swagger
+ * /admin/impersonations:
+ *   get:
+ *     summary: List impersonation sessions (requires audit:read)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - in: query
+ *         name: admin
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: user
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Impersonation sessions retrieved successfully
+ */
+router.get('/impersonations', requirePermission('audit:read'), asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const skip = (page - 1) * limit;
+
+  const filter = {};
+  if (req.query.admin) filter.admin = req.query.admin;
+  if (req.query.user) filter.user = req.query.user;
+  if (req.query.active === 'true') {
+    filter.endedAt = null;
+    filter.expiresAt = { $gt: new Date() };
+  }
+
+  const impersonations = await Impersonation.find(filter)
+    .populate('admin', 'name email role')
+    .populate('user', 'name email')
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit);
+
+  const total = await Impersonation.countDocuments(filter);
+
+  res.status(200).json({
+    status: 'success',
+    data: impersonations,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  });
+}));
+
+/**
+ * @swagger
+ * /admin/impersonations/{id}/end:
+ *   post:
+ *     summary: End an impersonation session (requires users:impersonate)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Impersonation ended
+ *       404:
+ *         description: Impersonation session not found
+ */
+router.post('/impersonations/:id/end', requirePermission('users:impersonate'), asyncHandler(async (req, res) => {
+  const impersonation = await Impersonation.findById(req.params.id);
+
+  if (!impersonation) {
+    res.status(404);
+    throw new Error('Impersonation session not found');
+  }
+
+  await impersonation.end(req.user._id, { ip: req.ip, userAgent: req.get('User-Agent') });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Impersonation ended',
+    data: impersonation
+  });
+}));
+
+/**
+ * @swagger
+ * /admin/audit-logs:
+ *   get:
+ *     summary: Query the audit log (requires audit:read)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *         description: e.g. impersonation.start, impersonation.request, impersonation.end
+ *       - in: query
+ *         name: actor
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: subject
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: impersonation
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: Audit log entries retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AuditLog'
+ */
+router.get('/audit-logs', requirePermission('audit:read'), asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+  const skip = (page - 1) * limit;
+
+  const filter = {};
+  if (req.query.action) filter.action = req.query.action;
+  if (req.query.actor) filter.actor = req.query.actor;
+  if (req.query.subject) filter.subject = req.query.subject;
+  if (req.query.impersonation) filter.impersonation = req.query.impersonation;
+  if (req.query.from || req.query.to) {
+    filter.createdAt = {};
+    if (req.query.from) filter.createdAt.$gte = new Date(req.query.from);
+    if (req.query.to) filter.createdAt.$lte = new Date(req.query.to);
+  }
+
+  const entries = await AuditLog.find(filter)
+    .populate('actor', 'name email role')
+    .populate('subject', 'name email')
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit);
+
+  const total = await AuditLog.countDocuments(filter);
+
+  res.status(200).json({
+    status: 'success',
+    data: entries,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  });
+}));
+
+export default router;
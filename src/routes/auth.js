@@ -4,12 +4,49 @@ import jwt from 'jsonwebtoken';
 import crypto from 'crypto';
 
 import User from '../models/User.js';
+import RefreshToken from '../models/RefreshToken.js';
+import Session from '../models/Session.js';
 import { protect } from '../middleware/auth.js';
-import { validateRegister, validateLogin } from '../middleware/validation.js';
-import { sendEmail } from '../utils/email.js';
+import { validateRegister, validateLogin, validateChangePassword, validateResetPassword, validateMagicLinkRequest } from '../middleware/validation.js';
+import { authIpLimiter, authEmailLimiter } from '../middleware/rateLimit.js';
+import { sendEmail, sendVerificationEmail, sendPasswordChangedEmail, sendMagicLinkEmail } from '../utils/email.js';
+import { logger } from '../config/logger.js';
+import { issueAuthTokens, authUserData } from '../utils/tokens.js';
+import { isBreachedPassword } from '../utils/passwords.js';
 
 const router = express.Router();
 
+// Issue a fresh email verification token and send the link
+const sendVerificationLink = async (user, req) => {
+  const verificationToken = user.getEmailVerificationToken();
+  await user.save();
+
+  const verifyUrl = `${req.protocol}://${req.get('host')}/api/auth/verify-email/${verificationToken}`;
+
+  try {
+    await sendVerificationEmail(user, verifyUrl);
+  } catch (err) {
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpire = undefined;
+    await user.save();
+    throw err;
+  }
+};
+
+// Throw with the response status set when a new password is known from a
+// breach, or was one of the user's recent passwords
+const assertPasswordAllowed = async (user, password, res) => {
+  if (isBreachedPassword(password)) {
+    res.status(400);
+    throw new Error('This password has appeared in a data breach, please choose another');
+  }
+
+  if (user && await user.isPasswordReused(password)) {
+    res.status(400);
+    throw new Error('Password was used recently, please choose another');
+  }
+};
+
 /**
  * @swagger
  * /auth/register:
@@ -37,11 +74,6 @@ const router = express.Router();
  *               password:
  *                 type: string
  *                 description: User's password
- *               role:
- *                 type: string
- *                 enum: [customer, admin]
- *                 default: customer
- *                 description: User role
  *     responses:
  *       201:
  *         description: User registered successfully
@@ -57,14 +89,21 @@ const router = express.Router();
  *                   $ref: '#/components/schemas/User'
  *                 token:
  *                   type: string
- *                   description: JWT token
+ *                   description: Short-lived JWT access token
+ *                 refreshToken:
+ *                   type: string
+ *                   description: Single-use refresh token
  *       400:
  *         description: Validation error
  *       409:
  *         description: Email already exists
+ *       429:
+ *         description: Too many registration attempts
  */
-router.post('/register', validateRegister, asyncHandler(async (req, res) => {
-  const { name, email, password, role = 'customer' } = req.body;
+router.post('/register', authIpLimiter('register'), validateRegister, authEmailLimiter('register'), asyncHandler(async (req, res) => {
+  const { name, email, password } = req.body;
+
+  await assertPasswordAllowed(null, password, res);
 
   // Check if user exists
   const existingUser = await User.findOne({ email });
@@ -74,27 +113,29 @@ router.post('/register', validateRegister, asyncHandler(async (req, res) => {
   }
 
   // Create user
+  // Self-registration always creates a customer, staff roles are assigned by admins
   const user = await User.create({
     name,
     email,
     password,
-    role
+    role: 'customer'
   });
 
-  // Generate token
-  const token = user.getSignedJwtToken();
+  // Send verification email, registration still succeeds if it fails
+  try {
+    await sendVerificationLink(user, req);
+  } catch (error) {
+    logger.error(`Failed to send verification email to ${user.email}: ${error.message}`);
+  }
+
+  // Generate tokens
+  const { token, refreshToken } = await issueAuthTokens(user, req);
 
   res.status(201).json({
     status: 'success',
-    data: {
-      id: user._id,
-      name: user.name,
-      email: user.email,
-      role: user.role,
-      isActive: user.isActive,
-      createdAt: user.createdAt
-    },
-    token
+    data: authUserData(user),
+    token,
+    refreshToken
   });
 }));
 
@@ -136,11 +177,25 @@ router.post('/register', validateRegister, asyncHandler(async (req, res) => {
  *                   $ref: '#/components/schemas/User'
  *                 token:
  *                   type: string
- *                   description: JWT token
+ *                   description: Short-lived JWT access token
+ *                 refreshToken:
+ *                   type: string
+ *                   description: Single-use refresh token
+ *                 twoFactorRequired:
+ *                   type: boolean
+ *                   description: Present when the second factor must be sent to /auth/2fa/verify
+ *                 twoFactorToken:
+ *                   type: string
+ *                   description: Partial token for /auth/2fa/verify, returned instead of the tokens above
+ *                 twoFactorSetupRequired:
+ *                   type: boolean
+ *                   description: Admin account must enroll in two-factor authentication before using admin routes
  *       401:
  *         description: Invalid credentials
+ *       429:
+ *         description: Too many attempts or account temporarily locked
  */
-router.post('/login', validateLogin, asyncHandler(async (req, res) => {
+router.post('/login', authIpLimiter('login'), validateLogin, authEmailLimiter('login'), asyncHandler(async (req, res) => {
   const { email, password } = req.body;
 
   // Check if user exists
@@ -150,33 +205,241 @@ router.post('/login', validateLogin, asyncHandler(async (req, res) => {
     throw new Error('Invalid credentials');
   }
 
+  // Check if sign-in is temporarily locked
+  if (user.isLocked()) {
+    const retryAfter = user.lockRetryAfter();
+    res.set('Retry-After', String(retryAfter));
+    res.status(429);
+    throw new Error(`Too many failed login attempts, try again in ${retryAfter} seconds`);
+  }
+
   // Check if password matches
   const isMatch = await user.matchPassword(password);
   if (!isMatch) {
+    await user.registerFailedLogin();
     res.status(401);
     throw new Error('Invalid credentials');
   }
 
+  if (user.failedLoginAttempts > 0 || user.lockUntil) {
+    await user.resetLoginAttempts();
+  }
+
   // Check if user is active
   if (!user.isActive) {
     res.status(401);
     throw new Error('Account is deactivated');
   }
 
-  // Generate token
-  const token = user.getSignedJwtToken();
+  // Second factor required - hand out a partial token instead of a session
+  if (user.twoFactorEnabled) {
+    return res.status(200).json({
+      status: 'success',
+      twoFactorRequired: true,
+      twoFactorToken: user.getTwoFactorToken()
+    });
+  }
+
+  // Generate tokens
+  const { token, refreshToken } = await issueAuthTokens(user, req);
 
   res.status(200).json({
     status: 'success',
-    data: {
-      id: user._id,
-      name: user.name,
-      email: user.email,
-      role: user.role,
-      isActive: user.isActive,
-      createdAt: user.createdAt
-    },
-    token
+    data: authUserData(user),
+    ...(await user.requiresTwoFactorSetup() && { twoFactorSetupRequired: true }),
+    token,
+    refreshToken
+  });
+}));
+
+/**
+ * @swagger
+ * /auth/magic-link:
+ *   post:
+ *     summary: Email a passwordless login link
+ *     description: Always responds with the same message so it cannot be used to discover accounts. No email is sent for unknown, deactivated or opted-out accounts.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Login link sent if the account can use it
+ *       400:
+ *         description: Validation error
+ *       429:
+ *         description: Too many login link requests
+ */
+router.post('/magic-link', authIpLimiter('magic-link'), validateMagicLinkRequest, authEmailLimiter('magic-link'), asyncHandler(async (req, res) => {
+  const { email } = req.body;
+
+  const user = await User.findOne({ email });
+
+  if (user && user.isActive && user.magicLinkEnabled) {
+    const magicLinkToken = user.getMagicLinkToken();
+    await user.save();
+
+    const loginUrl = `${process.env.FRONTEND_URL}/magic-link/${magicLinkToken}`;
+
+    try {
+      await sendMagicLinkEmail(user, loginUrl);
+    } catch (error) {
+      logger.error(`Failed to send magic link to ${user.email}: ${error.message}`);
+      user.magicLinkToken = undefined;
+      user.magicLinkExpire = undefined;
+      await user.save();
+    }
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: 'If that account can use login links, one has been sent'
+  });
+}));
+
+/**
+ * @swagger
+ * /auth/magic-link/verify:
+ *   post:
+ *     summary: Exchange a magic link token for a session
+ *     description: Tokens are single-use. Accounts with two-factor authentication get a partial token for /auth/2fa/verify instead.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: Token from the emailed link
+ *     responses:
+ *       200:
+ *         description: Login successful, same response as /auth/login
+ *       400:
+ *         description: Invalid or expired link
+ *       401:
+ *         description: Account is deactivated
+ *       429:
+ *         description: Too many attempts
+ */
+router.post('/magic-link/verify', authIpLimiter('magic-link-verify'), asyncHandler(async (req, res) => {
+  const { token } = req.body;
+
+  if (!token || typeof token !== 'string') {
+    res.status(400);
+    throw new Error('Login link token is required');
+  }
+
+  // Get hashed token
+  const magicLinkToken = crypto
+    .createHash('sha256')
+    .update(token)
+    .digest('hex');
+
+  // Claim the token atomically so a link can only be used once
+  const user = await User.findOneAndUpdate(
+    { magicLinkToken, magicLinkExpire: { $gt: Date.now() } },
+    { $unset: { magicLinkToken: 1, magicLinkExpire: 1 } },
+    { new: true }
+  );
+
+  if (!user || !user.magicLinkEnabled) {
+    res.status(400);
+    throw new Error('Invalid or expired login link');
+  }
+
+  if (!user.isActive) {
+    res.status(401);
+    throw new Error('Account is deactivated');
+  }
+
+  // Opening the link proves control of the address
+  if (!user.emailVerified) {
+    user.emailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpire = undefined;
+    await user.save();
+  }
+
+  // Second factor required - hand out a partial token instead of a session
+  if (user.twoFactorEnabled) {
+    return res.status(200).json({
+      status: 'success',
+      twoFactorRequired: true,
+      twoFactorToken: user.getTwoFactorToken()
+    });
+  }
+
+  const { token: accessToken, refreshToken } = await issueAuthTokens(user, req);
+
+  res.status(200).json({
+    status: 'success',
+    data: authUserData(user),
+    ...(await user.requiresTwoFactorSetup() && { twoFactorSetupRequired: true }),
+    token: accessToken,
+    refreshToken
+  });
+}));
+
+/**
+ * @swagger
+ * /auth/magic-link:
+ *   put:
+ *     summary: Turn magic link login on or off for your account
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - enabled
+ *             properties:
+ *               enabled:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Setting updated
+ *       400:
+ *         description: enabled must be a boolean
+ */
+router.put('/magic-link', protect, asyncHandler(async (req, res) => {
+  const { enabled } = req.body;
+
+  if (typeof enabled !== 'boolean') {
+    res.status(400);
+    throw new Error('enabled must be true or false');
+  }
+
+  const user = await User.findById(req.user.id);
+  user.magicLinkEnabled = enabled;
+  // Turning it off also kills any link already in flight
+  if (!enabled) {
+    user.magicLinkToken = undefined;
+    user.magicLinkExpire = undefined;
+  }
+  await user.save();
+
+  res.status(200).json({
+    status: 'success',
+    message: `Magic link login ${enabled ? 'enabled' : 'disabled'}`,
+    data: { magicLinkEnabled: user.magicLinkEnabled }
   });
 }));
 
@@ -213,6 +476,99 @@ router.get('/me', protect, asyncHandler(async (req, res) => {
   });
 }));
 
+/**
+ * @swagger
+ * /auth/verify-email/{verificationToken}:
+ *   get:
+ *     summary: Verify email address
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: path
+ *         name: verificationToken
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Email verification token
+ *     responses:
+ *       200:
+ *         description: Email verified successfully
+ *       400:
+ *         description: Invalid or expired token
+ */
+router.get('/verify-email/:verificationToken', asyncHandler(async (req, res) => {
+  // Get hashed token
+  const emailVerificationToken = crypto
+    .createHash('sha256')
+    .update(req.params.verificationToken)
+    .digest('hex');
+
+  const user = await User.findOne({
+    emailVerificationToken,
+    emailVerificationExpire: { $gt: Date.now() }
+  });
+
+  if (!user) {
+    res.status(400);
+    throw new Error('Invalid or expired verification token');
+  }
+
+  user.emailVerified = true;
+  user.emailVerificationToken = undefined;
+  user.emailVerificationExpire = undefined;
+  await user.save();
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Email verified successfully'
+  });
+}));
+
+/**
+ * @swagger
+ * /auth/resend-verification:
+ *   post:
+ *     summary: Resend the email verification link
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification email sent
+ *       400:
+ *         description: Email already verified
+ *       429:
+ *         description: Verification email requested too recently
+ */
+router.post('/resend-verification', protect, asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id);
+
+  if (user.emailVerified) {
+    res.status(400);
+    throw new Error('Email is already verified');
+  }
+
+  // Throttle resends per account
+  const interval = (parseInt(process.env.EMAIL_VERIFICATION_RESEND_SECONDS) || 60) * 1000;
+  if (user.emailVerificationSentAt && Date.now() - user.emailVerificationSentAt.getTime() < interval) {
+    const retryAfter = Math.ceil((interval - (Date.now() - user.emailVerificationSentAt.getTime())) / 1000);
+    res.set('Retry-After', String(retryAfter));
+    res.status(429);
+    throw new Error(`Please wait ${retryAfter} seconds before requesting another verification email`);
+  }
+
+  try {
+    await sendVerificationLink(user, req);
+  } catch (err) {
+    res.status(500);
+    throw new Error('Email could not be sent');
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Verification email sent'
+  });
+}));
+
 /**
  * @swagger
  * /auth/forgot-password:
@@ -237,8 +593,10 @@ router.get('/me', protect, asyncHandler(async (req, res) => {
  *         description: Password reset email sent
  *       404:
  *         description: User not found
+ *       429:
+ *         description: Too many reset requests
  */
-router.post('/forgot-password', asyncHandler(async (req, res) => {
+router.post('/forgot-password', authIpLimiter('forgot-password'), authEmailLimiter('forgot-password'), asyncHandler(async (req, res) => {
   const { email } = req.body;
 
   const user = await User.findOne({ email });
@@ -306,9 +664,9 @@ router.post('/forgot-password', asyncHandler(async (req, res) => {
  *       200:
  *         description: Password reset successful
  *       400:
- *         description: Invalid token
+ *         description: Invalid token, validation error, reused or breached password
  */
-router.put('/reset-password/:resetToken', asyncHandler(async (req, res) => {
+router.put('/reset-password/:resetToken', validateResetPassword, asyncHandler(async (req, res) => {
   // Get hashed token
   const resetPasswordToken = crypto
     .createHash('sha256')
@@ -318,26 +676,186 @@ router.put('/reset-password/:resetToken', asyncHandler(async (req, res) => {
   const user = await User.findOne({
     resetPasswordToken,
     resetPasswordExpire: { $gt: Date.now() }
-  });
+  }).select('+password +passwordHistory');
 
   if (!user) {
     res.status(400);
     throw new Error('Invalid reset token');
   }
 
+  await assertPasswordAllowed(user, req.body.password, res);
+
   // Set new password
-  user.password = req.body.password;
+  user.setPassword(req.body.password);
   user.resetPasswordToken = undefined;
   user.resetPasswordExpire = undefined;
+  // Sign out every existing session
+  user.tokenVersion += 1;
   await user.save();
+  await Session.revokeAllForUser(user._id, 'password-reset');
 
-  // Generate token
-  const token = user.getSignedJwtToken();
+  // Generate tokens
+  const { token, refreshToken } = await issueAuthTokens(user, req);
 
   res.status(200).json({
     status: 'success',
     message: 'Password reset successful',
-    token
+    token,
+    refreshToken
+  });
+}));
+
+/**
+ * @swagger
+ * /auth/password:
+ *   put:
+ *     summary: Change password
+ *     description: Requires the current password. Recent and known-breached passwords are rejected. Every other session is signed out and a new token pair is returned for this device.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Password changed successfully
+ *       400:
+ *         description: Validation error, reused or breached password
+ *       401:
+ *         description: Current password is incorrect
+ */
+router.put('/password', protect, validateChangePassword, asyncHandler(async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+
+  const user = await User.findById(req.user.id).select('+password +passwordHistory');
+
+  if (!(await user.matchPassword(currentPassword))) {
+    res.status(401);
+    throw new Error('Current password is incorrect');
+  }
+
+  await assertPasswordAllowed(user, newPassword, res);
+
+  user.setPassword(newPassword);
+  // Invalidate every token issued so far, including this device's
+  user.tokenVersion += 1;
+  await user.save();
+  await Session.revokeAllForUser(user._id, 'password-change');
+
+  const { token, refreshToken } = await issueAuthTokens(user, req);
+
+  try {
+    await sendPasswordChangedEmail(user, { ip: req.ip, userAgent: req.get('User-Agent') });
+  } catch (error) {
+    logger.error(`Failed to send password change notification to ${user.email}: ${error.message}`);
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Password changed successfully',
+    token,
+    refreshToken
+  });
+}));
+
+/**
+ * @swagger
+ * /auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new token pair
+ *     description: Refresh tokens are single-use. Presenting one that was already rotated revokes its whole token family.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Tokens refreshed successfully
+ *       401:
+ *         description: Invalid, expired or reused refresh token
+ */
+router.post('/refresh', asyncHandler(async (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken || typeof refreshToken !== 'string') {
+    res.status(400);
+    throw new Error('Refresh token is required');
+  }
+
+  const stored = await RefreshToken.findOne({
+    tokenHash: RefreshToken.hashToken(refreshToken)
+  });
+
+  if (!stored) {
+    res.status(401);
+    throw new Error('Invalid refresh token');
+  }
+
+  // A rotated token being presented again means it was stolen
+  if (stored.revokedAt) {
+    if (stored.revokedReason === 'rotated') {
+      await Session.revokeWhere({ family: stored.family }, 'reuse-detected');
+      logger.warn(`Refresh token reuse detected for user ${stored.user}, family ${stored.family} revoked`);
+    }
+    res.status(401);
+    throw new Error('Refresh token has been revoked');
+  }
+
+  if (stored.expiresAt <= new Date()) {
+    res.status(401);
+    throw new Error('Refresh token expired');
+  }
+
+  const user = await User.findById(stored.user);
+  if (!user || !user.isActive) {
+    await Session.revokeWhere({ family: stored.family }, 'deactivated');
+    res.status(401);
+    throw new Error('Account is not available');
+  }
+
+  // Rotate: issue a successor in the same family, then atomically retire the
+  // presented token so a concurrent replay of it loses and trips reuse detection
+  const tokens = await issueAuthTokens(user, req, stored.family);
+  const claimed = await RefreshToken.findOneAndUpdate(
+    { _id: stored._id, revokedAt: null },
+    {
+      revokedAt: new Date(),
+      revokedReason: 'rotated',
+      replacedBy: RefreshToken.hashToken(tokens.refreshToken)
+    }
+  );
+
+  if (!claimed) {
+    await Session.revokeWhere({ family: stored.family }, 'reuse-detected');
+    logger.warn(`Refresh token reuse detected for user ${stored.user}, family ${stored.family} revoked`);
+    res.status(401);
+    throw new Error('Refresh token has been revoked');
+  }
+
+  res.status(200).json({
+    status: 'success',
+    token: tokens.token,
+    refreshToken: tokens.refreshToken
   });
 }));
 
@@ -346,18 +864,168 @@ router.put('/reset-password/:resetToken', asyncHandler(async (req, res) => {
  * /auth/logout:
  *   post:
  *     summary: Logout user
+ *     description: Revokes the current session's refresh token family, which also invalidates its access tokens.
  *     tags: [Authentication]
  *     security:
  *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *                 description: Refresh token to revoke when the access token carries no session
  *     responses:
  *       200:
- *         description: Logout successful
+ *         description: Logout successful, or impersonation ended when called with an impersonation token
  */
 router.post('/logout', protect, asyncHandler(async (req, res) => {
+  // Logging out of an impersonation ends it without touching the customer's sessions
+  if (req.impersonation) {
+    await req.impersonation.end(req.impersonator._id, { ip: req.ip, userAgent: req.get('User-Agent') });
+
+    return res.status(200).json({
+      status: 'success',
+      message: 'Impersonation ended'
+    });
+  }
+
+  let family = req.auth.family;
+
+  if (!family && req.body.refreshToken) {
+    const stored = await RefreshToken.findOne({
+      tokenHash: RefreshToken.hashToken(String(req.body.refreshToken)),
+      user: req.user._id
+    });
+    family = stored?.family;
+  }
+
+  if (family) {
+    await Session.revokeWhere({ family }, 'logout');
+  }
+
   res.status(200).json({
     status: 'success',
     message: 'Logged out successfully'
   });
 }));
 
+/**
+ * @swagger
+ * /auth/logout-all:
+ *   post:
+ *     summary: Logout from every device
+ *     description: Revokes all refresh tokens and every access token issued to the user so far.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All sessions logged out
+ */
+router.post('/logout-all', protect, asyncHandler(async (req, res) => {
+  await User.updateOne({ _id: req.user._id }, { $inc: { tokenVersion: 1 } });
+  await Session.revokeAllForUser(req.user._id, 'logout-all');
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Logged out from all devices'
+  });
+}));
+
+/**
+ * @swagger
+ * /auth/sessions:
+ *   get:
+ *     summary: List active sessions
+ *     description: One session per login, with the device and when it was last used.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sessions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Session'
+ */
+router.get('/sessions', protect, asyncHandler(async (req, res) => {
+  const sessions = await Session.getActiveSessions(req.user._id);
+
+  res.status(200).json({
+    status: 'success',
+    data: sessions.map(session => ({
+      ...session.toJSON(),
+      current: session.family === req.auth.family
+    }))
+  });
+}));
+
+/**
+ * @swagger
+ * /auth/sessions:
+ *   delete:
+ *     summary: Sign out every other session
+ *     description: Ends all sessions except the one making the request. Use /auth/logout-all to end the current one too.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Other sessions revoked
+ */
+router.delete('/sessions', protect, asyncHandler(async (req, res) => {
+  const revoked = await Session.revokeAllForUser(req.user._id, 'revoked', req.auth.family);
+
+  res.status(200).json({
+    status: 'success',
+    message: `${revoked} session(s) revoked`
+  });
+}));
+
+/**
+ * @swagger
+ * /auth/sessions/{id}:
+ *   delete:
+ *     summary: Revoke a session
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       404:
+ *         description: Session not found
+ */
+router.delete('/sessions/:id', protect, asyncHandler(async (req, res) => {
+  const revoked = await Session.revokeWhere({ _id: req.params.id, user: req.user._id }, 'revoked');
+
+  if (revoked === 0) {
+    res.status(404);
+    throw new Error('Session not found');
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Session revoked'
+  });
+}));
+
 export default router; 
\ No newline at end of file
@@ -2,7 +2,7 @@ import express from 'express';
 import asyncHandler from 'express-async-handler';
 
 import Category from '../models/Category.js';
-import { protect, admin } from '../middleware/auth.js';
+import { protect, requirePermission } from '../middleware/auth.js';
 
 const router = express.Router();
 
@@ -83,7 +83,7 @@ router.get('/:id', asyncHandler(async (req, res) => {
  * @swagger
  * /categories:
  *   post:
- *     summary: Create new category (Admin only)
+ *     summary: Create new category (requires categories:write)
  *     tags: [Categories]
  *     security:
  *       - bearerAuth: []
@@ -110,9 +110,9 @@ router.get('/:id', asyncHandler(async (req, res) => {
  *       201:
  *         description: Category created successfully
  *       403:
- *         description: Not authorized as admin
+ *         description: Missing categories:write permission
  */
-router.post('/', protect, admin, asyncHandler(async (req, res) => {
+router.post('/', protect, requirePermission('categories:write'), asyncHandler(async (req, res) => {
   const category = await Category.create(req.body);
 
   res.status(201).json({
@@ -125,7 +125,7 @@ router.post('/', protect, admin, asyncHandler(async (req, res) => {
  * @swagger
  * /categories/{id}:
  *   put:
- *     summary: Update category (Admin only)
+ *     summary: Update category (requires categories:write)
  *     tags: [Categories]
  *     security:
  *       - bearerAuth: []
@@ -160,7 +160,7 @@ router.post('/', protect, admin, asyncHandler(async (req, res) => {
  *       404:
  *         description: Category not found
  */
-router.put('/:id', protect, admin, asyncHandler(async (req, res) => {
+router.put('/:id', protect, requirePermission('categories:write'), asyncHandler(async (req, res) => {
   const category = await Category.findById(req.params.id);
 
   if (!category) {
@@ -181,7 +181,7 @@ router.put('/:id', protect, admin, asyncHandler(async (req, res) => {
  * @swagger
  * /categories/{id}:
  *   delete:
- *     summary: Delete category (Admin only)
+ *     summary: Delete category (requires categories:write)
  *     tags: [Categories]
  *     security:
  *       - bearerAuth: []
@@ -197,7 +197,7 @@ router.put('/:id', protect, admin, asyncHandler(async (req, res) => {
  *       404:
  *         description: Category not found
  */
-router.delete('/:id', protect, admin, asyncHandler(async (req, res) => {
+router.delete('/:id', protect, requirePermission('categories:write'), asyncHandler(async (req, res) => {
   const category = await Category.findById(req.params.id);
 
   if (!category) {
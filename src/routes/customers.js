@@ -77,6 +77,7 @@ router.get('/dashboard', asyncHandler(async (req, res) => {
     recommendedProducts = await Product.find({
       category: { $in: categoryIds },
       isActive: true,
+      deletedAt: null,
       _id: { $nin: recentOrders.flatMap(order => order.items.map(item => item.product)) }
     })
       .populate('category', 'name')
@@ -0,0 +1,394 @@
+import express from 'express';
+import asyncHandler from 'express-async-handler';
+
+import User from '../models/User.js';
+import OAuthState from '../models/OAuthState.js';
+import Session from '../models/Session.js';
+import { protect, optionalAuth } from '../middleware/auth.js';
+import { authIpLimiter } from '../middleware/rateLimit.js';
+import { getOidcProviders, getOidcProvider } from '../config/oidc.js';
+import { createAuthorizationRequest, buildAuthorizationUrl, exchangeCode } from '../utils/oidc.js';
+import { issueAuthTokens, authUserData } from '../utils/tokens.js';
+import { sendWelcomeEmail } from '../utils/email.js';
+import { logger } from '../config/logger.js';
+
+const router = express.Router();
+
+const STATE_TTL_MS = 10 * 60 * 1000;
+
+// Resolve the :provider param to a configured provider
+const resolveProvider = (req, res) => {
+  const provider = getOidcProvider(req.params.provider);
+  if (!provider) {
+    res.status(404);
+    throw new Error('Login provider not found');
+  }
+  return provider;
+};
+
+// Create a pending authorization request and return the provider URL
+const startAuthorization = async (provider, user) => {
+  const request = createAuthorizationRequest();
+
+  await OAuthState.create({
+    stateHash: OAuthState.hashState(request.state),
+    provider: provider.id,
+    codeVerifier: request.codeVerifier,
+    nonce: request.nonce,
+    user,
+    expiresAt: new Date(Date.now() + STATE_TTL_MS)
+  });
+
+  return buildAuthorizationUrl(provider, request);
+};
+
+const toIdentity = (provider, claims) => ({
+  provider: provider.id,
+  subject: String(claims.sub),
+  email: claims.email
+});
+
+// Find or create the account for a provider login. Links by verified email
+// when the identity isn't known yet.
+const findOrCreateUser = async (provider, claims, res) => {
+  const linked = await User.findOne({
+    identities: { $elemMatch: { provider: provider.id, subject: String(claims.sub) } }
+  });
+  if (linked) return linked;
+
+  if (!claims.email || claims.email_verified !== true) {
+    res.status(400);
+    throw new Error(`${provider.name} did not return a verified email address`);
+  }
+
+  const email = claims.email.toLowerCase();
+  // The password fields aren't loaded by default, and clearing a field that
+  // wasn't loaded would leave it in place
+  const existing = await User.findOne({ email }).select('+password +passwordHistory');
+
+  if (existing) {
+    if (existing.getIdentity(provider.id)) {
+      res.status(409);
+      throw new Error(`A different ${provider.name} account is linked to this email`);
+    }
+
+    existing.identities.push(toIdentity(provider, claims));
+
+    // Whoever set the password on an unverified account may not own the
+    // address, so drop it and sign out everything they started
+    if (!existing.emailVerified) {
+      existing.password = undefined;
+      existing.passwordHistory = undefined;
+      existing.emailVerified = true;
+      existing.emailVerificationToken = undefined;
+      existing.emailVerificationExpire = undefined;
+      existing.tokenVersion += 1;
+      await existing.save();
+      await Session.revokeAllForUser(existing._id, 'revoked');
+      return existing;
+    }
+
+    await existing.save();
+    return existing;
+  }
+
+  const user = await User.create({
+    name: claims.name || email.split('@')[0],
+    email,
+    emailVerified: true,
+    role: 'customer',
+    identities: [toIdentity(provider, claims)]
+  });
+
+  try {
+    await sendWelcomeEmail(user);
+  } catch (error) {
+    logger.error(`Failed to send welcome email to ${user.email}: ${error.message}`);
+  }
+
+  return user;
+};
+
+/**
+ * @swagger
+ * /auth/oidc/providers:
+ *   get:
+ *     summary: List the social login providers that are enabled
+ *     tags: [Social Login]
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: Providers retrieved successfully
+ */
+router.get('/providers', (req, res) => {
+  const providers = [...getOidcProviders().values()].map(({ id, name }) => ({ id, name }));
+
+  res.status(200).json({
+    status: 'success',
+    data: providers
+  });
+});
+
+/**
+ * @swagger
+ * /auth/oidc/identities:
+ *   get:
+ *     summary: List the providers linked to your account
+ *     tags: [Social Login]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Linked providers retrieved successfully
+ */
+router.get('/identities', protect, asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id).select('identities');
+
+  res.status(200).json({
+    status: 'success',
+    data: user.identities
+  });
+}));
+
+/**
+ * @swagger
+ * /auth/oidc/identities/{provider}:
+ *   delete:
+ *     summary: Unlink a provider from your account
+ *     tags: [Social Login]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Provider unlinked
+ *       400:
+ *         description: It is the only way left to sign in
+ *       404:
+ *         description: Provider not linked
+ */
+router.delete('/identities/:provider', protect, asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id).select('+password');
+
+  if (!user.getIdentity(req.params.provider)) {
+    res.status(404);
+    throw new Error('Provider is not linked to this account');
+  }
+
+  if (!user.password && user.identities.length === 1) {
+    res.status(400);
+    throw new Error('Set a password before unlinking your only login provider');
+  }
+
+  user.identities = user.identities.filter(identity => identity.provider !== req.params.provider);
+  await user.save();
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Provider unlinked',
+    data: user.identities
+  });
+}));
+
+/**
+ * @swagger
+ * /auth/oidc/{provider}/authorize:
+ *   post:
+ *     summary: Start logging in with a provider
+ *     description: Returns the provider URL to send the browser to. The provider redirects back to the configured redirect URI with `code` and `state`, which the frontend posts to /auth/oidc/{provider}/callback.
+ *     tags: [Social Login]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Authorization URL created
+ *       404:
+ *         description: Login provider not found
+ */
+router.post('/:provider/authorize', authIpLimiter('oidc'), asyncHandler(async (req, res) => {
+  const provider = resolveProvider(req, res);
+  const authorizationUrl = await startAuthorization(provider);
+
+  res.status(200).json({
+    status: 'success',
+    data: { authorizationUrl }
+  });
+}));
+
+/**
+ * @swagger
+ * /auth/oidc/{provider}/link:
+ *   post:
+ *     summary: Start linking a provider to your account
+ *     description: Same as /authorize, but the callback links the provider to the signed-in account instead of logging in.
+ *     tags: [Social Login]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Authorization URL created
+ *       404:
+ *         description: Login provider not found
+ */
+router.post('/:provider/link', protect, asyncHandler(async (req, res) => {
+  const provider = resolveProvider(req, res);
+  const authorizationUrl = await startAuthorization(provider, req.user._id);
+
+  res.status(200).json({
+    status: 'success',
+    data: { authorizationUrl }
+  });
+}));
+
+/**
+ * @swagger
+ * /auth/oidc/{provider}/callback:
+ *   post:
+ *     summary: Finish a provider login or link
+ *     description: Logs in (creating an account or linking one by verified email), or links the provider when the flow was started with /link. Finishing a link needs the token of the account that started it. Login responses match /auth/login.
+ *     tags: [Social Login]
+ *     security:
+ *       - {}
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *               - state
+ *             properties:
+ *               code:
+ *                 type: string
+ *               state:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Logged in, or provider linked
+ *       400:
+ *         description: Invalid or expired state, or the provider rejected the code
+ *       401:
+ *         description: Account is deactivated
+ *       403:
+ *         description: A link started by another account
+ *       409:
+ *         description: Provider account is linked to another user
+ */
+router.post('/:provider/callback', authIpLimiter('oidc'), optionalAuth, asyncHandler(async (req, res) => {
+  const provider = resolveProvider(req, res);
+  const { code, state } = req.body;
+
+  if (!code || !state || typeof code !== 'string' || typeof state !== 'string') {
+    res.status(400);
+    throw new Error('code and state are required');
+  }
+
+  const pending = await OAuthState.consume(provider.id, state);
+  if (!pending) {
+    res.status(400);
+    throw new Error('Invalid or expired login request');
+  }
+
+  // A link is only finished by the account that started it, so nobody can be
+  // tricked into linking their provider account to someone else's
+  if (pending.user && !req.user?._id.equals(pending.user)) {
+    res.status(403);
+    throw new Error('Sign in to the account that started linking to finish it');
+  }
+
+  let claims;
+  try {
+    claims = await exchangeCode(provider, {
+      code,
+      codeVerifier: pending.codeVerifier,
+      nonce: pending.nonce
+    });
+  } catch (error) {
+    logger.warn(`OIDC login with ${provider.id} failed: ${error.message}`);
+    res.status(400);
+    throw new Error(`Could not complete login with ${provider.name}`);
+  }
+
+  // Linking a provider to the account that started the flow
+  if (pending.user) {
+    const owner = await User.findOne({
+      identities: { $elemMatch: { provider: provider.id, subject: String(claims.sub) } }
+    }).select('_id');
+
+    if (owner && !owner._id.equals(pending.user)) {
+      res.status(409);
+      throw new Error(`This ${provider.name} account is linked to another user`);
+    }
+
+    const user = await User.findById(pending.user);
+    const current = user.getIdentity(provider.id);
+
+    if (current && current.subject !== String(claims.sub)) {
+      res.status(409);
+      throw new Error(`A different ${provider.name} account is already linked, unlink it first`);
+    }
+
+    if (!current) {
+      user.identities.push(toIdentity(provider, claims));
+      await user.save();
+    }
+
+    return res.status(200).json({
+      status: 'success',
+      message: `${provider.name} linked`,
+      data: user.identities
+    });
+  }
+
+  const user = await findOrCreateUser(provider, claims, res);
+
+  if (!user.isActive) {
+    res.status(401);
+    throw new Error('Account is deactivated');
+  }
+
+  // Second factor required - hand out a partial token instead of a session
+  if (user.twoFactorEnabled) {
+    return res.status(200).json({
+      status: 'success',
+      twoFactorRequired: true,
+      twoFactorToken: user.getTwoFactorToken()
+    });
+  }
+
+  const { token, refreshToken } = await issueAuthTokens(user, req);
+
+  res.status(200).json({
+    status: 'success',
+    data: authUserData(user),
+    ...(await user.requiresTwoFactorSetup() && { twoFactorSetupRequired: true }),
+    token,
+    refreshToken
+  });
+}));
+
+export default router;
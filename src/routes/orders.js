@@ -1,19 +1,123 @@
 import express from 'express';
+import mongoose from 'mongoose';
 import asyncHandler from 'express-async-handler';
 
 import Order from '../models/Order.js';
 import Product from '../models/Product.js';
-import { protect, admin, customer } from '../middleware/auth.js';
-import { validateOrder } from '../middleware/validation.js';
+import Reservation from '../models/Reservation.js';
+import Warehouse from '../models/Warehouse.js';
+import StockMovement from '../models/StockMovement.js';
+import { protect, customer, requireVerifiedEmail, verificationRequiredFor, requirePermission, can } from '../middleware/auth.js';
+import { validateOrder, validateGuestOrder } from '../middleware/validation.js';
 import { sendOrderConfirmationEmail, sendOrderStatusUpdateEmail } from '../utils/email.js';
+import { withTransaction } from '../utils/transaction.js';
+import { findStockUnit, endReservation } from '../utils/reservations.js';
+import { rankWarehouses, allocateStock } from '../utils/inventory.js';
+import { allocationMovements } from '../utils/stockLedger.js';
+import { logger } from '../config/logger.js';
 
 const router = express.Router();
 
+// Guest checkout is on unless explicitly turned off
+const guestCheckoutEnabled = (req, res, next) => {
+  if (process.env.GUEST_CHECKOUT_ENABLED === 'false') {
+    res.status(403);
+    throw new Error('Guest checkout is disabled');
+  }
+
+  // A guest has no verified email, so the policy for orders covers them too
+  if (verificationRequiredFor('orders')) {
+    res.status(403);
+    throw new Error('Please sign in with a verified email address to place an order');
+  }
+  next();
+};
+
+// Guest order access token from the header, or the query string for emailed links
+const guestAccessToken = (req) => req.get('X-Order-Token') || req.query.token;
+
+// Reservation named in an order, checked before the order transaction. An
+// ended or expired one is ignored and the order takes whatever is available.
+const findOrderReservation = async (req, res) => {
+  if (!req.body.reservation) return null;
+
+  const reservation = await Reservation.findById(req.body.reservation);
+  if (!reservation || !reservation.isAccessibleBy(req.user, req.get('X-Reservation-Token'))) {
+    res.status(404);
+    throw new Error('Reservation not found');
+  }
+  return reservation;
+};
+
+// Check products, take their stock and build order line items. Runs inside
+// the order transaction: stock is only taken with a conditional update, so a
+// concurrent checkout can't take the same units or units other carts have
+// reserved, and any failure rolls back what earlier items took. Products
+// stocked per warehouse also take it from the warehouses picked for the
+// shipping address. Each sale is recorded in the stock ledger against the order.
+const buildOrderItems = async (items, { orderId, actor, shippingAddress }, res, session) => {
+  let totalAmount = 0;
+  const orderItems = [];
+  const movements = [];
+  const warehouses = rankWarehouses(await Warehouse.find().session(session), shippingAddress);
+
+  for (const item of items) {
+    const { product, variant, label } = await findStockUnit(item, res, session);
+    const stocked = variant || product;
+
+    // Take the stock only if enough is available at the moment of the update
+    const taken = await Product.findOneAndUpdate(
+      Product.availableFilter(product._id, variant?._id, item.quantity),
+      {
+        $inc: variant
+          ? { 'variants.$.stock': -item.quantity, stock: -item.quantity, salesCount: item.quantity }
+          : { stock: -item.quantity, salesCount: item.quantity }
+      },
+      { new: true, session }
+    );
+
+    const allocations = taken &&
+      await allocateStock(product, variant, item.quantity, warehouses, session);
+
+    if (!allocations) {
+      res.status(400);
+      throw new Error(`Insufficient stock for ${label}`);
+    }
+
+    movements.push(...allocationMovements(
+      product,
+      variant,
+      -Number(item.quantity),
+      allocations,
+      variant ? taken.getVariant(variant._id).stock : taken.stock,
+      { reason: 'sale', actor, reference: orderId, referenceModel: 'Order' }
+    ));
+
+    orderItems.push({
+      product: product._id,
+      ...(variant && { variant: variant._id, sku: variant.sku, options: variant.options }),
+      name: product.name,
+      quantity: item.quantity,
+      price: stocked.price,
+      image: variant?.images[0] || product.images[0],
+      ...(allocations.length > 0 && {
+        allocations: allocations.map(({ warehouse, quantity }) => ({ warehouse, quantity }))
+      })
+    });
+
+    totalAmount += stocked.price * item.quantity;
+  }
+
+  await StockMovement.record(movements, session);
+
+  return { orderItems, totalAmount };
+};
+
 /**
  * @swagger
  * /orders:
  *   get:
- *     summary: Get user orders (Customer) or all orders (Admin)
+ *     summary: Get own orders, or all orders with orders:read
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
@@ -44,8 +148,8 @@ router.get('/', protect, asyncHandler(async (req, res) => {
 
   const filter = {};
   
-  // If customer, only show their orders
-  if (req.user.role === 'customer') {
+  // Without orders:read, only show their own orders
+  if (!(await can(req, 'orders:read'))) {
     filter.user = req.user.id;
   }
   
@@ -105,7 +209,7 @@ router.get('/:id', protect, asyncHandler(async (req, res) => {
   }
 
   // Check if user can access this order
-  if (req.user.role === 'customer' && order.user.toString() !== req.user.id) {
+  if (order.user?._id.toString() !== req.user.id && !(await can(req, 'orders:read'))) {
     res.status(403);
     throw new Error('Not authorized to access this order');
   }
@@ -121,69 +225,61 @@ router.get('/:id', protect, asyncHandler(async (req, res) => {
  * /orders:
  *   post:
  *     summary: Create new order (Customer only)
+ *     description: With a `reservation`, the stock it holds is used for the order and the reservation ends.
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: X-Reservation-Token
+ *         description: Access token of a guest reservation
+ *         schema:
+ *           type: string
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/Order'
+ *             allOf:
+ *               - $ref: '#/components/schemas/Order'
+ *               - type: object
+ *                 properties:
+ *                   reservation:
+ *                     type: string
+ *                     description: Reservation ID
  *     responses:
  *       201:
  *         description: Order created successfully
  *       400:
  *         description: Validation error
+ *       403:
+ *         description: Email address not verified
  */
-router.post('/', protect, customer, validateOrder, asyncHandler(async (req, res) => {
+router.post('/', protect, customer, requireVerifiedEmail('orders'), validateOrder, asyncHandler(async (req, res) => {
   const { items, shippingAddress, paymentMethod, notes } = req.body;
-
-  // Validate products and calculate totals
-  let totalAmount = 0;
-  const orderItems = [];
-
-  for (const item of items) {
-    const product = await Product.findById(item.product);
-    
-    if (!product) {
-      res.status(404);
-      throw new Error(`Product ${item.product} not found`);
+  const reservation = await findOrderReservation(req, res);
+
+  // Stock and the order are saved together or not at all. The reservation's
+  // held stock is given back first so the order can take it.
+  const order = await withTransaction(async (session) => {
+    const orderId = new mongoose.Types.ObjectId();
+    if (reservation) {
+      await endReservation(reservation._id, 'consumed', session, { order: orderId });
     }
 
-    if (!product.isActive) {
-      res.status(400);
-      throw new Error(`Product ${product.name} is not available`);
-    }
+    const { orderItems, totalAmount } = await buildOrderItems(items, { orderId, actor: req.user.id, shippingAddress }, res, session);
 
-    if (product.stock < item.quantity) {
-      res.status(400);
-      throw new Error(`Insufficient stock for ${product.name}`);
-    }
-
-    // Update product stock
-    product.stock -= item.quantity;
-    await product.save();
-
-    orderItems.push({
-      product: product._id,
-      name: product.name,
-      quantity: item.quantity,
-      price: product.price,
-      image: product.images[0]
+    const placed = new Order({
+      _id: orderId,
+      user: req.user.id,
+      items: orderItems,
+      totalAmount,
+      shippingAddress,
+      paymentMethod,
+      notes
     });
-
-    totalAmount += product.price * item.quantity;
-  }
-
-  // Create order
-  const order = await Order.create({
-    user: req.user.id,
-    items: orderItems,
-    totalAmount,
-    shippingAddress,
-    paymentMethod,
-    notes
+    await placed.save({ session });
+    return placed;
   });
 
   // Populate order for response
@@ -203,11 +299,222 @@ router.post('/', protect, customer, validateOrder, asyncHandler(async (req, res)
   });
 }));
 
+/**
+ * @swagger
+ * /orders/guest:
+ *   post:
+ *     summary: Place an order without an account
+ *     description: Returns an access token that lets the guest look up and cancel the order. The same link is emailed to them. With a `reservation`, the stock it holds is used for the order.
+ *     tags: [Orders]
+ *     security: []
+ *     parameters:
+ *       - in: header
+ *         name: X-Reservation-Token
+ *         description: Access token of the reservation
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/Order'
+ *               - type: object
+ *                 required:
+ *                   - email
+ *                 properties:
+ *                   email:
+ *                     type: string
+ *                     format: email
+ *                   reservation:
+ *                     type: string
+ *                     description: Reservation ID
+ *     responses:
+ *       201:
+ *         description: Order created, includes accessToken
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Guest checkout is disabled, or orders need a verified email (EMAIL_VERIFICATION_REQUIRED_FOR)
+ */
+router.post('/guest', guestCheckoutEnabled, validateGuestOrder, asyncHandler(async (req, res) => {
+  const { email, items, shippingAddress, paymentMethod, notes } = req.body;
+  const reservation = await findOrderReservation(req, res);
+
+  // Stock and the order are saved together or not at all. The reservation's
+  // held stock is given back first so the order can take it.
+  const { order, accessToken } = await withTransaction(async (session) => {
+    const orderId = new mongoose.Types.ObjectId();
+    if (reservation) {
+      await endReservation(reservation._id, 'consumed', session, { order: orderId });
+    }
+
+    const { orderItems, totalAmount } = await buildOrderItems(items, { orderId, actor: null, shippingAddress }, res, session);
+
+    const placed = new Order({
+      _id: orderId,
+      guestEmail: email,
+      items: orderItems,
+      totalAmount,
+      shippingAddress,
+      paymentMethod,
+      notes
+    });
+    const token = placed.getGuestAccessToken();
+    await placed.save({ session });
+    return { order: placed, accessToken: token };
+  });
+
+  await order.populate('items.product', 'name images price');
+
+  // Send confirmation email with the order access link
+  try {
+    const orderUrl = `${process.env.FRONTEND_URL}/orders/${order._id}?token=${accessToken}`;
+    await sendOrderConfirmationEmail(order.getContact(), order, orderUrl);
+  } catch (error) {
+    logger.error(`Failed to send order confirmation email for order ${order._id}: ${error.message}`);
+  }
+
+  res.status(201).json({
+    status: 'success',
+    data: order,
+    accessToken
+  });
+}));
+
+/**
+ * @swagger
+ * /orders/guest/claim:
+ *   post:
+ *     summary: Move guest orders placed with your email onto your account
+ *     description: Requires a verified email address, since the email is the only link between the guest orders and the account.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Guest orders claimed
+ *       403:
+ *         description: Email address not verified
+ */
+router.post('/guest/claim', protect, customer, asyncHandler(async (req, res) => {
+  if (!req.user.emailVerified) {
+    res.status(403);
+    throw new Error('Please verify your email address to claim guest orders');
+  }
+
+  const claimed = await Order.claimGuestOrders(req.user);
+
+  res.status(200).json({
+    status: 'success',
+    message: `${claimed} guest order(s) added to your account`,
+    data: { claimed }
+  });
+}));
+
+/**
+ * @swagger
+ * /orders/guest/{id}:
+ *   get:
+ *     summary: Get a guest order with its access token
+ *     tags: [Orders]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: header
+ *         name: X-Order-Token
+ *         schema:
+ *           type: string
+ *         description: Access token returned at checkout
+ *       - in: query
+ *         name: token
+ *         schema:
+ *           type: string
+ *         description: Access token, for links that can't set headers
+ *     responses:
+ *       200:
+ *         description: Order retrieved successfully
+ *       404:
+ *         description: Order not found
+ */
+router.get('/guest/:id', asyncHandler(async (req, res) => {
+  const order = await Order.findGuestOrder(req.params.id, guestAccessToken(req));
+
+  if (!order) {
+    res.status(404);
+    throw new Error('Order not found');
+  }
+
+  await order.populate('items.product', 'name images price');
+
+  res.status(200).json({
+    status: 'success',
+    data: order
+  });
+}));
+
+/**
+ * @swagger
+ * /orders/guest/{id}/cancel:
+ *   post:
+ *     summary: Cancel a guest order with its access token
+ *     tags: [Orders]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: header
+ *         name: X-Order-Token
+ *         schema:
+ *           type: string
+ *         description: Access token returned at checkout
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 description: Cancellation reason
+ *     responses:
+ *       200:
+ *         description: Order cancelled successfully
+ *       404:
+ *         description: Order not found
+ */
+router.post('/guest/:id/cancel', asyncHandler(async (req, res) => {
+  const { reason } = req.body;
+
+  const order = await Order.findGuestOrder(req.params.id, guestAccessToken(req));
+
+  if (!order) {
+    res.status(404);
+    throw new Error('Order not found');
+  }
+
+  await order.cancelOrder(null, reason);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Order cancelled successfully',
+    data: order
+  });
+}));
+
 /**
  * @swagger
  * /orders/{id}/cancel:
  *   post:
- *     summary: Cancel order (Customer or Admin)
+ *     summary: Cancel own order, or any order with orders:cancel
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
@@ -243,8 +550,10 @@ router.post('/:id/cancel', protect, asyncHandler(async (req, res) => {
     throw new Error('Order not found');
   }
 
-  // Check if user can cancel this order
-  if (req.user.role === 'customer' && order.user.toString() !== req.user.id) {
+  // Check if user can cancel this order. API keys need the orders:cancel
+  // scope even for their owner's orders.
+  const ownOrder = !req.apiKey && order.user?.toString() === req.user.id;
+  if (!ownOrder && !(await can(req, 'orders:cancel'))) {
     res.status(403);
     throw new Error('Not authorized to cancel this order');
   }
@@ -262,7 +571,7 @@ router.post('/:id/cancel', protect, asyncHandler(async (req, res) => {
  * @swagger
  * /orders/{id}/status:
  *   put:
- *     summary: Update order status (Admin only)
+ *     summary: Update order status (requires orders:update-status)
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
@@ -292,7 +601,7 @@ router.post('/:id/cancel', protect, asyncHandler(async (req, res) => {
  *       404:
  *         description: Order not found
  */
-router.put('/:id/status', protect, admin, asyncHandler(async (req, res) => {
+router.put('/:id/status', protect, requirePermission('orders:update-status'), asyncHandler(async (req, res) => {
   const { status, trackingNumber, trackingUrl } = req.body;
 
   const order = await Order.findById(req.params.id);
@@ -310,7 +619,8 @@ router.put('/:id/status', protect, admin, asyncHandler(async (req, res) => {
 
   // Send status update email
   try {
-    await sendOrderStatusUpdateEmail(order.user, order);
+    await order.populate('user', 'name email');
+    await sendOrderStatusUpdateEmail(order.getContact(), order);
   } catch (error) {
     console.error('Failed to send status update email:', error);
   }
@@ -1,12 +1,65 @@
 import express from 'express';
+import mongoose from 'mongoose';
 import asyncHandler from 'express-async-handler';
 
 import Product from '../models/Product.js';
-import { protect, admin, optionalAuth } from '../middleware/auth.js';
-import { validateProduct } from '../middleware/validation.js';
+import Review from '../models/Review.js';
+import Order from '../models/Order.js';
+import ImportJob from '../models/ImportJob.js';
+import InventoryLevel from '../models/InventoryLevel.js';
+import Warehouse from '../models/Warehouse.js';
+import StockMovement, { MOVEMENT_REASONS } from '../models/StockMovement.js';
+import { protect, requirePermission, optionalAuth, can } from '../middleware/auth.js';
+import { validateProduct, validateStockAdjustment } from '../middleware/validation.js';
+import { imageUpload, dataFileUpload } from '../middleware/upload.js';
+import { getSuggestions, recordSearch } from '../utils/suggest.js';
+import { getStorage, saveUploads } from '../utils/storage.js';
+import { parseCatalogFile, runImport, writeCatalogExport } from '../utils/catalog.js';
+import { findInventoryUnit, mergeVariants, warehouseStock, keepWarehouseStock } from '../utils/inventory.js';
+import { stockSnapshot, recordStockChanges, adjustStock, verifyStock, rebuildStock } from '../utils/stockLedger.js';
+import { withTransaction } from '../utils/transaction.js';
+import { logger } from '../config/logger.js';
 
 const router = express.Router();
 
+// Delete uploaded images that no product or review uses any more. Files are
+// named by content hash, so several products can share one.
+const removeUnusedImages = async (urls) => {
+  const storage = getStorage();
+
+  for (const url of new Set(urls)) {
+    const key = storage.keyFromUrl(url);
+    if (!key) continue;
+
+    const inUse = await Product.exists({ $or: [{ images: url }, { 'variants.images': url }] }) ||
+      await Review.exists({ images: url });
+    if (!inUse) await storage.delete(key);
+  }
+};
+
+// Fields a request can set. Reserved quantities, ratings, sales counts and
+// trash state are only changed by the code that owns them.
+const PRODUCT_FIELDS = [
+  'name', 'description', 'price', 'originalPrice', 'category', 'brand', 'stock', 'images', 'variantOptions',
+  'variants', 'specifications', 'tags', 'isActive', 'isFeatured', 'sku', 'weight', 'dimensions', 'shippingInfo'
+];
+const VARIANT_FIELDS = ['sku', 'options', 'price', 'originalPrice', 'stock', 'weight', 'images', 'isActive'];
+
+const pickFields = (data, fields) => Object.fromEntries(
+  fields.filter(field => data?.[field] !== undefined).map(field => [field, data[field]])
+);
+
+const pickProductFields = (body) => {
+  const data = pickFields(body, PRODUCT_FIELDS);
+  if (Array.isArray(data.variants)) {
+    data.variants = data.variants.map(variant => ({
+      ...(variant?._id && { _id: variant._id }),
+      ...pickFields(variant, VARIANT_FIELDS)
+    }));
+  }
+  return data;
+};
+
 /**
  * @swagger
  * /products:
@@ -30,6 +83,7 @@ const router = express.Router();
  *           type: string
  *       - in: query
  *         name: search
+ *         description: Full-text search on name, description and tags, ranked by relevance
  *         schema:
  *           type: string
  *       - in: query
@@ -41,34 +95,71 @@ const router = express.Router();
  *         schema:
  *           type: number
  *       - in: query
+ *         name: brand
+ *         description: Comma-separated brands
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: minRating
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: stockStatus
+ *         schema:
+ *           type: string
+ *           enum: [in-stock, low-stock, out-of-stock]
+ *       - in: query
  *         name: sort
+ *         description: Defaults to relevance when searching, newest otherwise
  *         schema:
  *           type: string
  *           enum: [price_asc, price_desc, name_asc, name_desc, rating_desc, newest]
  *     responses:
  *       200:
- *         description: Products retrieved successfully
+ *         description: Products retrieved successfully, with facet counts for brand, category, price, rating and stock status. Each facet ignores its own filter.
  */
 router.get('/', optionalAuth, asyncHandler(async (req, res) => {
   const page = parseInt(req.query.page) || 1;
   const limit = parseInt(req.query.limit) || 20;
   const skip = (page - 1) * limit;
+  const search = typeof req.query.search === 'string' ? req.query.search.trim() : '';
 
-  // Build filter
-  const filter = { isActive: true };
+  if (search.length > 200) {
+    res.status(400);
+    throw new Error('Search query is too long');
+  }
+
+  // Build filters, keyed by the facet they narrow
+  const filters = {};
   
   if (req.query.category) {
-    filter.category = req.query.category;
+    filters.category = { category: req.query.category };
   }
   
   if (req.query.minPrice || req.query.maxPrice) {
-    filter.price = {};
-    if (req.query.minPrice) filter.price.$gte = parseFloat(req.query.minPrice);
-    if (req.query.maxPrice) filter.price.$lte = parseFloat(req.query.maxPrice);
+    filters.price = { price: {} };
+    if (req.query.minPrice) filters.price.price.$gte = parseFloat(req.query.minPrice);
+    if (req.query.maxPrice) filters.price.price.$lte = parseFloat(req.query.maxPrice);
+  }
+
+  if (req.query.brand) {
+    filters.brand = { brand: { $in: String(req.query.brand).split(',').map(brand => brand.trim()) } };
   }
 
+  if (req.query.minRating) {
+    filters.rating = { averageRating: { $gte: parseFloat(req.query.minRating) } };
+  }
+
+  if (req.query.stockStatus) {
+    filters.stockStatus = Product.stockStatusFilter(req.query.stockStatus);
+  }
+
+  const filter = Object.values(filters)
+    .filter(Boolean)
+    .reduce((all, clause) => ({ ...all, ...clause }), { isActive: true, deletedAt: null });
+
   // Build sort
-  let sort = { createdAt: -1 };
+  let sort = search ? null : { createdAt: -1 };
   if (req.query.sort) {
     switch (req.query.sort) {
       case 'price_asc':
@@ -95,17 +186,13 @@ router.get('/', optionalAuth, asyncHandler(async (req, res) => {
   let products;
   let total;
 
-  if (req.query.search) {
-    // Search products
-    products = await Product.searchProducts(req.query.search, limit, skip);
-    total = await Product.countDocuments({
-      isActive: true,
-      $or: [
-        { name: { $regex: req.query.search, $options: 'i' } },
-        { description: { $regex: req.query.search, $options: 'i' } },
-        { tags: { $in: [new RegExp(req.query.search, 'i')] } }
-      ]
-    });
+  if (search) {
+    // Ranked by relevance unless another sort was asked for
+    products = await Product.searchProducts(search, { filter, sort, limit, skip });
+    total = await Product.countDocuments({ ...filter, $text: { $search: search } });
+
+    // Counted for popular search suggestions, without holding up the response
+    recordSearch(search, total, req.user?._id ?? req.ip);
   } else {
     // Get products with filter
     products = await Product.find(filter)
@@ -117,6 +204,259 @@ router.get('/', optionalAuth, asyncHandler(async (req, res) => {
     total = await Product.countDocuments(filter);
   }
 
+  const facets = await Product.getFacets(search ? { $text: { $search: search } } : {}, filters);
+
+  res.status(200).json({
+    status: 'success',
+    data: products,
+    facets,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  });
+}));
+
+/**
+ * @swagger
+ * /products/suggest:
+ *   get:
+ *     summary: Autocomplete suggestions for the search box
+ *     description: Product names, brands, categories and popular past searches matching what has been typed so far. Values starting with the text come first, then those with a later word starting with it, each ordered by sales. Cached for SEARCH_SUGGEST_CACHE_SECONDS.
+ *     tags: [Products]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *           maxLength: 100
+ *       - in: query
+ *         name: limit
+ *         description: Suggestions per group
+ *         schema:
+ *           type: integer
+ *           default: 5
+ *           maximum: 10
+ *     responses:
+ *       200:
+ *         description: Suggestions retrieved successfully
+ *       400:
+ *         description: q is missing or too long
+ */
+router.get('/suggest', asyncHandler(async (req, res) => {
+  const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+  const limit = Math.min(parseInt(req.query.limit) || 5, 10);
+
+  if (!q || q.length > 100) {
+    res.status(400);
+    throw new Error('q must be between 1 and 100 characters');
+  }
+
+  const suggestions = await getSuggestions(q, limit);
+
+  res.set('Cache-Control', `public, max-age=${parseInt(process.env.SEARCH_SUGGEST_CACHE_SECONDS) || 60}`);
+  res.status(200).json({
+    status: 'success',
+    data: suggestions
+  });
+}));
+
+/**
+ * @swagger
+ * /products/import:
+ *   post:
+ *     summary: Bulk create and update products from CSV or JSON (requires products:write)
+ *     description: Rows are upserted by `sku`. New products are checked with the same rules as POST /products; rows for existing products only need the columns they change. Variants are matched by their own `sku`. Categories are matched by name, slug or ID. The import runs in the background; poll the returned job for progress and per-row errors. With `dryRun=true` rows are only validated.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: A .csv file with a header row, or a .json array, in the export format
+ *     responses:
+ *       202:
+ *         description: Import started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ImportJob'
+ *       400:
+ *         description: Missing, malformed or empty file
+ */
+router.post('/import', protect, requirePermission('products:write'), dataFileUpload('file'), asyncHandler(async (req, res) => {
+  let rows;
+  try {
+    rows = parseCatalogFile(req.file.buffer, req.file.format);
+  } catch (error) {
+    res.status(400);
+    throw new Error(`Could not read ${req.file.originalname}: ${error.message}`);
+  }
+
+  if (rows.length === 0) {
+    res.status(400);
+    throw new Error(`${req.file.originalname} has no product rows`);
+  }
+
+  const job = await ImportJob.create({
+    createdBy: req.user._id,
+    fileName: req.file.originalname,
+    format: req.file.format,
+    dryRun: req.query.dryRun === 'true',
+    total: rows.length
+  });
+
+  // Runs after the response; the job records its own failures
+  setImmediate(() => runImport(job, rows).catch(error => {
+    logger.error(`Product import ${job._id} could not be saved: ${error.message}`);
+  }));
+
+  res.status(202).json({
+    status: 'success',
+    data: job
+  });
+}));
+
+/**
+ * @swagger
+ * /products/import/{jobId}:
+ *   get:
+ *     summary: Get the progress and row errors of an import (requires products:write)
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Import job retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ImportJob'
+ *       404:
+ *         description: Import job not found
+ */
+router.get('/import/:jobId', protect, requirePermission('products:write'), asyncHandler(async (req, res) => {
+  await ImportJob.failStale();
+  const job = await ImportJob.findById(req.params.jobId).populate('createdBy', 'name email');
+
+  if (!job) {
+    res.status(404);
+    throw new Error('Import job not found');
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: job
+  });
+}));
+
+/**
+ * @swagger
+ * /products/export:
+ *   get:
+ *     summary: Download the whole catalog as CSV or JSON (requires products:write)
+ *     description: Includes inactive products but not the trash. The file can be edited and sent back to /products/import.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, json]
+ *           default: csv
+ *     responses:
+ *       200:
+ *         description: Catalog file
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ */
+router.get('/export', protect, requirePermission('products:write'), asyncHandler(async (req, res) => {
+  const format = req.query.format === 'json' ? 'json' : 'csv';
+  const date = new Date().toISOString().slice(0, 10);
+
+  res.status(200).set({
+    'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8',
+    'Content-Disposition': `attachment; filename="products-${date}.${format}"`
+  });
+
+  try {
+    await writeCatalogExport(res, format);
+  } catch (error) {
+    // Headers are gone by now, so cut the download short instead
+    logger.error(`Product export failed: ${error.message}`);
+    res.destroy(error);
+  }
+}));
+
+/**
+ * @swagger
+ * /products/trash:
+ *   get:
+ *     summary: List products in the trash (requires products:write)
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Deleted products retrieved successfully
+ */
+router.get('/trash', protect, requirePermission('products:write'), asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const skip = (page - 1) * limit;
+  const filter = { deletedAt: { $ne: null } };
+
+  const products = await Product.find(filter)
+    .populate('category', 'name')
+    .populate('deletedBy', 'name email')
+    .sort({ deletedAt: -1 })
+    .skip(skip)
+    .limit(limit);
+
+  const total = await Product.countDocuments(filter);
+
   res.status(200).json({
     status: 'success',
     data: products,
@@ -185,7 +525,8 @@ router.get('/:id', optionalAuth, asyncHandler(async (req, res) => {
       }
     });
 
-  if (!product) {
+  // Products in the trash are only visible to catalog managers
+  if (!product || (product.deletedAt && !(await can(req, 'products:write')))) {
     res.status(404);
     throw new Error('Product not found');
   }
@@ -200,7 +541,7 @@ router.get('/:id', optionalAuth, asyncHandler(async (req, res) => {
  * @swagger
  * /products:
  *   post:
- *     summary: Create new product (Admin only)
+ *     summary: Create new product (requires products:write)
  *     tags: [Products]
  *     security:
  *       - bearerAuth: []
@@ -214,10 +555,19 @@ router.get('/:id', optionalAuth, asyncHandler(async (req, res) => {
  *       201:
  *         description: Product created successfully
  *       403:
- *         description: Not authorized as admin
+ *         description: Missing products:write permission
  */
-router.post('/', protect, admin, validateProduct, asyncHandler(async (req, res) => {
-  const product = await Product.create(req.body);
+router.post('/', protect, requirePermission('products:write'), validateProduct, asyncHandler(async (req, res) => {
+  // The product and the ledger entries for its opening stock are saved together
+  const product = await withTransaction(async (session) => {
+    const [created] = await Product.create([pickProductFields(req.body)], { session });
+    await recordStockChanges(new Map(), created, {
+      reason: 'adjustment',
+      actor: req.user._id,
+      note: 'Product created'
+    }, session);
+    return created;
+  });
 
   res.status(201).json({
     status: 'success',
@@ -229,7 +579,8 @@ router.post('/', protect, admin, validateProduct, asyncHandler(async (req, res)
  * @swagger
  * /products/{id}:
  *   put:
- *     summary: Update product (Admin only)
+ *     summary: Update product (requires products:write)
+ *     description: Variants sent with their _id are updated, ones without are added and ones left out are removed. Stock of a product or variant that is stocked per warehouse is left as it is; change it through the warehouse endpoints. Reserved quantities, ratings, sales counts and trash state can't be set.
  *     tags: [Products]
  *     security:
  *       - bearerAuth: []
@@ -248,10 +599,99 @@ router.post('/', protect, admin, validateProduct, asyncHandler(async (req, res)
  *     responses:
  *       200:
  *         description: Product updated successfully
+ *       400:
+ *         description: Validation error or unknown variant ID
  *       404:
  *         description: Product not found
+ *       409:
+ *         description: A removed variant is still held by reservations, warehouses or open orders
  */
-router.put('/:id', protect, admin, validateProduct, asyncHandler(async (req, res) => {
+router.put('/:id', protect, requirePermission('products:write'), validateProduct, asyncHandler(async (req, res) => {
+  // The product and the ledger entries for any stock it changes are saved
+  // together
+  const product = await withTransaction(async (session) => {
+    const product = await Product.findById(req.params.id).session(session);
+
+    if (!product || product.deletedAt) {
+      res.status(404);
+      throw new Error('Product not found');
+    }
+
+    const kept = await warehouseStock(product, session);
+    const snapshot = stockSnapshot(product);
+
+    const { variants, ...fields } = pickProductFields(req.body);
+    Object.assign(product, fields);
+    if (variants !== undefined) {
+      await mergeVariants(product, variants, res, session);
+    }
+    keepWarehouseStock(product, kept);
+
+    await product.save({ session });
+    await recordStockChanges(snapshot, product, { reason: 'adjustment', actor: req.user._id }, session);
+    return product;
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: product
+  });
+}));
+
+/**
+ * @swagger
+ * /products/{id}/stock-movements:
+ *   get:
+ *     summary: List a product's stock ledger (requires inventory:read)
+ *     description: Every change to the product's stock, oldest first.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: variant
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: warehouse
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: reason
+ *         schema:
+ *           type: string
+ *           enum: [opening, sale, cancellation, return, adjustment, import, transfer]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Stock movements retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/StockMovement'
+ *       404:
+ *         description: Product not found
+ */
+router.get('/:id/stock-movements', protect, requirePermission('inventory:read'), asyncHandler(async (req, res) => {
   const product = await Product.findById(req.params.id);
 
   if (!product) {
@@ -259,12 +699,270 @@ router.put('/:id', protect, admin, validateProduct, asyncHandler(async (req, res
     throw new Error('Product not found');
   }
 
-  Object.assign(product, req.body);
-  await product.save();
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+  const skip = (page - 1) * limit;
+
+  const filter = { product: product._id };
+  for (const field of ['variant', 'warehouse']) {
+    if (req.query[field] && mongoose.isValidObjectId(req.query[field])) {
+      filter[field] = req.query[field];
+    }
+  }
+  if (MOVEMENT_REASONS.includes(req.query.reason)) {
+    filter.reason = req.query.reason;
+  }
+
+  const [movements, total] = await Promise.all([
+    StockMovement.find(filter)
+      .populate('actor', 'name email')
+      .populate('warehouse', 'name code')
+      .sort({ createdAt: 1, _id: 1 })
+      .skip(skip)
+      .limit(limit),
+    StockMovement.countDocuments(filter)
+  ]);
 
   res.status(200).json({
     status: 'success',
-    data: product
+    data: movements,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  });
+}));
+
+/**
+ * @swagger
+ * /products/{id}/stock-movements:
+ *   post:
+ *     summary: Adjust a product's stock by hand (requires inventory:write)
+ *     description: Records a count correction, or returned goods put back into stock. Products stocked per warehouse are adjusted at a warehouse.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - quantity
+ *             properties:
+ *               variant:
+ *                 type: string
+ *                 description: Required for products sold in variants
+ *               warehouse:
+ *                 type: string
+ *                 description: Required for stock kept per warehouse
+ *               quantity:
+ *                 type: integer
+ *                 description: Change in stock, negative to take stock out
+ *               reason:
+ *                 type: string
+ *                 enum: [adjustment, return]
+ *                 default: adjustment
+ *               order:
+ *                 type: string
+ *                 description: Order the returned goods came from
+ *               note:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Stock adjusted, with the recorded movement
+ *       400:
+ *         description: Validation error or stock would go below zero
+ *       404:
+ *         description: Product, warehouse or order not found
+ */
+router.post('/:id/stock-movements', protect, requirePermission('inventory:write'), validateStockAdjustment, asyncHandler(async (req, res) => {
+  const { variant: variantId, warehouse, quantity, reason = 'adjustment', order: orderId, note } = req.body;
+
+  if (reason === 'return' && quantity < 0) {
+    res.status(400);
+    throw new Error('A return can only put stock back');
+  }
+
+  if (warehouse && !(await Warehouse.exists({ _id: warehouse }))) {
+    res.status(404);
+    throw new Error('Warehouse not found');
+  }
+
+  if (orderId) {
+    const order = await Order.findById(orderId);
+    if (!order || !order.items.some(item => item.product.equals(req.params.id))) {
+      res.status(404);
+      throw new Error('Order with this product not found');
+    }
+  }
+
+  const movement = await withTransaction(async (session) => {
+    const { product, variant } = await findInventoryUnit(req.params.id, variantId, res, session);
+    return adjustStock(product, variant, {
+      quantity,
+      warehouse,
+      reason,
+      actor: req.user._id,
+      ...(orderId && { reference: orderId, referenceModel: 'Order' }),
+      note
+    }, res, session);
+  });
+
+  res.status(201).json({
+    status: 'success',
+    data: movement
+  });
+}));
+
+/**
+ * @swagger
+ * /products/{id}/stock-movements/verify:
+ *   get:
+ *     summary: Check a product's stock against its ledger (requires inventory:read)
+ *     description: Compares the stock of the product, each variant and each warehouse with the sum of their ledger entries. Units without entries aren't tracked yet and have a null ledger.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Whether the stock is consistent, with the difference per unit
+ *       404:
+ *         description: Product not found
+ */
+router.get('/:id/stock-movements/verify', protect, requirePermission('inventory:read'), asyncHandler(async (req, res) => {
+  const product = await Product.findById(req.params.id);
+
+  if (!product) {
+    res.status(404);
+    throw new Error('Product not found');
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: await verifyStock(product)
+  });
+}));
+
+/**
+ * @swagger
+ * /products/{id}/stock-movements/rebuild:
+ *   post:
+ *     summary: Reset a product's stock to what its ledger adds up to (requires inventory:write)
+ *     description: Sets the stock of every tracked variant and warehouse to the sum of its ledger entries, e.g. after stock was changed outside the API.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Stock rebuilt, with the verification afterwards
+ *       404:
+ *         description: Product not found
+ *       409:
+ *         description: The ledger adds up to negative stock
+ */
+router.post('/:id/stock-movements/rebuild', protect, requirePermission('inventory:write'), asyncHandler(async (req, res) => {
+  const result = await withTransaction(async (session) => {
+    const product = await Product.findById(req.params.id).session(session);
+
+    if (!product || product.deletedAt) {
+      res.status(404);
+      throw new Error('Product not found');
+    }
+
+    return rebuildStock(product, res, session);
+  });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Stock rebuilt from the ledger',
+    data: result
+  });
+}));
+
+/**
+ * @swagger
+ * /products/{id}/images:
+ *   post:
+ *     summary: Upload product images (requires products:write)
+ *     description: JPEG, PNG, GIF or WebP, at most MAX_FILE_SIZE bytes each. The images are added to the product, or to one of its variants when `variant` is given.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: variant
+ *         description: Variant ID to add the images to
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               images:
+ *                 type: array
+ *                 maxItems: 10
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *     responses:
+ *       201:
+ *         description: Images uploaded
+ *       400:
+ *         description: Not an accepted image, or too large
+ *       404:
+ *         description: Product or variant not found
+ */
+router.post('/:id/images', protect, requirePermission('products:write'), imageUpload('images', 10), asyncHandler(async (req, res) => {
+  const product = await Product.findById(req.params.id);
+
+  if (!product || product.deletedAt) {
+    res.status(404);
+    throw new Error('Product not found');
+  }
+
+  const target = req.query.variant ? product.getVariant(req.query.variant) : product;
+  if (!target) {
+    res.status(404);
+    throw new Error('Variant not found');
+  }
+
+  const urls = await saveUploads(req.files, 'products');
+  target.images.push(...urls.filter(url => !target.images.includes(url)));
+  await product.save();
+
+  res.status(201).json({
+    status: 'success',
+    data: { images: urls, product }
   });
 }));
 
@@ -272,7 +970,8 @@ router.put('/:id', protect, admin, validateProduct, asyncHandler(async (req, res
  * @swagger
  * /products/{id}:
  *   delete:
- *     summary: Delete product (Admin only)
+ *     summary: Move a product to the trash (requires products:write)
+ *     description: The product disappears from the storefront and can't be ordered or reviewed, but past orders and reviews still show it. Restore it, or purge it for good once nothing refers to it.
  *     tags: [Products]
  *     security:
  *       - bearerAuth: []
@@ -284,23 +983,112 @@ router.put('/:id', protect, admin, validateProduct, asyncHandler(async (req, res
  *           type: string
  *     responses:
  *       200:
- *         description: Product deleted successfully
+ *         description: Product moved to the trash
  *       404:
  *         description: Product not found
  */
-router.delete('/:id', protect, admin, asyncHandler(async (req, res) => {
+router.delete('/:id', protect, requirePermission('products:write'), asyncHandler(async (req, res) => {
   const product = await Product.findById(req.params.id);
 
-  if (!product) {
+  if (!product || product.deletedAt) {
     res.status(404);
     throw new Error('Product not found');
   }
 
-  await product.remove();
+  await product.softDelete(req.user._id);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Product moved to the trash'
+  });
+}));
+
+/**
+ * @swagger
+ * /products/{id}/restore:
+ *   post:
+ *     summary: Restore a product from the trash (requires products:write)
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Product restored
+ *       404:
+ *         description: Product not found in the trash
+ */
+router.post('/:id/restore', protect, requirePermission('products:write'), asyncHandler(async (req, res) => {
+  const product = await Product.findById(req.params.id);
+
+  if (!product || !product.deletedAt) {
+    res.status(404);
+    throw new Error('Product not found in the trash');
+  }
+
+  await product.restore();
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Product restored',
+    data: product
+  });
+}));
+
+/**
+ * @swagger
+ * /products/{id}/purge:
+ *   delete:
+ *     summary: Permanently delete a product from the trash (requires products:write)
+ *     description: Only allowed when no order or review refers to the product. Its images are removed unless another product or review uses them.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Product permanently deleted
+ *       404:
+ *         description: Product not found in the trash
+ *       409:
+ *         description: Orders or reviews still refer to the product
+ */
+router.delete('/:id/purge', protect, requirePermission('products:write'), asyncHandler(async (req, res) => {
+  const product = await Product.findById(req.params.id);
+
+  if (!product || !product.deletedAt) {
+    res.status(404);
+    throw new Error('Product not found in the trash');
+  }
+
+  const references = await product.countReferences();
+  if (references.orders > 0 || references.reviews > 0) {
+    res.status(409);
+    throw new Error(`Product is referenced by ${references.orders} order(s) and ${references.reviews} review(s) and can only stay in the trash`);
+  }
+
+  await product.deleteOne();
+  await InventoryLevel.deleteMany({ product: product._id });
+
+  try {
+    await removeUnusedImages([...product.images, ...product.variants.flatMap(variant => variant.images)]);
+  } catch (error) {
+    logger.error(`Failed to remove images of purged product ${product._id}: ${error.message}`);
+  }
 
   res.status(200).json({
     status: 'success',
-    message: 'Product deleted successfully'
+    message: 'Product permanently deleted'
   });
 }));
 
@@ -0,0 +1,237 @@
+import express from 'express';
+import asyncHandler from 'express-async-handler';
+
+import Reservation from '../models/Reservation.js';
+import { optionalAuth } from '../middleware/auth.js';
+import { reservationIpLimiter } from '../middleware/rateLimit.js';
+import { validateReservation } from '../middleware/validation.js';
+import { createReservation, updateReservation, endReservation } from '../utils/reservations.js';
+import { withTransaction } from '../utils/transaction.js';
+
+const router = express.Router();
+
+// Guest reservation access token
+const reservationToken = (req) => req.get('X-Reservation-Token');
+
+// Reservation the request may use: the signed-in owner's, or a guest
+// reservation with its access token
+const findReservation = async (req, res) => {
+  const reservation = await Reservation.findById(req.params.id)
+    .populate('items.product', 'name images price');
+
+  if (!reservation || !reservation.isAccessibleBy(req.user, reservationToken(req))) {
+    res.status(404);
+    throw new Error('Reservation not found');
+  }
+  return reservation;
+};
+
+/**
+ * @swagger
+ * /reservations:
+ *   post:
+ *     summary: Hold stock for a cart or checkout
+ *     description: Holds the quantities for RESERVATION_TTL_MINUTES, after which they are released. Held stock isn't available to other customers. A signed-in user holds one cart at a time, so their previous reservation is released; guests get an access token to send in the X-Reservation-Token header, and sending it here releases that reservation too. Each line holds at most RESERVATION_MAX_ITEM_QUANTITY units and the reservation at most RESERVATION_MAX_QUANTITY; guests can have RESERVATION_MAX_ACTIVE_PER_IP active reservations per IP address.
+ *     tags: [Reservations]
+ *     security:
+ *       - bearerAuth: []
+ *       - {}
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - items
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     product:
+ *                       type: string
+ *                     variant:
+ *                       type: string
+ *                     quantity:
+ *                       type: number
+ *     responses:
+ *       201:
+ *         description: Stock reserved, includes accessToken for guests
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/Reservation'
+ *                 accessToken:
+ *                   type: string
+ *       400:
+ *         description: Validation error or insufficient stock
+ *       403:
+ *         description: Guest checkout is disabled
+ *       429:
+ *         description: Too many reservations from this client
+ */
+router.post('/', reservationIpLimiter(), optionalAuth, validateReservation, asyncHandler(async (req, res) => {
+  if (!req.user && process.env.GUEST_CHECKOUT_ENABLED === 'false') {
+    res.status(403);
+    throw new Error('Guest checkout is disabled');
+  }
+
+  const { reservation, accessToken } = await createReservation(req.body.items, res, {
+    user: req.user,
+    token: reservationToken(req),
+    ip: req.ip
+  });
+  await reservation.populate('items.product', 'name images price');
+
+  res.status(201).json({
+    status: 'success',
+    data: reservation,
+    ...(accessToken && { accessToken })
+  });
+}));
+
+/**
+ * @swagger
+ * /reservations/{id}:
+ *   get:
+ *     summary: Get a reservation
+ *     tags: [Reservations]
+ *     security:
+ *       - bearerAuth: []
+ *       - {}
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: header
+ *         name: X-Reservation-Token
+ *         description: Access token of a guest reservation
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Reservation retrieved successfully
+ *       404:
+ *         description: Reservation not found
+ */
+router.get('/:id', optionalAuth, asyncHandler(async (req, res) => {
+  const reservation = await findReservation(req, res);
+
+  res.status(200).json({
+    status: 'success',
+    data: reservation
+  });
+}));
+
+/**
+ * @swagger
+ * /reservations/{id}:
+ *   put:
+ *     summary: Replace the items a reservation holds
+ *     description: For a cart that changed. The new quantities are held instead of the old ones and the time limit starts again, but never runs past RESERVATION_MAX_LIFETIME_MINUTES from when the reservation was made.
+ *     tags: [Reservations]
+ *     security:
+ *       - bearerAuth: []
+ *       - {}
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: header
+ *         name: X-Reservation-Token
+ *         description: Access token of a guest reservation
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - items
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *     responses:
+ *       200:
+ *         description: Reservation updated
+ *       400:
+ *         description: Validation error or insufficient stock
+ *       404:
+ *         description: Reservation not found
+ *       410:
+ *         description: Reservation has ended or expired
+ */
+router.put('/:id', optionalAuth, validateReservation, asyncHandler(async (req, res) => {
+  await findReservation(req, res);
+
+  const reservation = await updateReservation(req.params.id, req.body.items, res);
+  if (!reservation) {
+    res.status(410);
+    throw new Error('Reservation has ended or expired');
+  }
+  await reservation.populate('items.product', 'name images price');
+
+  res.status(200).json({
+    status: 'success',
+    data: reservation
+  });
+}));
+
+/**
+ * @swagger
+ * /reservations/{id}:
+ *   delete:
+ *     summary: Release a reservation
+ *     tags: [Reservations]
+ *     security:
+ *       - bearerAuth: []
+ *       - {}
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: header
+ *         name: X-Reservation-Token
+ *         description: Access token of a guest reservation
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Reservation released
+ *       404:
+ *         description: Reservation not found
+ *       410:
+ *         description: Reservation had already ended
+ */
+router.delete('/:id', optionalAuth, asyncHandler(async (req, res) => {
+  await findReservation(req, res);
+
+  const reservation = await withTransaction(session => endReservation(req.params.id, 'released', session));
+  if (!reservation) {
+    res.status(410);
+    throw new Error('Reservation had already ended');
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Reservation released',
+    data: reservation
+  });
+}));
+
+export default router;
@@ -3,8 +3,10 @@ import asyncHandler from 'express-async-handler';
 
 import Review from '../models/Review.js';
 import Product from '../models/Product.js';
-import { protect, admin, customer } from '../middleware/auth.js';
+import { protect, customer, denyApiKey, requireVerifiedEmail, can } from '../middleware/auth.js';
 import { validateReview } from '../middleware/validation.js';
+import { imageUpload } from '../middleware/upload.js';
+import { saveUploads } from '../utils/storage.js';
 
 const router = express.Router();
 
@@ -136,13 +138,15 @@ router.get('/my', protect, customer, asyncHandler(async (req, res) => {
  *         description: Review created successfully
  *       400:
  *         description: Validation error
+ *       403:
+ *         description: Email address not verified
  */
-router.post('/', protect, customer, validateReview, asyncHandler(async (req, res) => {
+router.post('/', protect, customer, requireVerifiedEmail('reviews'), validateReview, asyncHandler(async (req, res) => {
   const { product, rating, title, comment, images } = req.body;
 
   // Check if product exists
   const productExists = await Product.findById(product);
-  if (!productExists) {
+  if (!productExists || productExists.deletedAt) {
     res.status(404);
     throw new Error('Product not found');
   }
@@ -173,6 +177,43 @@ router.post('/', protect, customer, validateReview, asyncHandler(async (req, res
   });
 }));
 
+/**
+ * @swagger
+ * /reviews/images:
+ *   post:
+ *     summary: Upload images for a review (Customer only)
+ *     description: JPEG, PNG, GIF or WebP, at most MAX_FILE_SIZE bytes each. Returns URLs to send as `images` when creating or updating a review.
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               images:
+ *                 type: array
+ *                 maxItems: 5
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *     responses:
+ *       201:
+ *         description: Images uploaded
+ *       400:
+ *         description: Not an accepted image, or too large
+ */
+router.post('/images', protect, customer, requireVerifiedEmail('reviews'), imageUpload('images', 5), asyncHandler(async (req, res) => {
+  const images = await saveUploads(req.files, 'reviews');
+
+  res.status(201).json({
+    status: 'success',
+    data: { images }
+  });
+}));
+
 /**
  * @swagger
  * /reviews/{id}:
@@ -242,7 +283,7 @@ router.put('/:id', protect, customer, validateReview, asyncHandler(async (req, r
  * @swagger
  * /reviews/{id}:
  *   delete:
- *     summary: Delete review (Customer or Admin)
+ *     summary: Delete own review, or any review with reviews:moderate
  *     tags: [Reviews]
  *     security:
  *       - bearerAuth: []
@@ -266,8 +307,10 @@ router.delete('/:id', protect, asyncHandler(async (req, res) => {
     throw new Error('Review not found');
   }
 
-  // Check if user can delete this review
-  if (req.user.role === 'customer' && review.user.toString() !== req.user.id) {
+  // Check if user can delete this review. API keys need the reviews:moderate
+  // scope even for their owner's reviews.
+  const ownReview = !req.apiKey && review.user.toString() === req.user.id;
+  if (!ownReview && !(await can(req, 'reviews:moderate'))) {
     res.status(403);
     throw new Error('Not authorized to delete this review');
   }
@@ -312,7 +355,7 @@ router.delete('/:id', protect, asyncHandler(async (req, res) => {
  *       404:
  *         description: Review not found
  */
-router.post('/:id/helpful', protect, asyncHandler(async (req, res) => {
+router.post('/:id/helpful', denyApiKey, protect, asyncHandler(async (req, res) => {
   const { helpful } = req.body;
 
   const review = await Review.findById(req.params.id);
@@ -364,7 +407,7 @@ router.post('/:id/helpful', protect, asyncHandler(async (req, res) => {
  *       404:
  *         description: Review not found
  */
-router.post('/:id/report', protect, asyncHandler(async (req, res) => {
+router.post('/:id/report', denyApiKey, protect, asyncHandler(async (req, res) => {
   const { reason, comment } = req.body;
 
   const review = await Review.findById(req.params.id);
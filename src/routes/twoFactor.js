@@ -0,0 +1,331 @@
+import express from 'express';
+import asyncHandler from 'express-async-handler';
+
+import User from '../models/User.js';
+import { protect } from '../middleware/auth.js';
+import { issueAuthTokens, authUserData } from '../utils/tokens.js';
+import { verifyJwt } from '../utils/jwt.js';
+import { generateSecret, buildOtpAuthUri, verifyCode, encryptSecret, decryptSecret } from '../utils/totp.js';
+
+const router = express.Router();
+
+const TWO_FACTOR_FIELDS = '+twoFactorSecret +twoFactorPendingSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep';
+
+/**
+ * @swagger
+ * /auth/2fa/setup:
+ *   post:
+ *     summary: Start two-factor enrollment
+ *     description: Generates a new TOTP secret. Render `otpauthUrl` as a QR code for an authenticator app, then confirm with /auth/2fa/enable.
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Provisioning details generated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     secret:
+ *                       type: string
+ *                       description: Base32 secret for manual entry
+ *                     otpauthUrl:
+ *                       type: string
+ *                       description: otpauth:// provisioning URI to encode as a QR code
+ *       400:
+ *         description: Two-factor authentication already enabled
+ */
+router.post('/setup', protect, asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id).select(TWO_FACTOR_FIELDS);
+
+  if (user.twoFactorEnabled) {
+    res.status(400);
+    throw new Error('Two-factor authentication is already enabled');
+  }
+
+  const secret = generateSecret();
+  user.twoFactorPendingSecret = encryptSecret(secret);
+  await user.save();
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      secret,
+      otpauthUrl: buildOtpAuthUri(secret, user.email)
+    }
+  });
+}));
+
+/**
+ * @swagger
+ * /auth/2fa/enable:
+ *   post:
+ *     summary: Confirm enrollment and enable two-factor authentication
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 description: Current 6-digit code from the authenticator app
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication enabled, recovery codes returned once
+ *       400:
+ *         description: No pending enrollment or invalid code
+ */
+router.post('/enable', protect, asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id).select(TWO_FACTOR_FIELDS);
+
+  if (user.twoFactorEnabled) {
+    res.status(400);
+    throw new Error('Two-factor authentication is already enabled');
+  }
+
+  if (!user.twoFactorPendingSecret) {
+    res.status(400);
+    throw new Error('Start two-factor setup first');
+  }
+
+  const step = verifyCode(decryptSecret(user.twoFactorPendingSecret), req.body.code);
+  if (step === null) {
+    res.status(400);
+    throw new Error('Invalid two-factor code');
+  }
+
+  user.twoFactorSecret = user.twoFactorPendingSecret;
+  user.twoFactorPendingSecret = undefined;
+  user.twoFactorLastUsedStep = step;
+  user.twoFactorEnabled = true;
+  const recoveryCodes = user.generateRecoveryCodes();
+  await user.save();
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe, they will not be shown again.',
+    data: { recoveryCodes }
+  });
+}));
+
+/**
+ * @swagger
+ * /auth/2fa/disable:
+ *   post:
+ *     summary: Disable two-factor authentication
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *               - code
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 description: Current 6-digit code or a recovery code
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication disabled
+ *       400:
+ *         description: Invalid password or code
+ *       403:
+ *         description: Two-factor authentication is mandatory for this account
+ */
+router.post('/disable', protect, asyncHandler(async (req, res) => {
+  const { password, code } = req.body;
+
+  const user = await User.findById(req.user.id).select(`+password ${TWO_FACTOR_FIELDS}`);
+
+  if (!user.twoFactorEnabled) {
+    res.status(400);
+    throw new Error('Two-factor authentication is not enabled');
+  }
+
+  if (await user.requiresTwoFactor()) {
+    res.status(403);
+    throw new Error('Two-factor authentication is required for admin accounts');
+  }
+
+  if (!password || !(await user.matchPassword(password))) {
+    res.status(400);
+    throw new Error('Invalid password');
+  }
+
+  if (!user.verifyTwoFactorCode(code) && !user.useRecoveryCode(code || '')) {
+    res.status(400);
+    throw new Error('Invalid two-factor code');
+  }
+
+  user.twoFactorEnabled = false;
+  user.twoFactorSecret = undefined;
+  user.twoFactorRecoveryCodes = undefined;
+  user.twoFactorLastUsedStep = undefined;
+  await user.save();
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Two-factor authentication disabled'
+  });
+}));
+
+/**
+ * @swagger
+ * /auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Regenerate recovery codes
+ *     description: Replaces every existing recovery code.
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 description: Current 6-digit code
+ *     responses:
+ *       200:
+ *         description: New recovery codes returned once
+ *       400:
+ *         description: Invalid code
+ */
+router.post('/recovery-codes', protect, asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id).select(TWO_FACTOR_FIELDS);
+
+  if (!user.twoFactorEnabled) {
+    res.status(400);
+    throw new Error('Two-factor authentication is not enabled');
+  }
+
+  if (!user.verifyTwoFactorCode(req.body.code)) {
+    res.status(400);
+    throw new Error('Invalid two-factor code');
+  }
+
+  const recoveryCodes = user.generateRecoveryCodes();
+  await user.save();
+
+  res.status(200).json({
+    status: 'success',
+    data: { recoveryCodes }
+  });
+}));
+
+/**
+ * @swagger
+ * /auth/2fa/verify:
+ *   post:
+ *     summary: Complete a two-factor login
+ *     description: Exchanges the partial token from /auth/login plus a TOTP or recovery code for a full token pair.
+ *     tags: [Two-Factor Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - twoFactorToken
+ *             properties:
+ *               twoFactorToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 description: Current 6-digit code
+ *               recoveryCode:
+ *                 type: string
+ *                 description: One-time recovery code, used instead of code
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *       401:
+ *         description: Invalid or expired partial token, or invalid code
+ *       429:
+ *         description: Account temporarily locked after failed attempts
+ */
+router.post('/verify', asyncHandler(async (req, res) => {
+  const { twoFactorToken, code, recoveryCode } = req.body;
+
+  let decoded;
+  try {
+    decoded = verifyJwt(String(twoFactorToken || ''));
+  } catch (error) {
+    res.status(401);
+    throw new Error('Invalid or expired two-factor token');
+  }
+
+  if (decoded.purpose !== '2fa') {
+    res.status(401);
+    throw new Error('Invalid or expired two-factor token');
+  }
+
+  const user = await User.findById(decoded.id).select(TWO_FACTOR_FIELDS);
+  if (!user || !user.isActive || !user.twoFactorEnabled) {
+    res.status(401);
+    throw new Error('Invalid or expired two-factor token');
+  }
+
+  // Check if sign-in is temporarily locked
+  if (user.isLocked()) {
+    const retryAfter = user.lockRetryAfter();
+    res.set('Retry-After', String(retryAfter));
+    res.status(429);
+    throw new Error(`Too many failed login attempts, try again in ${retryAfter} seconds`);
+  }
+
+  const passed = recoveryCode
+    ? user.useRecoveryCode(recoveryCode)
+    : user.verifyTwoFactorCode(code);
+
+  if (!passed) {
+    await user.registerFailedLogin();
+    res.status(401);
+    throw new Error('Invalid two-factor code');
+  }
+
+  user.failedLoginAttempts = 0;
+  user.lockUntil = undefined;
+  await user.save();
+
+  // Generate tokens
+  const { token, refreshToken } = await issueAuthTokens(user, req);
+
+  res.status(200).json({
+    status: 'success',
+    data: authUserData(user),
+    ...(recoveryCode && { recoveryCodesRemaining: user.twoFactorRecoveryCodes.length }),
+    token,
+    refreshToken
+  });
+}));
+
+export default router;
@@ -2,8 +2,13 @@ import express from 'express';
 import asyncHandler from 'express-async-handler';
 
 import User from '../models/User.js';
-import { protect, admin } from '../middleware/auth.js';
+import Role from '../models/Role.js';
+import Session from '../models/Session.js';
+import { protect, requirePermission, can, assertCanGrant, assertCanManageUser } from '../middleware/auth.js';
 import { validateProfileUpdate } from '../middleware/validation.js';
+import { buildDataExport, eraseUser } from '../utils/privacy.js';
+import { sendErasureScheduledEmail } from '../utils/email.js';
+import { logger } from '../config/logger.js';
 
 const router = express.Router();
 
@@ -66,7 +71,11 @@ router.put('/profile', protect, validateProfileUpdate, asyncHandler(async (req,
   const user = await User.findById(req.user.id);
 
   if (name) user.name = name;
-  if (email) user.email = email;
+  if (email && email !== user.email) {
+    // A new address has to be verified again
+    user.email = email;
+    user.emailVerified = false;
+  }
   if (phone) user.phone = phone;
   if (address) user.address = address;
 
@@ -78,11 +87,163 @@ router.put('/profile', protect, validateProfileUpdate, asyncHandler(async (req,
   });
 }));
 
+/**
+ * @swagger
+ * /users/profile/export:
+ *   get:
+ *     summary: Download your personal data
+ *     description: A ZIP archive with profile, addresses, orders, reviews and sign-in sessions as JSON files.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: ZIP archive
+ *         content:
+ *           application/zip:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       403:
+ *         description: Not available while impersonating
+ */
+router.get('/profile/export', protect, asyncHandler(async (req, res) => {
+  if (req.impersonation) {
+    res.status(403);
+    throw new Error('Not allowed while impersonating a customer');
+  }
+
+  const archive = await buildDataExport(req.user._id);
+  const date = new Date().toISOString().slice(0, 10);
+
+  res.set({
+    'Content-Type': 'application/zip',
+    'Content-Disposition': `attachment; filename="my-data-${date}.zip"`,
+    'Cache-Control': 'no-store'
+  });
+  res.status(200).send(archive);
+}));
+
+/**
+ * @swagger
+ * /users/profile/erasure:
+ *   get:
+ *     summary: Get the status of your account deletion request
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Deletion status
+ */
+router.get('/profile/erasure', protect, asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id).select('deletionRequestedAt deletionScheduledFor');
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      scheduled: Boolean(user.deletionScheduledFor),
+      requestedAt: user.deletionRequestedAt,
+      scheduledFor: user.deletionScheduledFor
+    }
+  });
+}));
+
+/**
+ * @swagger
+ * /users/profile/erasure:
+ *   post:
+ *     summary: Request deletion of your account
+ *     description: The account is anonymized after ERASURE_GRACE_DAYS. Until then it keeps working and the request can be cancelled. Orders are kept for accounting without personal details.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 description: Current password, required when the account has one
+ *     responses:
+ *       200:
+ *         description: Deletion scheduled
+ *       401:
+ *         description: Password is incorrect
+ *       409:
+ *         description: Deletion already scheduled
+ */
+router.post('/profile/erasure', protect, asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id).select('+password');
+
+  if (user.deletionScheduledFor) {
+    res.status(409);
+    throw new Error('Account deletion is already scheduled');
+  }
+
+  // Confirm it's really the account holder, not just someone with their token
+  if (user.password && !(await user.matchPassword(String(req.body.password || '')))) {
+    res.status(401);
+    throw new Error('Password is incorrect');
+  }
+
+  const graceDays = parseInt(process.env.ERASURE_GRACE_DAYS) || 30;
+  user.deletionRequestedAt = new Date();
+  user.deletionScheduledFor = new Date(Date.now() + graceDays * 24 * 60 * 60 * 1000);
+  await user.save();
+
+  try {
+    await sendErasureScheduledEmail(user, user.deletionScheduledFor);
+  } catch (error) {
+    logger.error(`Failed to send erasure confirmation to ${user.email}: ${error.message}`);
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Account deletion scheduled',
+    data: { scheduledFor: user.deletionScheduledFor }
+  });
+}));
+
+/**
+ * @swagger
+ * /users/profile/erasure:
+ *   delete:
+ *     summary: Cancel your account deletion request
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Deletion cancelled
+ *       404:
+ *         description: No deletion scheduled
+ */
+router.delete('/profile/erasure', protect, asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id);
+
+  if (!user.deletionScheduledFor) {
+    res.status(404);
+    throw new Error('No account deletion is scheduled');
+  }
+
+  user.deletionRequestedAt = undefined;
+  user.deletionScheduledFor = undefined;
+  await user.save();
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Account deletion cancelled'
+  });
+}));
+
 /**
  * @swagger
  * /users:
  *   get:
- *     summary: Get all users (Admin only)
+ *     summary: Get all users (requires users:read)
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -101,7 +262,6 @@ router.put('/profile', protect, validateProfileUpdate, asyncHandler(async (req,
  *         name: role
  *         schema:
  *           type: string
- *           enum: [customer, admin]
  *       - in: query
  *         name: isActive
  *         schema:
@@ -110,9 +270,9 @@ router.put('/profile', protect, validateProfileUpdate, asyncHandler(async (req,
  *       200:
  *         description: Users retrieved successfully
  *       403:
- *         description: Not authorized as admin
+ *         description: Missing users:read permission
  */
-router.get('/', protect, admin, asyncHandler(async (req, res) => {
+router.get('/', protect, requirePermission('users:read'), asyncHandler(async (req, res) => {
   const page = parseInt(req.query.page) || 1;
   const limit = parseInt(req.query.limit) || 10;
   const skip = (page - 1) * limit;
@@ -145,7 +305,7 @@ router.get('/', protect, admin, asyncHandler(async (req, res) => {
  * @swagger
  * /users/{id}:
  *   get:
- *     summary: Get user by ID (Admin only)
+ *     summary: Get user by ID (requires users:read)
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -161,7 +321,7 @@ router.get('/', protect, admin, asyncHandler(async (req, res) => {
  *       404:
  *         description: User not found
  */
-router.get('/:id', protect, admin, asyncHandler(async (req, res) => {
+router.get('/:id', protect, requirePermission('users:read'), asyncHandler(async (req, res) => {
   const user = await User.findById(req.params.id).select('-password');
 
   if (!user) {
@@ -179,7 +339,7 @@ router.get('/:id', protect, admin, asyncHandler(async (req, res) => {
  * @swagger
  * /users/{id}:
  *   put:
- *     summary: Update user (Admin only)
+ *     summary: Update user (requires users:write, and roles:manage to change role)
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -202,16 +362,20 @@ router.get('/:id', protect, admin, asyncHandler(async (req, res) => {
  *                 type: string
  *               role:
  *                 type: string
- *                 enum: [customer, admin]
+ *                 description: Role name
  *               isActive:
  *                 type: boolean
  *     responses:
  *       200:
  *         description: User updated successfully
+ *       400:
+ *         description: Email already in use, or the role does not exist
+ *       403:
+ *         description: The user's current or new role has permissions the caller doesn't hold
  *       404:
  *         description: User not found
  */
-router.put('/:id', protect, admin, asyncHandler(async (req, res) => {
+router.put('/:id', protect, requirePermission('users:write'), asyncHandler(async (req, res) => {
   const { name, email, role, isActive } = req.body;
 
   const user = await User.findById(req.params.id);
@@ -221,24 +385,187 @@ router.put('/:id', protect, admin, asyncHandler(async (req, res) => {
     throw new Error('User not found');
   }
 
+  // Nobody can change an account that can do more than they can
+  await assertCanManageUser(req, res, user);
+
+  if (role && role !== user.role) {
+    // Changing roles is a privilege escalation path of its own
+    if (!(await can(req, 'roles:manage'))) {
+      res.status(403);
+      throw new Error('Not authorized, requires roles:manage');
+    }
+
+    if (!(await Role.isAssignable(role))) {
+      res.status(400);
+      throw new Error(`Role ${role} does not exist`);
+    }
+
+    // Nor give out more than they can do themselves
+    await assertCanGrant(req, res, await Role.getPermissions(role));
+
+    user.role = role;
+  }
+
   if (name) user.name = name;
-  if (email) user.email = email;
-  if (role) user.role = role;
+  if (email && email.toLowerCase() !== user.email) {
+    if (await User.exists({ email: email.toLowerCase(), _id: { $ne: user._id } })) {
+      res.status(400);
+      throw new Error('Email already in use');
+    }
+
+    // The new address hasn't been confirmed by anyone yet
+    user.email = email;
+    user.emailVerified = false;
+  }
   if (isActive !== undefined) user.isActive = isActive;
 
+  const deactivated = user.isModified('isActive') && !user.isActive;
+
   await user.save();
 
+  // A deactivated account is signed out everywhere right away
+  if (deactivated) {
+    await Session.revokeAllForUser(user._id, 'deactivated');
+  }
+
   res.status(200).json({
     status: 'success',
     data: user
   });
 }));
 
+/**
+ * @swagger
+ * /users/{id}/sessions:
+ *   get:
+ *     summary: List a user's active sessions (requires users:read)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Sessions retrieved successfully
+ *       404:
+ *         description: User not found
+ */
+router.get('/:id/sessions', protect, requirePermission('users:read'), asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.id).select('_id');
+
+  if (!user) {
+    res.status(404);
+    throw new Error('User not found');
+  }
+
+  const sessions = await Session.getActiveSessions(user._id);
+
+  res.status(200).json({
+    status: 'success',
+    data: sessions
+  });
+}));
+
+/**
+ * @swagger
+ * /users/{id}/sessions:
+ *   delete:
+ *     summary: Revoke all of a user's sessions (requires users:write)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Sessions revoked
+ *       403:
+ *         description: The user's role has permissions the caller doesn't hold
+ *       404:
+ *         description: User not found
+ */
+router.delete('/:id/sessions', protect, requirePermission('users:write'), asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.id).select('role');
+
+  if (!user) {
+    res.status(404);
+    throw new Error('User not found');
+  }
+
+  await assertCanManageUser(req, res, user);
+
+  const revoked = await Session.revokeAllForUser(user._id, 'revoked');
+
+  res.status(200).json({
+    status: 'success',
+    message: `${revoked} session(s) revoked`
+  });
+}));
+
+/**
+ * @swagger
+ * /users/{id}/sessions/{sessionId}:
+ *   delete:
+ *     summary: Revoke one of a user's sessions (requires users:write)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       403:
+ *         description: The user's role has permissions the caller doesn't hold
+ *       404:
+ *         description: Session not found
+ */
+router.delete('/:id/sessions/:sessionId', protect, requirePermission('users:write'), asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.id).select('role');
+
+  if (!user) {
+    res.status(404);
+    throw new Error('Session not found');
+  }
+
+  await assertCanManageUser(req, res, user);
+
+  const revoked = await Session.revokeWhere({ _id: req.params.sessionId, user: req.params.id }, 'revoked');
+
+  if (revoked === 0) {
+    res.status(404);
+    throw new Error('Session not found');
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Session revoked'
+  });
+}));
+
 /**
  * @swagger
  * /users/{id}:
  *   delete:
- *     summary: Delete user (Admin only)
+ *     summary: Erase a user now (requires users:write)
+ *     description: Anonymizes the account right away, skipping the grace period. Orders are kept for accounting without personal details; reviews, sessions and tokens are deleted.
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -250,11 +577,13 @@ router.put('/:id', protect, admin, asyncHandler(async (req, res) => {
  *           type: string
  *     responses:
  *       200:
- *         description: User deleted successfully
+ *         description: User erased successfully
+ *       403:
+ *         description: The user's role has permissions the caller doesn't hold
  *       404:
  *         description: User not found
  */
-router.delete('/:id', protect, admin, asyncHandler(async (req, res) => {
+router.delete('/:id', protect, requirePermission('users:write'), asyncHandler(async (req, res) => {
   const user = await User.findById(req.params.id);
 
   if (!user) {
@@ -262,11 +591,18 @@ router.delete('/:id', protect, admin, asyncHandler(async (req, res) => {
     throw new Error('User not found');
   }
 
-  await user.remove();
+  if (user.erasedAt) {
+    res.status(400);
+    throw new Error('User has already been erased');
+  }
+
+  await assertCanManageUser(req, res, user);
+
+  await eraseUser(user, { actor: req.user._id });
 
   res.status(200).json({
     status: 'success',
-    message: 'User deleted successfully'
+    message: 'User erased successfully'
   });
 }));
 
@@ -0,0 +1,361 @@
+import express from 'express';
+import asyncHandler from 'express-async-handler';
+
+import Warehouse from '../models/Warehouse.js';
+import InventoryLevel from '../models/InventoryLevel.js';
+import Order from '../models/Order.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+import { validateWarehouse, validateStockLevel, validateStockTransfer } from '../middleware/validation.js';
+import { findInventoryUnit, setStockLevel, transferStock, OPEN_ORDER_STATUSES } from '../utils/inventory.js';
+import { withTransaction } from '../utils/transaction.js';
+
+const router = express.Router();
+
+// All routes require authentication, each route checks its own permission
+router.use(protect);
+
+const WAREHOUSE_FIELDS = ['name', 'code', 'address', 'priority'];
+
+const pickWarehouseFields = (body) => Object.fromEntries(
+  WAREHOUSE_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+const findWarehouse = async (id, res) => {
+  const warehouse = await Warehouse.findById(id);
+  if (!warehouse) {
+    res.status(404);
+    throw new Error('Warehouse not found');
+  }
+  return warehouse;
+};
+
+/**
+ * @swagger
+ * /warehouses:
+ *   get:
+ *     summary: List warehouses with the units they hold (requires inventory:read)
+ *     tags: [Warehouses]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Warehouses in priority order
+ */
+router.get('/', requirePermission('inventory:read'), asyncHandler(async (req, res) => {
+  const [warehouses, totals] = await Promise.all([
+    Warehouse.find().sort({ priority: 1, code: 1 }),
+    InventoryLevel.aggregate([
+      { $group: { _id: '$warehouse', stock: { $sum: '$stock' }, skus: { $sum: { $cond: [{ $gt: ['$stock', 0] }, 1, 0] } } } }
+    ])
+  ]);
+
+  const totalsById = new Map(totals.map(total => [total._id.toString(), total]));
+
+  res.status(200).json({
+    status: 'success',
+    data: warehouses.map(warehouse => ({
+      ...warehouse.toJSON(),
+      stock: totalsById.get(warehouse._id.toString())?.stock || 0,
+      skus: totalsById.get(warehouse._id.toString())?.skus || 0
+    }))
+  });
+}));
+
+/**
+ * @swagger
+ * /warehouses:
+ *   post:
+ *     summary: Create a warehouse (requires inventory:write)
+ *     tags: [Warehouses]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Warehouse'
+ *     responses:
+ *       201:
+ *         description: Warehouse created
+ *       400:
+ *         description: Validation error or code already in use
+ */
+router.post('/', requirePermission('inventory:write'), validateWarehouse, asyncHandler(async (req, res) => {
+  const warehouse = await Warehouse.create(pickWarehouseFields(req.body));
+
+  res.status(201).json({
+    status: 'success',
+    data: warehouse
+  });
+}));
+
+/**
+ * @swagger
+ * /warehouses/transfers:
+ *   post:
+ *     summary: Move stock between warehouses (requires inventory:write)
+ *     description: The product's total stock doesn't change.
+ *     tags: [Warehouses]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - product
+ *               - from
+ *               - to
+ *               - quantity
+ *             properties:
+ *               product:
+ *                 type: string
+ *               variant:
+ *                 type: string
+ *                 description: Required for products sold in variants
+ *               from:
+ *                 type: string
+ *                 description: Source warehouse ID
+ *               to:
+ *                 type: string
+ *                 description: Destination warehouse ID
+ *               quantity:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Stock moved, with the new levels at both warehouses
+ *       400:
+ *         description: Validation error or not enough stock at the source
+ *       404:
+ *         description: Product or warehouse not found
+ */
+router.post('/transfers', requirePermission('inventory:write'), validateStockTransfer, asyncHandler(async (req, res) => {
+  const { product: productId, variant: variantId, from, to, quantity } = req.body;
+
+  await findWarehouse(from, res);
+  await findWarehouse(to, res);
+
+  const levels = await withTransaction(async (session) => {
+    const { product, variant } = await findInventoryUnit(productId, variantId, res, session);
+    return transferStock(product, variant, from, to, quantity, req.user._id, res, session);
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: levels
+  });
+}));
+
+/**
+ * @swagger
+ * /warehouses/{id}:
+ *   put:
+ *     summary: Update a warehouse (requires inventory:write)
+ *     tags: [Warehouses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Warehouse'
+ *     responses:
+ *       200:
+ *         description: Warehouse updated
+ *       404:
+ *         description: Warehouse not found
+ */
+router.put('/:id', requirePermission('inventory:write'), validateWarehouse, asyncHandler(async (req, res) => {
+  const warehouse = await findWarehouse(req.params.id, res);
+
+  warehouse.set(pickWarehouseFields(req.body));
+  await warehouse.save();
+
+  res.status(200).json({
+    status: 'success',
+    data: warehouse
+  });
+}));
+
+/**
+ * @swagger
+ * /warehouses/{id}:
+ *   delete:
+ *     summary: Delete a warehouse (requires inventory:write)
+ *     description: Only an empty warehouse that no open (pending, processing or shipped) order ships from can be deleted, as cancelling one restocks the warehouse. Transfer its stock away first.
+ *     tags: [Warehouses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Warehouse deleted
+ *       404:
+ *         description: Warehouse not found
+ *       409:
+ *         description: The warehouse still holds stock or has open orders
+ */
+router.delete('/:id', requirePermission('inventory:write'), asyncHandler(async (req, res) => {
+  const warehouse = await findWarehouse(req.params.id, res);
+
+  // Cancelling an open order, shipped ones included, puts its stock back at
+  // the warehouses it was allocated from
+  const [stocked, openOrders] = await Promise.all([
+    InventoryLevel.exists({ warehouse: warehouse._id, stock: { $gt: 0 } }),
+    Order.exists({ 'items.allocations.warehouse': warehouse._id, status: { $in: OPEN_ORDER_STATUSES } })
+  ]);
+
+  if (stocked || openOrders) {
+    res.status(409);
+    throw new Error(stocked
+      ? 'The warehouse still holds stock; transfer it to another warehouse first'
+      : 'Open orders still ship from this warehouse');
+  }
+
+  await InventoryLevel.deleteMany({ warehouse: warehouse._id });
+  await warehouse.deleteOne();
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Warehouse deleted'
+  });
+}));
+
+/**
+ * @swagger
+ * /warehouses/{id}/stock:
+ *   get:
+ *     summary: List stock levels at a warehouse (requires inventory:read)
+ *     tags: [Warehouses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Stock levels retrieved successfully
+ *       404:
+ *         description: Warehouse not found
+ */
+router.get('/:id/stock', requirePermission('inventory:read'), asyncHandler(async (req, res) => {
+  const warehouse = await findWarehouse(req.params.id, res);
+
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+  const skip = (page - 1) * limit;
+  const filter = { warehouse: warehouse._id };
+
+  const [levels, total] = await Promise.all([
+    InventoryLevel.find(filter)
+      .populate('product', 'name sku variants._id variants.sku')
+      .sort({ stock: 1 })
+      .skip(skip)
+      .limit(limit),
+    InventoryLevel.countDocuments(filter)
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    data: levels.map(level => ({
+      _id: level._id,
+      product: level.product && { _id: level.product._id, name: level.product.name },
+      variant: level.variant,
+      sku: level.variant
+        ? level.product?.variants.find(variant => variant._id.equals(level.variant))?.sku
+        : level.product?.sku,
+      stock: level.stock,
+      updatedAt: level.updatedAt
+    })),
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  });
+}));
+
+/**
+ * @swagger
+ * /warehouses/{id}/stock:
+ *   put:
+ *     summary: Set the stock of a product or variant at a warehouse (requires inventory:write)
+ *     description: From then on the product's (or variant's) stock is the sum of its warehouse levels; stock it had before that wasn't kept per warehouse is replaced.
+ *     tags: [Warehouses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - product
+ *               - stock
+ *             properties:
+ *               product:
+ *                 type: string
+ *               variant:
+ *                 type: string
+ *                 description: Required for products sold in variants
+ *               stock:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Stock level set
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Product or warehouse not found
+ */
+router.put('/:id/stock', requirePermission('inventory:write'), validateStockLevel, asyncHandler(async (req, res) => {
+  const warehouse = await findWarehouse(req.params.id, res);
+
+  const level = await withTransaction(async (session) => {
+    const { product, variant } = await findInventoryUnit(req.body.product, req.body.variant, res, session);
+    return setStockLevel(product, variant, warehouse._id, req.body.stock, req.user._id, session);
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: level
+  });
+}));
+
+export default router;
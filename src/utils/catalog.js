@@ -0,0 +1,303 @@
+import { once } from 'events';
+import Product from '../models/Product.js';
+import Category from '../models/Category.js';
+import { productValidationErrors } from '../middleware/validation.js';
+import { parseCsvObjects, toCsvLine } from './csv.js';
+import { stockSnapshot, recordStockChanges } from './stockLedger.js';
+import { withTransaction } from './transaction.js';
+import { mergeVariants, warehouseStock, keepWarehouseStock } from './inventory.js';
+import { logger } from '../config/logger.js';
+
+// Columns of the import/export format. Lists are separated by `|` in CSV and
+// specifications, variant options and variants are JSON; JSON files use plain
+// arrays and objects.
+const CATALOG_COLUMNS = [
+  'sku', 'name', 'description', 'price', 'originalPrice', 'category', 'brand', 'stock',
+  'images', 'tags', 'specifications', 'weight', 'isActive', 'isFeatured', 'variantOptions', 'variants'
+];
+
+const NUMBER_COLUMNS = ['price', 'originalPrice', 'stock', 'weight'];
+const LIST_COLUMNS = ['images', 'tags'];
+const BOOLEAN_COLUMNS = ['isActive', 'isFeatured'];
+const JSON_COLUMNS = ['specifications', 'variantOptions', 'variants'];
+const ARRAY_COLUMNS = [...LIST_COLUMNS, 'variantOptions', 'variants'];
+
+// Fields of each variant in the file. IDs and reserved quantities stay out;
+// variants are matched by SKU.
+const VARIANT_FIELDS = ['sku', 'options', 'price', 'originalPrice', 'stock', 'weight', 'images', 'isActive'];
+
+const pickVariantFields = (variant) => Object.fromEntries(
+  VARIANT_FIELDS.filter(field => variant?.[field] !== undefined).map(field => [field, variant[field]])
+);
+
+const PROGRESS_EVERY_ROWS = 50;
+const PROGRESS_EVERY_MS = 5000;
+
+// Read an uploaded CSV or JSON file into row objects. Throws on a malformed file.
+export const parseCatalogFile = (buffer, format) => {
+  const text = buffer.toString('utf8');
+
+  if (format === 'json') {
+    const rows = JSON.parse(text);
+    if (!Array.isArray(rows) || rows.some(row => !row || typeof row !== 'object' || Array.isArray(row))) {
+      throw new Error('A JSON import must be an array of product objects');
+    }
+    return rows;
+  }
+
+  return parseCsvObjects(text);
+};
+
+// Turn one import row into product fields. Only columns present in the row are
+// set, and an empty cell clears the field (except true/false flags).
+const toProductData = (row, categories) => {
+  const data = {};
+  const errors = [];
+  const invalid = new Set();
+
+  for (const column of CATALOG_COLUMNS) {
+    if (!(column in row)) continue;
+
+    let value = row[column];
+    if (typeof value === 'string') value = value.trim();
+    if (value === '' || value === null) {
+      // Flags keep their current value rather than losing their default
+      if (!BOOLEAN_COLUMNS.includes(column)) {
+        data[column] = ARRAY_COLUMNS.includes(column) ? [] : undefined;
+      }
+      continue;
+    }
+
+    if (NUMBER_COLUMNS.includes(column) && typeof value === 'string') {
+      value = Number(value);
+    } else if (LIST_COLUMNS.includes(column) && typeof value === 'string') {
+      value = value.split('|').map(item => item.trim()).filter(Boolean);
+    } else if (BOOLEAN_COLUMNS.includes(column) && typeof value === 'string') {
+      if (!['true', 'false'].includes(value.toLowerCase())) {
+        errors.push(`${column} must be true or false`);
+        invalid.add(column);
+        continue;
+      }
+      value = value.toLowerCase() === 'true';
+    } else if (JSON_COLUMNS.includes(column) && typeof value === 'string') {
+      try {
+        value = JSON.parse(value);
+      } catch {
+        errors.push(`${column} must be ${ARRAY_COLUMNS.includes(column) ? 'a JSON array' : 'a JSON object'}`);
+        invalid.add(column);
+        continue;
+      }
+    } else if (column === 'category') {
+      const id = categories.get(String(value).toLowerCase());
+      if (!id) {
+        errors.push(`Category ${value} not found`);
+        invalid.add(column);
+        continue;
+      }
+      value = id;
+    }
+
+    data[column] = column === 'variants' && Array.isArray(value) ? value.map(pickVariantFields) : value;
+  }
+
+  return { data, errors, invalid };
+};
+
+// Categories by id, slug and lowercased name
+const loadCategoryLookup = async () => {
+  const lookup = new Map();
+  const categories = await Category.find().select('name slug');
+
+  for (const category of categories) {
+    lookup.set(category.name.toLowerCase(), category._id.toString());
+    if (category.slug) lookup.set(category.slug, category._id.toString());
+    lookup.set(category._id.toString(), category._id.toString());
+  }
+  return lookup;
+};
+
+// Set a row's fields on a product. Variants are matched to the product's by
+// SKU, so they keep their IDs and what reservations hold, and stock kept per
+// warehouse is left as it is. Throws when a variant left out can't be removed.
+const applyRow = async (product, data, session) => {
+  const kept = product.isNew ? new Map() : await warehouseStock(product, session);
+  const { variants, ...fields } = data;
+
+  product.set(fields);
+  if (variants !== undefined) {
+    await mergeVariants(product, variants.map(variant => {
+      const match = product.variants.find(existing => existing.sku === variant.sku);
+      return match ? { ...variant, _id: match._id } : variant;
+    }), null, session);
+  }
+  keepWarehouseStock(product, kept);
+};
+
+// Validate and upsert one row by SKU, recording any stock it changes in the
+// ledger against the job. Rows for an existing product only need the columns
+// they change. Returns 'created' or 'updated', or the list of problems with
+// the row.
+const importRow = async (row, categories, job) => {
+  const { data, errors, invalid } = toProductData(row, categories);
+
+  if (!data.sku) {
+    return { errors: ['sku is required', ...errors] };
+  }
+
+  const existing = await Product.findOne({ sku: data.sku });
+  if (existing?.deletedAt) {
+    return { errors: [`SKU ${data.sku} belongs to a product in the trash; restore or purge it first`] };
+  }
+
+  // Columns that couldn't be read already have an error
+  const ruleErrors = await productValidationErrors(data, { partial: Boolean(existing) });
+  errors.push(...ruleErrors.filter(error => !invalid.has(error.field)).map(error => error.message));
+  if (errors.length > 0) return { errors };
+
+  const product = existing || new Product();
+  await applyRow(product, data);
+
+  try {
+    await product.validate();
+  } catch (error) {
+    const messages = error.errors ? Object.values(error.errors).map(e => e.message) : [error.message];
+    return { errors: messages };
+  }
+
+  if (!job.dryRun) {
+    // The product and the ledger entries for its stock are saved together
+    await withTransaction(async (session) => {
+      const saved = existing
+        ? await Product.findById(existing._id).session(session)
+        : new Product({ _id: product._id });
+      const snapshot = existing ? stockSnapshot(saved) : new Map();
+
+      await applyRow(saved, data, session);
+      await saved.save({ session });
+      await recordStockChanges(snapshot, saved, {
+        reason: 'import',
+        actor: job.createdBy,
+        reference: job._id,
+        referenceModel: 'ImportJob'
+      }, session);
+    });
+  }
+  return { result: existing ? 'updated' : 'created' };
+};
+
+// Run an import job over parsed rows, saving progress as it goes. Rows are
+// numbered as in the file, so CSV data starts at row 2 after the header.
+export const runImport = async (job, rows) => {
+  const firstRow = job.format === 'csv' ? 2 : 1;
+  const seenSkus = new Set();
+  let lastSaved = Date.now();
+
+  try {
+    job.status = 'running';
+    job.startedAt = new Date();
+    await job.save();
+
+    const categories = await loadCategoryLookup();
+
+    for (const [index, row] of rows.entries()) {
+      const rowNumber = index + firstRow;
+      const sku = typeof row.sku === 'string' ? row.sku.trim() : row.sku;
+
+      if (sku && seenSkus.has(sku)) {
+        job.addRowError(rowNumber, sku, ['SKU appears more than once in the file']);
+      } else {
+        if (sku) seenSkus.add(sku);
+
+        try {
+          const { result, errors } = await importRow(row, categories, job);
+          if (errors) {
+            job.addRowError(rowNumber, sku, errors);
+          } else {
+            job[result] += 1;
+          }
+        } catch (error) {
+          job.addRowError(rowNumber, sku, [error.message]);
+        }
+      }
+
+      job.processed += 1;
+      if (job.processed % PROGRESS_EVERY_ROWS === 0 || Date.now() - lastSaved > PROGRESS_EVERY_MS) {
+        await job.save();
+        lastSaved = Date.now();
+      }
+    }
+
+    job.status = 'completed';
+  } catch (error) {
+    logger.error(`Product import ${job._id} failed: ${error.message}`);
+    job.status = 'failed';
+    job.error = error.message;
+  }
+
+  job.finishedAt = new Date();
+  await job.save();
+  logger.info(`Product import ${job._id} ${job.status}: ${job.created} created, ${job.updated} updated, ${job.failed} failed${job.dryRun ? ' (dry run)' : ''}`);
+};
+
+// Export fields of one product
+const toExportRow = (product) => ({
+  sku: product.sku,
+  name: product.name,
+  description: product.description,
+  price: product.price,
+  originalPrice: product.originalPrice,
+  category: product.category?.slug || product.category?.name,
+  brand: product.brand,
+  stock: product.stock,
+  images: product.images,
+  tags: product.tags,
+  specifications: product.specifications ? Object.fromEntries(product.specifications) : undefined,
+  weight: product.weight,
+  isActive: product.isActive,
+  isFeatured: product.isFeatured,
+  variantOptions: product.variantOptions.map(({ name, values }) => ({ name, values: [...values] })),
+  variants: product.variants.map(variant => pickVariantFields({
+    ...variant.toObject({ virtuals: false }),
+    options: Object.fromEntries(variant.options)
+  }))
+});
+
+const toCsvCells = (row) => CATALOG_COLUMNS.map(column => {
+  const value = row[column];
+  if (LIST_COLUMNS.includes(column)) return (value || []).join('|');
+  if (JSON_COLUMNS.includes(column)) return value && Object.keys(value).length > 0 ? JSON.stringify(value) : '';
+  return value;
+});
+
+// Stream the whole catalog, without the trash, to a writable (the response)
+// as CSV or JSON in the format the import accepts
+export const writeCatalogExport = async (output, format) => {
+  const cursor = Product.find({ deletedAt: null })
+    .populate('category', 'name slug')
+    .sort({ createdAt: 1 })
+    .cursor();
+
+  const write = async (chunk) => {
+    if (!output.write(chunk)) await once(output, 'drain');
+  };
+
+  if (format === 'csv') {
+    await write(toCsvLine(CATALOG_COLUMNS));
+  } else {
+    await write('[');
+  }
+
+  let first = true;
+  for await (const product of cursor) {
+    const row = toExportRow(product);
+    if (format === 'csv') {
+      await write(toCsvLine(toCsvCells(row)));
+    } else {
+      await write(`${first ? '' : ','}\n${JSON.stringify(row)}`);
+    }
+    first = false;
+  }
+
+  if (format === 'json') await write('\n]\n');
+  output.end();
+};
@@ -0,0 +1,82 @@
+// Minimal RFC 4180 CSV reading and writing
+
+const FORMULA_START = /^[=+\-@\t\r]/;
+const FORMULA_ESCAPED = /^'[=+\-@\t\r]/;
+
+// Parse CSV text into rows of cells. Handles quoted cells with commas,
+// doubled quotes and line breaks, CRLF line endings and a leading BOM.
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  for (; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('Unterminated quoted cell');
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  // Skip blank lines
+  return rows.filter(cells => cells.some(value => value !== ''));
+};
+
+// Parse CSV with a header row into objects keyed by column name. Undoes the
+// formula escaping toCsvLine adds, so exports can be imported again.
+export const parseCsvObjects = (text) => {
+  const [header = [], ...rows] = parseCsv(text);
+  const columns = header.map(name => name.trim());
+  const unescape = (value) => (FORMULA_ESCAPED.test(value) ? value.slice(1) : value);
+
+  return rows.map(cells => Object.fromEntries(
+    columns.map((column, index) => [column, unescape(cells[index] ?? '')])
+  ));
+};
+
+// Quote a cell when it needs it. Cells starting with a formula character are
+// prefixed with a quote so spreadsheets don't run them.
+const formatCell = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text = String(value);
+  if (FORMULA_START.test(text) && typeof value !== 'number') {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Format one row of cells as a CSV line, with its line ending
+export const toCsvLine = (cells) => `${cells.map(formatCell).join(',')}\r\n`;
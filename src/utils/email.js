@@ -66,7 +66,7 @@ export const sendWelcomeEmail = async (user) => {
 };
 
 // Send order confirmation email
-export const sendOrderConfirmationEmail = async (user, order) => {
+export const sendOrderConfirmationEmail = async (user, order, orderUrl) => {
   const subject = `Order Confirmation - ${order.orderNumber}`;
   const message = `
     Hi ${user.name},
@@ -79,6 +79,8 @@ export const sendOrderConfirmationEmail = async (user, order) => {
     
     Order Status: ${order.status}
     
+    ${orderUrl ? `View or cancel your order at: ${orderUrl}` : ''}
+    
     We'll send you updates as your order progresses.
     
     Best regards,
@@ -119,6 +121,133 @@ export const sendPasswordResetEmail = async (user, resetToken) => {
   });
 };
 
+// Send password changed notification email
+export const sendPasswordChangedEmail = async (user, { ip, userAgent } = {}) => {
+  const subject = 'Your password was changed';
+
+  const message = `
+    Hi ${user.name},
+    
+    The password for your account was changed on ${new Date().toUTCString()}.
+    
+    ${ip ? `IP address: ${ip}` : ''}
+    ${userAgent ? `Device: ${userAgent}` : ''}
+    
+    All other devices have been signed out. If you didn't make this change,
+    reset your password right away and contact support.
+    
+    Best regards,
+    The Ecommerce Team
+  `;
+
+  await sendEmail({
+    email: user.email,
+    subject,
+    message
+  });
+};
+
+// Send magic login link email
+export const sendMagicLinkEmail = async (user, loginUrl) => {
+  const subject = 'Your login link';
+  const minutes = parseInt(process.env.MAGIC_LINK_EXPIRE_MINUTES) || 15;
+
+  const message = `
+    Hi ${user.name},
+    
+    Use the link below to log in to your account:
+    
+    ${loginUrl}
+    
+    This link can be used once and will expire in ${minutes} minutes.
+    
+    If you didn't request this, please ignore this email.
+    
+    Best regards,
+    The Ecommerce Team
+  `;
+
+  await sendEmail({
+    email: user.email,
+    subject,
+    message
+  });
+};
+
+// Send account erasure scheduled email
+export const sendErasureScheduledEmail = async (user, scheduledFor) => {
+  const subject = 'Your account is scheduled for deletion';
+
+  const message = `
+    Hi ${user.name},
+    
+    We received your request to delete your account. It will be deleted on
+    ${scheduledFor.toUTCString()}.
+    
+    Until then you can log in and cancel the request from your account settings.
+    Order records are kept for accounting, without your personal details.
+    
+    If you didn't request this, log in and cancel it, then change your password.
+    
+    Best regards,
+    The Ecommerce Team
+  `;
+
+  await sendEmail({
+    email: user.email,
+    subject,
+    message
+  });
+};
+
+// Send account erased email
+export const sendAccountErasedEmail = async (user) => {
+  const subject = 'Your account has been deleted';
+
+  const message = `
+    Hi ${user.name},
+    
+    Your account and personal data have been deleted. This is the last email
+    we will send to this address.
+    
+    Best regards,
+    The Ecommerce Team
+  `;
+
+  await sendEmail({
+    email: user.email,
+    subject,
+    message
+  });
+};
+
+// Send email verification email
+export const sendVerificationEmail = async (user, verifyUrl) => {
+  const subject = 'Please verify your email address';
+  const hours = parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS) || 24;
+
+  const message = `
+    Hi ${user.name},
+    
+    Please confirm your email address by opening the link below:
+    
+    ${verifyUrl}
+    
+    This link will expire in ${hours} hours.
+    
+    If you didn't create an account, please ignore this email.
+    
+    Best regards,
+    The Ecommerce Team
+  `;
+
+  await sendEmail({
+    email: user.email,
+    subject,
+    message
+  });
+};
+
 // Send order status update email
 export const sendOrderStatusUpdateEmail = async (user, order) => {
   const subject = `Order Status Update - ${order.orderNumber}`;
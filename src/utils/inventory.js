@@ -0,0 +1,284 @@
+import Product from '../models/Product.js';
+import Order from '../models/Order.js';
+import Warehouse from '../models/Warehouse.js';
+import InventoryLevel from '../models/InventoryLevel.js';
+import StockMovement from '../models/StockMovement.js';
+
+// How orders pick a warehouse: `proximity` ships from the nearest warehouse to
+// the shipping address, breaking ties by priority; `priority` ignores location
+const allocationStrategy = () => (process.env.WAREHOUSE_ALLOCATION === 'priority' ? 'priority' : 'proximity');
+
+// Warehouses in the order an order ships from them
+export const rankWarehouses = (warehouses, shippingAddress) => {
+  const byProximity = allocationStrategy() === 'proximity';
+
+  return [...warehouses].sort((a, b) =>
+    (byProximity ? a.distanceTo(shippingAddress) - b.distanceTo(shippingAddress) : 0) ||
+    a.priority - b.priority ||
+    a.code.localeCompare(b.code));
+};
+
+// Load the product, and variant when it is sold in variants, whose stock is
+// being managed. Throws with the response status set when there is none.
+export const findInventoryUnit = async (productId, variantId, res, session) => {
+  const product = await Product.findById(productId).session(session);
+
+  if (!product || product.deletedAt) {
+    res.status(404);
+    throw new Error('Product not found');
+  }
+
+  if (product.variants.length === 0) {
+    if (variantId) {
+      res.status(400);
+      throw new Error(`${product.name} has no variants`);
+    }
+    return { product, variant: null };
+  }
+
+  const variant = variantId && product.getVariant(variantId);
+  if (!variant) {
+    res.status(400);
+    throw new Error(variantId
+      ? `Variant ${variantId} of ${product.name} not found`
+      : `Please choose a variant of ${product.name}`);
+  }
+  return { product, variant };
+};
+
+// Orders in these states can still be cancelled, which puts their stock back
+export const OPEN_ORDER_STATUSES = ['pending', 'processing', 'shipped'];
+
+// Apply the variants of an update: ones sent with an _id are updated in place,
+// keeping what reservations hold on them, ones without are added, and ones
+// left out are removed unless reservations hold them, warehouses stock them or
+// open orders may still give their stock back. Throws with the response
+// status set when there is a response.
+export const mergeVariants = async (product, variants, res, session) => {
+  const kept = new Set();
+
+  for (const { _id: id, ...fields } of variants) {
+    if (!id) continue;
+
+    const variant = product.getVariant(id);
+    if (!variant) {
+      res?.status(400);
+      throw new Error(`Variant ${id} of ${product.name} not found`);
+    }
+    variant.set(fields);
+    kept.add(variant._id.toString());
+  }
+
+  for (const variant of [...product.variants]) {
+    if (kept.has(variant._id.toString())) continue;
+
+    const inUse = variant.reserved > 0 ||
+      await InventoryLevel.exists({ product: product._id, variant: variant._id, stock: { $gt: 0 } }).session(session) ||
+      await Order.exists({ status: { $in: OPEN_ORDER_STATUSES }, 'items.variant': variant._id }).session(session);
+    if (inUse) {
+      res?.status(409);
+      throw new Error(`Variant ${variant.sku} is held by reservations, warehouses or open orders; deactivate it instead of removing it`);
+    }
+    product.variants.pull(variant._id);
+  }
+
+  for (const { _id: id, ...fields } of variants) {
+    if (!id) product.variants.push(fields);
+  }
+};
+
+// Stock of a product (under 'null') and its variants that is kept per
+// warehouse, by variant ID. Take it before an update and pass it to
+// keepWarehouseStock after.
+export const warehouseStock = async (product, session) => {
+  const perWarehouse = new Set(
+    (await InventoryLevel.distinct('variant', { product: product._id }).session(session)).map(String)
+  );
+  const units = [[null, product], ...product.variants.map(variant => [variant._id, variant])];
+
+  return new Map(units
+    .filter(([id]) => perWarehouse.has(String(id)))
+    .map(([id, unit]) => [String(id), unit.stock]));
+};
+
+// Put back stock kept per warehouse that an update changed; it only changes
+// through the warehouse endpoints
+export const keepWarehouseStock = (product, stock) => {
+  if (product.variants.length === 0 && stock.has('null')) {
+    product.stock = stock.get('null');
+  }
+  for (const variant of product.variants) {
+    const id = variant._id.toString();
+    if (stock.has(id)) variant.stock = stock.get(id);
+  }
+};
+
+// Take an order item's quantity from warehouse stock: all from the first
+// ranked warehouse that has enough, otherwise from each in turn. Returns the
+// allocations with the stock left at each warehouse, an empty list when the
+// product isn't stocked per warehouse, or null when the warehouses don't have
+// enough. Call inside the order transaction.
+export const allocateStock = async (product, variant, quantity, rankedWarehouses, session) => {
+  quantity = Number(quantity);
+
+  const levels = await InventoryLevel.find({ product: product._id, variant: variant?._id ?? null })
+    .session(session);
+  if (levels.length === 0) return [];
+
+  const levelAt = new Map(levels.map(level => [level.warehouse.toString(), level]));
+  const stocked = rankedWarehouses
+    .map(warehouse => levelAt.get(warehouse._id.toString()))
+    .filter(level => level && level.stock > 0);
+
+  const single = stocked.find(level => level.stock >= quantity);
+  const plan = [];
+  if (single) {
+    plan.push({ level: single, quantity });
+  } else {
+    let remaining = quantity;
+    for (const level of stocked) {
+      if (remaining === 0) break;
+      const take = Math.min(level.stock, remaining);
+      plan.push({ level, quantity: take });
+      remaining -= take;
+    }
+    if (remaining > 0) return null;
+  }
+
+  const allocations = [];
+  for (const { level, quantity: take } of plan) {
+    const taken = await InventoryLevel.findOneAndUpdate(
+      { _id: level._id, stock: { $gte: take } },
+      { $inc: { stock: -take } },
+      { new: true, session }
+    );
+    if (!taken) return null;
+    allocations.push({ warehouse: level.warehouse, quantity: take, warehouseBalance: taken.stock });
+  }
+
+  return allocations;
+};
+
+// Set the stock of a product or variant at a warehouse, and bring the
+// product's stock totals in line with the sum of its levels. The change is
+// recorded as an adjustment by actor. Call inside a transaction.
+export const setStockLevel = async (product, variant, warehouseId, stock, actor, session) => {
+  const unit = { product: product._id, variant: variant?._id ?? null };
+  const previous = await InventoryLevel.findOne({ ...unit, warehouse: warehouseId }).session(session);
+
+  const level = await InventoryLevel.findOneAndUpdate(
+    { ...unit, warehouse: warehouseId },
+    { $set: { stock } },
+    { upsert: true, new: true, runValidators: true, session }
+  );
+
+  const [sum] = await InventoryLevel.aggregate([
+    { $match: { product: product._id, variant: variant?._id ?? null } },
+    { $group: { _id: null, stock: { $sum: '$stock' } } }
+  ]).session(session);
+
+  // The first level replaces stock that wasn't kept per warehouse
+  const before = (variant || product).stock;
+  const after = sum?.stock || 0;
+  if (after !== before) {
+    await Product.updateOne(
+      variant ? { _id: product._id, 'variants._id': variant._id } : { _id: product._id },
+      { $inc: variant ? { 'variants.$.stock': after - before, stock: after - before } : { stock: after - before } },
+      { session }
+    );
+  }
+
+  const levelChange = stock - (previous?.stock || 0);
+  const unassignedChange = after - before - levelChange;
+  const details = { reason: 'adjustment', actor };
+  await StockMovement.record([
+    ...(unassignedChange !== 0
+      ? [{ ...unit, quantity: unassignedChange, balance: before + unassignedChange, note: 'Replaced by stock kept per warehouse', ...details }]
+      : []),
+    ...(levelChange !== 0
+      ? [{ ...unit, warehouse: warehouseId, quantity: levelChange, balance: after, warehouseBalance: stock, ...details }]
+      : [])
+  ], session);
+
+  return level;
+};
+
+// Move stock of a product or variant between warehouses. Totals don't change.
+// Throws with the response status set when the source doesn't have enough.
+export const transferStock = async (product, variant, fromId, toId, quantity, actor, res, session) => {
+  const unit = { product: product._id, variant: variant?._id ?? null };
+
+  const from = await InventoryLevel.findOneAndUpdate(
+    { ...unit, warehouse: fromId, stock: { $gte: quantity } },
+    { $inc: { stock: -quantity } },
+    { new: true, session }
+  );
+  if (!from) {
+    res.status(400);
+    throw new Error('Not enough stock at the source warehouse');
+  }
+
+  const to = await InventoryLevel.findOneAndUpdate(
+    { ...unit, warehouse: toId },
+    { $inc: { stock: quantity } },
+    { upsert: true, new: true, session }
+  );
+
+  const balance = (variant || product).stock;
+  const details = { ...unit, reason: 'transfer', balance, actor };
+  await StockMovement.record([
+    { ...details, warehouse: fromId, quantity: -quantity, warehouseBalance: from.stock },
+    { ...details, warehouse: toId, quantity, warehouseBalance: to.stock }
+  ], session);
+
+  return { from, to };
+};
+
+// Stock of a product and each of its variants at every warehouse
+export const getAvailability = async (product) => {
+  const [warehouses, levels] = await Promise.all([
+    Warehouse.find().sort({ priority: 1, code: 1 }),
+    InventoryLevel.find({ product: product._id })
+  ]);
+
+  const stockAt = (variantId, warehouseId) => levels.find(level =>
+    String(level.variant) === String(variantId) && level.warehouse.equals(warehouseId))?.stock || 0;
+
+  const units = (product.variants.length > 0 ? product.variants : [product]).map(unit => {
+    const variantId = unit === product ? null : unit._id;
+    return {
+      variant: variantId,
+      sku: unit.sku,
+      ...(variantId && { label: unit.label }),
+      stock: unit.stock,
+      reserved: unit.reserved || 0,
+      available: unit.available,
+      // Without levels, stock isn't assigned to any warehouse
+      perWarehouse: levels.some(level => String(level.variant) === String(variantId)),
+      locations: warehouses.map(warehouse => ({
+        warehouse: { _id: warehouse._id, name: warehouse.name, code: warehouse.code },
+        stock: stockAt(variantId, warehouse._id)
+      }))
+    };
+  });
+
+  return {
+    product: {
+      _id: product._id,
+      name: product.name,
+      sku: product.sku,
+      stock: product.stock,
+      reserved: product.reserved || 0,
+      available: product.available
+    },
+    units,
+    warehouses: warehouses.map(warehouse => ({
+      _id: warehouse._id,
+      name: warehouse.name,
+      code: warehouse.code,
+      stock: levels
+        .filter(level => level.warehouse.equals(warehouse._id))
+        .reduce((sum, level) => sum + level.stock, 0)
+    }))
+  };
+};
@@ -0,0 +1,155 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { logger } from '../config/logger.js';
+
+let keyring = null;
+let reloadTimer = null;
+
+// Pick the JWS algorithm for an asymmetric key
+const algorithmFor = (key) => {
+  if (key.asymmetricKeyType === 'rsa') return 'RS256';
+  if (key.asymmetricKeyType === 'ec' && key.asymmetricKeyDetails?.namedCurve === 'prime256v1') return 'ES256';
+  throw new Error(`Unsupported JWT key type: ${key.asymmetricKeyType}`);
+};
+
+// Load keys from JWT_KEYS_DIR. Every `<kid>.pem` file is a verification key;
+// files holding a private key can also sign. Retired keys are kept as public
+// keys until the tokens they signed have expired. Without JWT_KEYS_DIR tokens
+// are signed with the shared JWT_SECRET (HS256).
+const loadKeyring = () => {
+  const ring = { keys: new Map(), signingKey: null };
+  const dir = process.env.JWT_KEYS_DIR;
+
+  if (!dir) return ring;
+
+  const files = fs.readdirSync(dir).filter(file => file.endsWith('.pem')).sort();
+  for (const file of files) {
+    const kid = path.basename(file, '.pem');
+    const pem = fs.readFileSync(path.join(dir, file), 'utf8');
+    const privateKey = pem.includes('PRIVATE KEY') ? crypto.createPrivateKey(pem) : null;
+    const publicKey = crypto.createPublicKey(privateKey || pem);
+
+    ring.keys.set(kid, { kid, algorithm: algorithmFor(publicKey), privateKey, publicKey });
+  }
+
+  const privateKids = [...ring.keys.values()].filter(key => key.privateKey).map(key => key.kid);
+  const signingKid = process.env.JWT_SIGNING_KEY_ID || (privateKids.length === 1 ? privateKids[0] : null);
+
+  if (!signingKid) {
+    throw new Error('JWT_SIGNING_KEY_ID must name one of the private keys in JWT_KEYS_DIR');
+  }
+
+  const signingKey = ring.keys.get(signingKid);
+  if (!signingKey?.privateKey) {
+    throw new Error(`JWT signing key "${signingKid}" not found or has no private key`);
+  }
+
+  ring.signingKey = signingKey;
+  return ring;
+};
+
+// Signing key and key ids, to tell whether a reload changed anything
+const keyState = (ring) => `${ring.signingKey?.kid}:${[...ring.keys.keys()].join(',')}`;
+
+const describeKeyring = (ring) =>
+  `${ring.signingKey.algorithm} key "${ring.signingKey.kid}", ${ring.keys.size} verification key(s) loaded`;
+
+const getKeyring = () => {
+  if (!keyring) keyring = loadKeyring();
+  return keyring;
+};
+
+// Read JWT_KEYS_DIR again, so keys added or removed during a rotation are
+// used without a restart. If the directory can't be loaded, e.g. halfway
+// through copying a key in, the keys already in use are kept.
+export const reloadJwtKeys = () => {
+  try {
+    const ring = loadKeyring();
+    const changed = !keyring || keyState(ring) !== keyState(keyring);
+    keyring = ring;
+
+    if (changed) {
+      logger.info(`JWT keys reloaded, signing with ${describeKeyring(ring)}`);
+    }
+  } catch (error) {
+    logger.error(`Failed to reload JWT keys, keeping the current ones: ${error.message}`);
+  }
+};
+
+// Load keys up front so a broken key setup fails at startup, not on first
+// login, then reload them every JWT_KEYS_RELOAD_SECONDS. The shared-secret
+// fallback is refused in production.
+export const initJwtKeys = () => {
+  if (!process.env.JWT_KEYS_DIR) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('JWT_KEYS_DIR must be set in production; the shared JWT_SECRET is only for development');
+    }
+    if (!process.env.JWT_SECRET) {
+      throw new Error('Set JWT_KEYS_DIR, or JWT_SECRET for development');
+    }
+    logger.warn('JWT_KEYS_DIR is not set, signing tokens with the shared JWT_SECRET (HS256); do not use this in production');
+  }
+
+  keyring = loadKeyring();
+  if (!keyring.signingKey) return;
+  logger.info(`JWT signing with ${describeKeyring(keyring)}`);
+
+  const seconds = parseInt(process.env.JWT_KEYS_RELOAD_SECONDS) || 60;
+  clearInterval(reloadTimer);
+  reloadTimer = setInterval(reloadJwtKeys, seconds * 1000);
+  reloadTimer.unref();
+};
+
+// Sign a JWT with the active key, tagging it with the key id
+export const signJwt = (payload, options = {}) => {
+  const { signingKey } = getKeyring();
+
+  if (!signingKey) {
+    return jwt.sign(payload, process.env.JWT_SECRET, options);
+  }
+
+  return jwt.sign(payload, signingKey.privateKey, {
+    ...options,
+    algorithm: signingKey.algorithm,
+    keyid: signingKey.kid
+  });
+};
+
+// Verify a JWT against the key named in its header. Algorithms are pinned per
+// key so a token can't pick its own. Legacy HS256 tokens are only accepted
+// when JWT_ACCEPT_HS256 is set, e.g. for one token lifetime after migrating.
+export const verifyJwt = (token) => {
+  const { keys, signingKey } = getKeyring();
+
+  if (!signingKey) {
+    return jwt.verify(token, process.env.JWT_SECRET, { algorithms: ['HS256'] });
+  }
+
+  const header = jwt.decode(token, { complete: true })?.header;
+
+  if (header?.kid) {
+    const key = keys.get(header.kid);
+    if (!key) {
+      throw new jwt.JsonWebTokenError('Unknown signing key');
+    }
+    return jwt.verify(token, key.publicKey, { algorithms: [key.algorithm] });
+  }
+
+  if (process.env.JWT_ACCEPT_HS256 === 'true') {
+    return jwt.verify(token, process.env.JWT_SECRET, { algorithms: ['HS256'] });
+  }
+
+  throw new jwt.JsonWebTokenError('Token has no key id');
+};
+
+// Public verification keys as a JSON Web Key Set
+export const getJwks = () => ({
+  keys: [...getKeyring().keys.values()].map(key => ({
+    ...key.publicKey.export({ format: 'jwk' }),
+    kid: key.kid,
+    alg: key.algorithm,
+    use: 'sig'
+  }))
+});
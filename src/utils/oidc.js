@@ -0,0 +1,128 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+
+const DISCOVERY_TTL_MS = 60 * 60 * 1000;
+const JWKS_REFRESH_MIN_MS = 60 * 1000;
+const HTTP_TIMEOUT_MS = 10 * 1000;
+
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+const fetchJson = async (url, options = {}) => {
+  const response = await fetch(url, { ...options, signal: AbortSignal.timeout(HTTP_TIMEOUT_MS) });
+  const body = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    const reason = body.error_description || body.error || response.statusText;
+    throw new Error(`OIDC request to ${url} failed: ${reason}`);
+  }
+  return body;
+};
+
+// Fetch and cache the provider's discovery document
+const discover = async (provider) => {
+  const cached = discoveryCache.get(provider.id);
+  if (cached && cached.expires > Date.now()) return cached.config;
+
+  const config = await fetchJson(`${provider.issuer}/.well-known/openid-configuration`);
+  discoveryCache.set(provider.id, { config, expires: Date.now() + DISCOVERY_TTL_MS });
+  return config;
+};
+
+// Find the provider key that signed an ID token. Keys are refetched when an
+// unknown kid shows up, which is how providers roll their keys.
+const getSigningKey = async (provider, config, kid) => {
+  let cached = jwksCache.get(provider.id);
+  const findKey = () => cached?.keys.find(key => !kid || key.kid === kid);
+
+  if (!findKey() && (!cached || Date.now() - cached.fetchedAt > JWKS_REFRESH_MIN_MS)) {
+    const { keys = [] } = await fetchJson(config.jwks_uri);
+    cached = { keys, fetchedAt: Date.now() };
+    jwksCache.set(provider.id, cached);
+  }
+
+  const jwk = findKey();
+  if (!jwk) {
+    throw new Error('ID token signed with an unknown key');
+  }
+  return jwk;
+};
+
+// Algorithms accepted for a JWK. Pinned per key type so a token can't choose
+// a weaker one (or "none").
+const algorithmsFor = (jwk) => {
+  if (jwk.kty === 'RSA') return ['RS256'];
+  if (jwk.kty === 'EC' && jwk.crv === 'P-256') return ['ES256'];
+  throw new Error(`Unsupported ID token key type: ${jwk.kty}`);
+};
+
+// Random values for one authorization request. The PKCE verifier and nonce
+// stay on the server, only the challenge and state go to the provider.
+export const createAuthorizationRequest = () => {
+  const codeVerifier = crypto.randomBytes(32).toString('base64url');
+
+  return {
+    state: crypto.randomBytes(24).toString('base64url'),
+    nonce: crypto.randomBytes(24).toString('base64url'),
+    codeVerifier,
+    codeChallenge: crypto.createHash('sha256').update(codeVerifier).digest('base64url')
+  };
+};
+
+// Build the URL that sends the browser to the provider
+export const buildAuthorizationUrl = async (provider, { state, nonce, codeChallenge }) => {
+  const config = await discover(provider);
+  const url = new URL(config.authorization_endpoint);
+
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: provider.clientId,
+    redirect_uri: provider.redirectUri,
+    scope: provider.scopes,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  }).toString();
+
+  return url.toString();
+};
+
+// Exchange an authorization code for tokens and return the verified ID token claims
+export const exchangeCode = async (provider, { code, codeVerifier, nonce }) => {
+  const config = await discover(provider);
+
+  const params = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: provider.redirectUri,
+    client_id: provider.clientId,
+    code_verifier: codeVerifier
+  });
+  if (provider.clientSecret) params.set('client_secret', provider.clientSecret);
+
+  const tokens = await fetchJson(config.token_endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+    body: params
+  });
+
+  if (!tokens.id_token) {
+    throw new Error('Provider did not return an ID token');
+  }
+
+  const header = jwt.decode(tokens.id_token, { complete: true })?.header;
+  const jwk = await getSigningKey(provider, config, header?.kid);
+
+  const claims = jwt.verify(tokens.id_token, crypto.createPublicKey({ key: jwk, format: 'jwk' }), {
+    algorithms: algorithmsFor(jwk),
+    issuer: config.issuer,
+    audience: provider.clientId
+  });
+
+  if (claims.nonce !== nonce) {
+    throw new Error('ID token nonce does not match');
+  }
+
+  return claims;
+};
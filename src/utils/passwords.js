@@ -0,0 +1,22 @@
+import fs from 'fs';
+
+const BREACHED_LIST_PATH = new URL('../data/breached-passwords.txt', import.meta.url);
+
+let breachedPasswords = null;
+
+// Load the bundled breached password list once, on first use
+const loadBreachedPasswords = () => {
+  if (!breachedPasswords) {
+    breachedPasswords = new Set(
+      fs.readFileSync(BREACHED_LIST_PATH, 'utf8')
+        .split('\n')
+        .map(line => line.trim().toLowerCase())
+        .filter(line => line && !line.startsWith('#'))
+    );
+  }
+  return breachedPasswords;
+};
+
+// Check a password against the bundled list of breached passwords
+export const isBreachedPassword = (password = '') =>
+  loadBreachedPasswords().has(password.trim().toLowerCase());
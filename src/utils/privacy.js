@@ -0,0 +1,207 @@
+import User from '../models/User.js';
+import Order from '../models/Order.js';
+import Review from '../models/Review.js';
+import Product from '../models/Product.js';
+import Session from '../models/Session.js';
+import RefreshToken from '../models/RefreshToken.js';
+import ApiKey from '../models/ApiKey.js';
+import OAuthState from '../models/OAuthState.js';
+import AuditLog from '../models/AuditLog.js';
+import { createZip } from './zip.js';
+import { sendAccountErasedEmail } from './email.js';
+import { logger } from '../config/logger.js';
+
+const ERASED = '[erased]';
+
+const EXPORT_README = `This archive contains the personal data we hold about your account.
+
+profile.json    Account details and linked login providers
+addresses.json  Saved address and the shipping addresses used on orders
+orders.json     Orders placed with your account, or as a guest with your verified email
+reviews.json    Product reviews you wrote
+sessions.json   Devices and IP addresses that signed in to your account
+`;
+
+const toJson = (value) => JSON.stringify(value, null, 2);
+
+// Orders of a user: placed with the account, and guest orders placed with its
+// email once the email is verified, as for claiming guest orders
+const ownOrdersFilter = (user) => (user.emailVerified
+  ? { $or: [{ user: user._id }, { guestEmail: user.email }] }
+  : { user: user._id });
+
+// Build a ZIP of everything stored about a user
+export const buildDataExport = async (userId) => {
+  const user = await User.findById(userId);
+
+  const [orders, reviews, sessions] = await Promise.all([
+    Order.find(ownOrdersFilter(user))
+      .sort({ createdAt: -1 })
+      .then(docs => docs.map(doc => doc.toJSON())),
+    Review.find({ user: user._id })
+      .populate('product', 'name')
+      .sort({ createdAt: -1 })
+      .lean(),
+    Session.find({ user: user._id })
+      .select('-family')
+      .sort({ createdAt: -1 })
+      .lean()
+  ]);
+
+  const profile = {
+    id: user._id,
+    name: user.name,
+    email: user.email,
+    phone: user.phone,
+    role: user.role,
+    emailVerified: user.emailVerified,
+    twoFactorEnabled: user.twoFactorEnabled,
+    magicLinkEnabled: user.magicLinkEnabled,
+    identities: user.identities,
+    deletionScheduledFor: user.deletionScheduledFor,
+    createdAt: user.createdAt,
+    updatedAt: user.updatedAt
+  };
+
+  const addresses = {
+    account: user.address,
+    shipping: [...new Map(orders
+      .map(order => order.shippingAddress)
+      .filter(Boolean)
+      .map(address => [JSON.stringify(address), address])).values()]
+  };
+
+  return createZip([
+    { name: 'README.txt', content: EXPORT_README },
+    { name: 'profile.json', content: toJson(profile) },
+    { name: 'addresses.json', content: toJson(addresses) },
+    { name: 'orders.json', content: toJson(orders) },
+    { name: 'reviews.json', content: toJson(reviews) },
+    { name: 'sessions.json', content: toJson(sessions) }
+  ]);
+};
+
+// Anonymize a user. Orders are kept for accounting with the personal parts of
+// the shipping address removed; everything else tied to the person is deleted.
+export const eraseUser = async (user, { actor } = {}) => {
+  const userId = user._id;
+
+  // Last message to the address before it's gone
+  try {
+    await sendAccountErasedEmail(user);
+  } catch (error) {
+    logger.error(`Failed to send account erased email for user ${userId}: ${error.message}`);
+  }
+
+  await Order.updateMany(
+    ownOrdersFilter(user),
+    {
+      $set: {
+        'shippingAddress.name': ERASED,
+        'shippingAddress.street': ERASED,
+        'shippingAddress.phone': ERASED
+      },
+      $unset: { notes: 1, guestAccessToken: 1 }
+    }
+  );
+  if (user.emailVerified) {
+    await Order.updateMany({ guestEmail: user.email }, { guestEmail: 'erased@erased.invalid' });
+  }
+
+  // Remove reviews and recalculate the ratings they contributed to
+  const productIds = await Review.distinct('product', { user: userId });
+  await Review.deleteMany({ user: userId });
+  await Review.updateMany({}, { $pull: { helpful: { user: userId }, reported: { user: userId } } });
+  for (const productId of productIds) {
+    const product = await Product.findById(productId);
+    if (product) await product.updateAverageRating();
+  }
+
+  await Promise.all([
+    Session.deleteMany({ user: userId }),
+    RefreshToken.deleteMany({ user: userId }),
+    OAuthState.deleteMany({ user: userId }),
+    ApiKey.updateMany({ user: userId, revokedAt: null }, { revokedAt: new Date() })
+  ]);
+
+  // Written directly: an erased account no longer passes the schema's validation
+  await User.updateOne(
+    { _id: userId },
+    {
+      $set: {
+        name: 'Deleted User',
+        email: `deleted-${userId}@erased.invalid`,
+        isActive: false,
+        emailVerified: false,
+        magicLinkEnabled: false,
+        twoFactorEnabled: false,
+        identities: [],
+        erasedAt: new Date()
+      },
+      $inc: { tokenVersion: 1 },
+      $unset: {
+        password: 1,
+        passwordHistory: 1,
+        passwordChangedAt: 1,
+        phone: 1,
+        address: 1,
+        resetPasswordToken: 1,
+        resetPasswordExpire: 1,
+        magicLinkToken: 1,
+        magicLinkExpire: 1,
+        emailVerificationToken: 1,
+        emailVerificationExpire: 1,
+        emailVerificationSentAt: 1,
+        twoFactorSecret: 1,
+        twoFactorPendingSecret: 1,
+        twoFactorRecoveryCodes: 1,
+        twoFactorLastUsedStep: 1,
+        deletionRequestedAt: 1,
+        deletionScheduledFor: 1,
+        lastFailedLoginAt: 1,
+        lockUntil: 1
+      }
+    }
+  );
+
+  await AuditLog.record({ action: 'user.erased', actor, subject: userId });
+  logger.info(`User ${userId} erased`);
+};
+
+// Erase every account whose grace period has ended. Each user is claimed
+// atomically so several instances can run this at once.
+export const processDueErasures = async () => {
+  let erased = 0;
+
+  for (;;) {
+    const user = await User.findOneAndUpdate(
+      { deletionScheduledFor: { $lte: new Date() }, erasedAt: null },
+      { $unset: { deletionScheduledFor: 1 } }
+    );
+    if (!user) break;
+
+    try {
+      await eraseUser(user, { actor: user._id });
+      erased += 1;
+    } catch (error) {
+      logger.error(`Failed to erase user ${user._id}: ${error.message}`);
+      // Put it back so the next run retries
+      await User.updateOne({ _id: user._id }, { deletionScheduledFor: new Date() });
+      break;
+    }
+  }
+
+  return erased;
+};
+
+// Check for due erasures periodically
+export const startErasureScheduler = () => {
+  const minutes = parseInt(process.env.ERASURE_CHECK_INTERVAL_MINUTES) || 60;
+
+  const run = () => processDueErasures().catch(error => {
+    logger.error(`Erasure run failed: ${error.message}`);
+  });
+
+  run();
+  setInterval(run, minutes * 60 * 1000).unref();
+};
@@ -0,0 +1,227 @@
+import Product from '../models/Product.js';
+import Reservation from '../models/Reservation.js';
+import { withTransaction } from './transaction.js';
+import { logger } from '../config/logger.js';
+
+// Expired reservations released per run
+const EXPIRY_BATCH_SIZE = 500;
+
+const reservationTtlMs = () => (parseInt(process.env.RESERVATION_TTL_MINUTES) || 15) * 60 * 1000;
+
+// Limits that keep a client from holding stock nobody else can buy: units per
+// line and per reservation, how long a reservation can be kept alive in total,
+// and active guest reservations per IP address
+const reservationLimits = () => ({
+  itemQuantity: parseInt(process.env.RESERVATION_MAX_ITEM_QUANTITY) || 10,
+  quantity: parseInt(process.env.RESERVATION_MAX_QUANTITY) || 50,
+  lifetimeMs: (parseInt(process.env.RESERVATION_MAX_LIFETIME_MINUTES) || 60) * 60 * 1000,
+  guestsPerIp: parseInt(process.env.RESERVATION_MAX_ACTIVE_PER_IP) || 3
+});
+
+// When a reservation expires: a full time limit from now, but never past its
+// maximum lifetime, so updates can't keep stock held forever
+const expiryFor = (createdAt) => new Date(Math.min(
+  Date.now() + reservationTtlMs(),
+  createdAt.getTime() + reservationLimits().lifetimeMs
+));
+
+// Throw with the response status set when items hold more than allowed
+const checkQuantityLimits = (items, res) => {
+  const limits = reservationLimits();
+
+  if (items.some(item => Number(item.quantity) > limits.itemQuantity)) {
+    res.status(400);
+    throw new Error(`A reservation can hold at most ${limits.itemQuantity} of each item`);
+  }
+
+  if (items.reduce((sum, item) => sum + Number(item.quantity), 0) > limits.quantity) {
+    res.status(400);
+    throw new Error(`A reservation can hold at most ${limits.quantity} units`);
+  }
+};
+
+// Load the product, and variant when it is sold in variants, that an order or
+// reservation item is for. Throws with the response status set when it can't
+// be bought.
+export const findStockUnit = async (item, res, session) => {
+  const product = await Product.findById(item.product).session(session);
+
+  if (!product || product.deletedAt) {
+    res.status(404);
+    throw new Error(`Product ${item.product} not found`);
+  }
+
+  if (!product.isActive) {
+    res.status(400);
+    throw new Error(`Product ${product.name} is not available`);
+  }
+
+  // Products sold in variants are stocked and priced per variant
+  let variant = null;
+  if (product.variants.length > 0) {
+    variant = item.variant && product.getVariant(item.variant);
+
+    if (!variant || !variant.isActive) {
+      res.status(400);
+      throw new Error(item.variant
+        ? `Variant ${item.variant} of ${product.name} is not available`
+        : `Please choose a variant of ${product.name}`);
+    }
+  }
+
+  const label = variant ? `${product.name} (${variant.label})` : product.name;
+  return { product, variant, label };
+};
+
+// Hold stock for each item if enough is available at the moment of the update
+const holdItems = async (items, res, session) => {
+  const held = [];
+
+  for (const item of items) {
+    const { product, variant, label } = await findStockUnit(item, res, session);
+
+    const quantity = Number(item.quantity);
+
+    const result = await Product.updateOne(
+      Product.availableFilter(product._id, variant?._id, quantity),
+      { $inc: variant ? { 'variants.$.reserved': quantity, reserved: quantity } : { reserved: quantity } },
+      { session }
+    );
+
+    if (result.modifiedCount === 0) {
+      res.status(400);
+      throw new Error(`Insufficient stock for ${label}`);
+    }
+
+    held.push({ product: product._id, ...(variant && { variant: variant._id }), quantity });
+  }
+
+  return held;
+};
+
+// Give back held stock. Holds an admin edit has since dropped, e.g. with the
+// variant they were on, have nothing left to give back.
+const unholdItems = async (items, session) => {
+  for (const item of items) {
+    await Product.updateOne(
+      item.variant
+        ? { _id: item.product, variants: { $elemMatch: { _id: item.variant, reserved: { $gte: item.quantity } } } }
+        : { _id: item.product, reserved: { $gte: item.quantity } },
+      { $inc: item.variant ? { 'variants.$.reserved': -item.quantity, reserved: -item.quantity } : { reserved: -item.quantity } },
+      { session }
+    );
+  }
+};
+
+// End an active reservation and give back its stock. Returns the updated
+// reservation, or null when it was no longer active. Call inside a transaction.
+export const endReservation = async (id, status, session, changes = {}) => {
+  const reservation = await Reservation.findOneAndUpdate(
+    { _id: id, status: 'active' },
+    { status, ...changes },
+    { new: true, session }
+  );
+
+  if (reservation) {
+    await unholdItems(reservation.items, session);
+  }
+  return reservation;
+};
+
+// Hold stock for a cart. The client's previous active reservation (a user's,
+// or the guest reservation whose token is sent) is released, so each holds
+// one cart at a time; guests get an access token and a few carts per IP.
+export const createReservation = (items, res, { user, token, ip }) => withTransaction(async (session) => {
+  checkQuantityLimits(items, res);
+
+  const previous = user || token
+    ? await Reservation.find(user
+      ? { user: user._id, status: 'active' }
+      : { guestAccessToken: Reservation.hashAccessToken(String(token)), status: 'active' }
+    ).session(session)
+    : [];
+  for (const reservation of previous) {
+    await endReservation(reservation._id, 'released', session);
+  }
+
+  if (!user) {
+    const { guestsPerIp } = reservationLimits();
+    const active = await Reservation.countDocuments({
+      user: null,
+      ip,
+      status: 'active',
+      expiresAt: { $gt: new Date() }
+    }).session(session);
+
+    if (active >= guestsPerIp) {
+      res.status(429);
+      throw new Error('Too many active reservations, release one or place an order first');
+    }
+  }
+
+  const createdAt = new Date();
+  const reservation = new Reservation({
+    user: user?._id,
+    ...(!user && { ip }),
+    items: await holdItems(items, res, session),
+    createdAt,
+    expiresAt: expiryFor(createdAt)
+  });
+  const accessToken = user ? undefined : reservation.getGuestAccessToken();
+  await reservation.save({ session });
+
+  return { reservation, accessToken };
+});
+
+// Replace what an active reservation holds, e.g. after the cart changed, and
+// restart its time limit up to its maximum lifetime. Returns null when it has
+// already ended or expired.
+export const updateReservation = (id, items, res) => withTransaction(async (session) => {
+  checkQuantityLimits(items, res);
+
+  const reservation = await Reservation.findOne({ _id: id, status: 'active', expiresAt: { $gt: new Date() } })
+    .session(session);
+  if (!reservation) return null;
+
+  await unholdItems(reservation.items, session);
+  reservation.items = await holdItems(items, res, session);
+  reservation.expiresAt = expiryFor(reservation.createdAt);
+  await reservation.save({ session });
+
+  return reservation;
+});
+
+// Release reservations that ran past their time limit
+export const releaseExpiredReservations = async () => {
+  const expired = await Reservation.find({ status: 'active', expiresAt: { $lte: new Date() } })
+    .select('_id')
+    .limit(EXPIRY_BATCH_SIZE);
+
+  let released = 0;
+  for (const { _id } of expired) {
+    try {
+      if (await withTransaction(session => endReservation(_id, 'expired', session))) {
+        released += 1;
+      }
+    } catch (error) {
+      logger.error(`Failed to release reservation ${_id}: ${error.message}`);
+    }
+  }
+
+  if (released > 0) {
+    logger.info(`Released ${released} expired stock reservations`);
+  }
+  return released;
+};
+
+// Release expired reservations on startup and then periodically
+export const startReservationScheduler = () => {
+  const seconds = parseInt(process.env.RESERVATION_CHECK_INTERVAL_SECONDS) || 60;
+
+  const run = () => releaseExpiredReservations().catch(error => {
+    logger.error(`Reservation expiry run failed: ${error.message}`);
+  });
+
+  run();
+  setInterval(run, seconds * 1000).unref();
+};
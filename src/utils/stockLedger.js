@@ -0,0 +1,194 @@
+import Product from '../models/Product.js';
+import InventoryLevel from '../models/InventoryLevel.js';
+import StockMovement from '../models/StockMovement.js';
+
+// Stock of a product's variants by variant ID, or of the product itself under
+// '' when it has none. Taken before a change to record what it moved.
+export const stockSnapshot = (product) => (product && product.variants.length > 0
+  ? new Map(product.variants.map(variant => [variant._id.toString(), variant.stock]))
+  : new Map(product ? [['', product.stock]] : []));
+
+// Record how a product's stock changed since a snapshot, e.g. in an edit or
+// import: one movement per variant (or the product) whose stock changed
+export const recordStockChanges = async (before, product, details, session) => {
+  const after = stockSnapshot(product);
+  const movements = [];
+
+  for (const key of new Set([...before.keys(), ...after.keys()])) {
+    const quantity = (after.get(key) || 0) - (before.get(key) || 0);
+    if (quantity === 0) continue;
+
+    movements.push({
+      product: product._id,
+      variant: key || null,
+      quantity,
+      balance: after.get(key) || 0,
+      ...details
+    });
+  }
+
+  if (movements.length > 0) {
+    await StockMovement.record(movements, session);
+  }
+};
+
+// Movements for stock that left or came back at once, split over the
+// warehouses it was allocated to. `balance` is the stock after all of it.
+export const allocationMovements = (product, variant, quantity, allocations, balance, details) => {
+  const unit = { product: product._id, variant: variant?._id ?? null };
+
+  if (allocations.length === 0) {
+    return [{ ...unit, quantity, balance, ...details }];
+  }
+
+  const sign = Math.sign(quantity);
+  let running = balance - quantity;
+  return allocations.map(allocation => {
+    running += sign * allocation.quantity;
+    return {
+      ...unit,
+      warehouse: allocation.warehouse,
+      quantity: sign * allocation.quantity,
+      balance: running,
+      warehouseBalance: allocation.warehouseBalance,
+      ...details
+    };
+  });
+};
+
+// Change the stock of a product or variant by hand, e.g. a count correction
+// or returned goods put back on the shelf. Stock kept per warehouse changes
+// at the given warehouse. Throws with the response status set when the
+// change isn't possible. Call inside a transaction.
+export const adjustStock = async (product, variant, { quantity, warehouse, ...details }, res, session) => {
+  const unit = { product: product._id, variant: variant?._id ?? null };
+  const perWarehouse = await InventoryLevel.exists(unit).session(session);
+
+  if (perWarehouse && !warehouse) {
+    res.status(400);
+    throw new Error('This product is stocked per warehouse; choose the warehouse to adjust');
+  }
+  if (!perWarehouse && warehouse) {
+    res.status(400);
+    throw new Error('This product isn\'t stocked per warehouse; set its stock at a warehouse first');
+  }
+
+  let level = null;
+  if (warehouse) {
+    level = await InventoryLevel.findOneAndUpdate(
+      { ...unit, warehouse, stock: { $gte: -quantity } },
+      { $inc: { stock: quantity } },
+      { new: true, upsert: quantity > 0, session }
+    );
+    if (!level) {
+      res.status(400);
+      throw new Error('Not enough stock at the warehouse');
+    }
+  }
+
+  const updated = await Product.findOneAndUpdate(
+    variant
+      ? { _id: product._id, variants: { $elemMatch: { _id: variant._id, stock: { $gte: -quantity } } } }
+      : { _id: product._id, stock: { $gte: -quantity } },
+    { $inc: variant ? { 'variants.$.stock': quantity, stock: quantity } : { stock: quantity } },
+    { new: true, session }
+  );
+  if (!updated) {
+    res.status(400);
+    throw new Error('Stock cannot go below zero');
+  }
+
+  const [movement] = await StockMovement.record([{
+    ...unit,
+    quantity,
+    balance: variant ? updated.getVariant(variant._id).stock : updated.stock,
+    ...(level && { warehouse, warehouseBalance: level.stock }),
+    ...details
+  }], session);
+
+  return movement;
+};
+
+// Compare a product's stock, and its stock at each warehouse, with the sums
+// of its ledger entries. Variants, and warehouses, without any entries aren't
+// tracked yet.
+export const verifyStock = async (product, session) => {
+  const [sums, levels] = await Promise.all([
+    StockMovement.aggregate([
+      { $match: { product: product._id } },
+      {
+        $group: {
+          _id: { variant: '$variant', warehouse: '$warehouse' },
+          quantity: { $sum: '$quantity' }
+        }
+      }
+    ]).session(session),
+    InventoryLevel.find({ product: product._id }).session(session)
+  ]);
+
+  const units = (product.variants.length > 0 ? product.variants : [product]).map(unit => {
+    const variantId = unit === product ? null : unit._id;
+    const sameUnit = (entry) => String(entry) === String(variantId);
+    const unitSums = sums.filter(sum => sameUnit(sum._id.variant));
+    const unitLevels = levels.filter(level => sameUnit(level.variant));
+    const tracked = unitSums.length > 0;
+
+    const ledger = tracked ? unitSums.reduce((total, sum) => total + sum.quantity, 0) : null;
+
+    const warehouseIds = new Set([
+      ...unitLevels.map(level => level.warehouse.toString()),
+      ...unitSums.filter(sum => sum._id.warehouse).map(sum => sum._id.warehouse.toString())
+    ]);
+    const warehouses = [...warehouseIds].map(id => {
+      const stock = unitLevels.find(level => level.warehouse.toString() === id)?.stock || 0;
+      const sum = unitSums.find(entry => String(entry._id.warehouse) === id);
+      const warehouseLedger = sum ? sum.quantity : null;
+      return { warehouse: id, stock, ledger: warehouseLedger, difference: sum ? stock - warehouseLedger : 0 };
+    });
+
+    return {
+      variant: variantId,
+      sku: unit.sku,
+      stock: unit.stock,
+      ledger,
+      difference: tracked ? unit.stock - ledger : 0,
+      warehouses
+    };
+  });
+
+  return {
+    product: product._id,
+    consistent: units.every(unit => unit.difference === 0 && unit.warehouses.every(level => level.difference === 0)),
+    units
+  };
+};
+
+// Set a product's stock, and its warehouse levels, to what its ledger adds up
+// to. Untracked variants and warehouses are left alone. Call inside a
+// transaction.
+export const rebuildStock = async (product, res, session) => {
+  const { units } = await verifyStock(product, session);
+
+  for (const unit of units) {
+    if (unit.ledger === null) continue;
+
+    if (unit.ledger < 0 || unit.warehouses.some(level => level.ledger < 0)) {
+      res.status(409);
+      throw new Error(`The ledger of ${unit.sku || product.name} adds up to negative stock and can't be rebuilt`);
+    }
+
+    const stocked = unit.variant ? product.getVariant(unit.variant) : product;
+    stocked.stock = unit.ledger;
+
+    for (const level of unit.warehouses.filter(level => level.difference !== 0)) {
+      await InventoryLevel.updateOne(
+        { product: product._id, variant: unit.variant, warehouse: level.warehouse },
+        { $set: { stock: level.ledger } },
+        { upsert: true, session }
+      );
+    }
+  }
+
+  await product.save({ session });
+  return verifyStock(product, session);
+};
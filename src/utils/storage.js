@@ -0,0 +1,84 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+// Files on the local disk under UPLOAD_PATH, served by the /uploads static route
+class LocalStorage {
+  constructor({ root, baseUrl }) {
+    this.root = path.resolve(root);
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+  }
+
+  // Store a file and return its public URL. Keys are content hashes, so an
+  // existing file already holds the same bytes and is left alone.
+  async save(key, buffer) {
+    const filePath = this.resolve(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+    try {
+      await fs.writeFile(filePath, buffer, { flag: 'wx' });
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+
+    return this.url(key);
+  }
+
+  async delete(key) {
+    try {
+      await fs.unlink(this.resolve(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  url(key) {
+    return `${this.baseUrl}/${key}`;
+  }
+
+  // Key for one of our URLs, or null for anything stored elsewhere
+  keyFromUrl(url) {
+    if (typeof url !== 'string' || !url.startsWith(`${this.baseUrl}/`)) return null;
+    return url.slice(this.baseUrl.length + 1);
+  }
+
+  resolve(key) {
+    const filePath = path.resolve(this.root, key);
+    if (!filePath.startsWith(this.root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+}
+
+const DRIVERS = {
+  local: () => new LocalStorage({
+    root: process.env.UPLOAD_PATH || './uploads',
+    baseUrl: process.env.UPLOAD_BASE_URL || '/uploads'
+  })
+};
+
+let storage = null;
+
+// Storage adapter chosen by STORAGE_DRIVER. Adapters implement save(key, buffer),
+// delete(key), url(key) and keyFromUrl(url).
+export const getStorage = () => {
+  if (!storage) {
+    const driver = process.env.STORAGE_DRIVER || 'local';
+    if (!DRIVERS[driver]) {
+      throw new Error(`Unknown STORAGE_DRIVER "${driver}"`);
+    }
+    storage = DRIVERS[driver]();
+  }
+  return storage;
+};
+
+// Save uploaded files under content-hash names and return their URLs. Expects
+// files checked by the upload middleware, which sets their extension.
+export const saveUploads = (files, folder) => Promise.all(files.map(file => {
+  const hash = crypto.createHash('sha256').update(file.buffer).digest('hex');
+  return getStorage().save(`${folder}/${hash}.${file.extension}`, file.buffer);
+}));
+
+// Directory the local driver writes to, for serving it statically
+export const getUploadRoot = () => path.resolve(process.env.UPLOAD_PATH || './uploads');
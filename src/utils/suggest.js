@@ -0,0 +1,213 @@
+import Product from '../models/Product.js';
+import Category from '../models/Category.js';
+import SearchQuery from '../models/SearchQuery.js';
+import { getRedisClient } from '../config/redis.js';
+import { logger } from '../config/logger.js';
+
+// Each lookup gets this long in MongoDB; a slow source is left out rather
+// than holding up the others
+const QUERY_BUDGET_MS = 50;
+const CACHE_PREFIX = 'suggest:';
+const COUNTED_PREFIX = 'search-counted:';
+const MEMORY_CACHE_SIZE = 1000;
+// A client's search counts towards popular searches once per query in this
+// window, so repeating a search can't push it into the suggestions
+const COUNT_WINDOW_SECONDS = 60 * 60;
+const BACKFILL_BATCH_SIZE = 500;
+
+const memoryCache = new Map();
+const memoryCounted = new Map();
+
+const cacheSeconds = () => parseInt(process.env.SEARCH_SUGGEST_CACHE_SECONDS) || 60;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Rank values starting with the prefix ahead of those with a later word
+// starting with it, keeping the incoming order (sales) within each group
+const byPrefixMatch = (prefix, getText) => (a, b) =>
+  Number(!getText(a).toLowerCase().startsWith(prefix)) - Number(!getText(b).toLowerCase().startsWith(prefix));
+
+// Run a lookup within the budget, dropping it if it fails or runs over
+const withinBudget = async (name, prefix, lookup) => {
+  try {
+    return await lookup();
+  } catch (error) {
+    // MaxTimeMSExpired
+    if (error.code === 50) {
+      logger.warn(`Search suggestions for "${prefix}" left out ${name}: over the ${QUERY_BUDGET_MS}ms budget`);
+    } else {
+      logger.warn(`Search suggestions skipped ${name}: ${error.message}`);
+    }
+    return [];
+  }
+};
+
+const findSuggestions = async (prefix, limit) => {
+  // Keys and queries are stored normalized, so a case-sensitive anchored
+  // prefix is enough and can use their indexes
+  const startsWith = new RegExp(`^${escapeRegex(prefix)}`);
+  const minSearches = parseInt(process.env.SEARCH_SUGGEST_MIN_SEARCHES) || 3;
+
+  const [products, brands, categories, queries] = await Promise.all([
+    withinBudget('products', prefix, () => Product.find({ isActive: true, deletedAt: null, nameKeys: startsWith })
+      .select('name price images salesCount')
+      .sort({ salesCount: -1 })
+      .limit(limit * 3)
+      .maxTimeMS(QUERY_BUDGET_MS)
+      .lean()),
+    withinBudget('brands', prefix, () => Product.aggregate([
+      { $match: { isActive: true, deletedAt: null, brandKeys: startsWith } },
+      { $group: { _id: '$brand', salesCount: { $sum: '$salesCount' } } },
+      { $sort: { salesCount: -1 } },
+      { $limit: limit * 3 }
+    ]).option({ maxTimeMS: QUERY_BUDGET_MS })),
+    withinBudget('categories', prefix, () => Category.find({ isActive: true, nameKeys: startsWith })
+      .select('name slug')
+      .sort({ order: 1, name: 1 })
+      .limit(limit * 3)
+      .maxTimeMS(QUERY_BUDGET_MS)
+      .lean()),
+    withinBudget('queries', prefix, () => SearchQuery.find({
+      query: startsWith,
+      count: { $gte: minSearches }
+    })
+      .select('query count')
+      .sort({ count: -1 })
+      .limit(limit)
+      .maxTimeMS(QUERY_BUDGET_MS)
+      .lean())
+  ]);
+
+  return {
+    products: products
+      .sort(byPrefixMatch(prefix, product => product.name))
+      .slice(0, limit)
+      .map(product => ({ id: product._id, name: product.name, price: product.price, image: product.images?.[0] })),
+    brands: brands
+      .sort(byPrefixMatch(prefix, brand => brand._id))
+      .slice(0, limit)
+      .map(brand => brand._id),
+    categories: categories
+      .sort(byPrefixMatch(prefix, category => category.name))
+      .slice(0, limit)
+      .map(category => ({ id: category._id, name: category.name, slug: category.slug })),
+    queries: queries.map(entry => entry.query)
+  };
+};
+
+const getCached = async (key) => {
+  const redis = await getRedisClient();
+  if (redis) {
+    const cached = await redis.get(CACHE_PREFIX + key);
+    return cached ? JSON.parse(cached) : null;
+  }
+
+  const cached = memoryCache.get(key);
+  if (cached && cached.expires > Date.now()) return cached.value;
+  memoryCache.delete(key);
+  return null;
+};
+
+const setCached = async (key, value) => {
+  const redis = await getRedisClient();
+  if (redis) {
+    await redis.set(CACHE_PREFIX + key, JSON.stringify(value), { EX: cacheSeconds() });
+    return;
+  }
+
+  // Oldest entries go first once the cache is full
+  if (memoryCache.size >= MEMORY_CACHE_SIZE) {
+    memoryCache.delete(memoryCache.keys().next().value);
+  }
+  memoryCache.set(key, { value, expires: Date.now() + cacheSeconds() * 1000 });
+};
+
+// Autocomplete suggestions for a partly typed search: product names, brands,
+// categories and popular past searches. Cached in Redis when configured,
+// otherwise in memory.
+export const getSuggestions = async (query, limit = 5) => {
+  const prefix = SearchQuery.normalize(query);
+  const key = `${limit}:${prefix}`;
+
+  // A cache outage only costs speed
+  const cached = await getCached(key).catch(error => {
+    logger.warn(`Search suggestion cache read failed: ${error.message}`);
+    return null;
+  });
+  if (cached) return cached;
+
+  const suggestions = await findSuggestions(prefix, limit);
+  await setCached(key, suggestions).catch(error => {
+    logger.warn(`Search suggestion cache write failed: ${error.message}`);
+  });
+  return suggestions;
+};
+
+// Whether this is the client's first count of the query in the window, in
+// Redis when configured, otherwise in memory
+const firstCountInWindow = async (key) => {
+  const redis = await getRedisClient();
+  if (redis) {
+    return await redis.set(COUNTED_PREFIX + key, '1', { NX: true, EX: COUNT_WINDOW_SECONDS }) === 'OK';
+  }
+
+  const counted = memoryCounted.get(key);
+  if (counted && counted > Date.now()) return false;
+
+  // Oldest entries go first once the map is full
+  memoryCounted.delete(key);
+  if (memoryCounted.size >= MEMORY_CACHE_SIZE * 10) {
+    memoryCounted.delete(memoryCounted.keys().next().value);
+  }
+  memoryCounted.set(key, Date.now() + COUNT_WINDOW_SECONDS * 1000);
+  return true;
+};
+
+// Count a product search towards popular search suggestions. Only searches
+// that found something count, each client's once per query per window.
+// Failures are logged, never thrown, so they can't break the search itself.
+export const recordSearch = async (query, resultCount, client) => {
+  const normalized = SearchQuery.normalize(query);
+  if (!normalized || resultCount === 0) return;
+
+  try {
+    if (!(await firstCountInWindow(`${client}:${normalized}`))) return;
+  } catch (error) {
+    logger.warn(`Search count check failed: ${error.message}`);
+    return;
+  }
+
+  await SearchQuery.record(normalized, resultCount);
+};
+
+// Fill in the suggestion keys of products and categories saved before they
+// existed. Saving keeps them up to date from then on.
+export const backfillSuggestKeys = async () => {
+  const sources = [
+    [Product, { nameKeys: 'name', brandKeys: 'brand' }],
+    [Category, { nameKeys: 'name' }]
+  ];
+
+  for (const [Model, keyFields] of sources) {
+    let updates = [];
+    let filled = 0;
+    const flush = async () => {
+      if (updates.length === 0) return;
+      await Model.bulkWrite(updates);
+      filled += updates.length;
+      updates = [];
+    };
+
+    const cursor = Model.find({ nameKeys: { $exists: false } }).select(Object.values(keyFields).join(' ')).lean().cursor();
+    for await (const doc of cursor) {
+      const keys = Object.fromEntries(Object.entries(keyFields).map(([key, field]) => [key, SearchQuery.wordKeys(doc[field])]));
+      updates.push({ updateOne: { filter: { _id: doc._id }, update: { $set: keys } } });
+      if (updates.length >= BACKFILL_BATCH_SIZE) await flush();
+    }
+    await flush();
+
+    if (filled > 0) {
+      logger.info(`Added search suggestion keys to ${filled} ${Model.modelName.toLowerCase()} document(s)`);
+    }
+  }
+};
@@ -0,0 +1,54 @@
+import crypto from 'crypto';
+
+import RefreshToken from '../models/RefreshToken.js';
+import Session from '../models/Session.js';
+
+// Issue an access token and a refresh token for the given user.
+// Without a family this is a new login and starts a session; passing the
+// family of an existing session continues it.
+export const issueAuthTokens = async (user, req, family) => {
+  const sessionFamily = family || crypto.randomUUID();
+  const ip = req.ip;
+  const userAgent = req.get('User-Agent');
+
+  const { token: refreshToken, record } = await RefreshToken.issue(user._id, {
+    family: sessionFamily,
+    ip,
+    userAgent
+  });
+
+  if (family) {
+    await Session.updateOne(
+      { family },
+      { lastSeenAt: new Date(), lastSeenIp: ip, expiresAt: record.expiresAt }
+    );
+  } else {
+    await Session.create({
+      user: user._id,
+      family: sessionFamily,
+      userAgent,
+      ip,
+      lastSeenIp: ip,
+      expiresAt: record.expiresAt
+    });
+  }
+
+  return {
+    token: user.getSignedJwtToken(sessionFamily),
+    refreshToken,
+    family: sessionFamily
+  };
+};
+
+// Public user fields returned alongside issued tokens
+export const authUserData = (user) => ({
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  role: user.role,
+  isActive: user.isActive,
+  emailVerified: user.emailVerified,
+  twoFactorEnabled: user.twoFactorEnabled,
+  magicLinkEnabled: user.magicLinkEnabled,
+  createdAt: user.createdAt
+});
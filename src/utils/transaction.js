@@ -0,0 +1,54 @@
+import mongoose from 'mongoose';
+import { logger } from '../config/logger.js';
+
+const MAX_ATTEMPTS = 5;
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Commit, retrying while the server can't say whether the commit went through
+const commitWithRetry = async (session) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      await session.commitTransaction();
+      return;
+    } catch (error) {
+      if (attempt < MAX_ATTEMPTS && error.hasErrorLabel?.('UnknownTransactionCommitResult')) continue;
+      throw error;
+    }
+  }
+};
+
+// Run fn(session) in a MongoDB transaction. Every write inside must pass the
+// session. The whole transaction is retried on transient errors such as write
+// conflicts with a concurrent transaction or a primary election, so fn may run
+// more than once. Needs MongoDB running as a replica set.
+export const withTransaction = async (fn) => {
+  const session = await mongoose.startSession();
+
+  try {
+    for (let attempt = 1; ; attempt++) {
+      session.startTransaction({ readConcern: { level: 'snapshot' }, writeConcern: { w: 'majority' } });
+      let committing = false;
+
+      try {
+        const result = await fn(session);
+        committing = true;
+        await commitWithRetry(session);
+        return result;
+      } catch (error) {
+        if (!committing && session.inTransaction()) {
+          await session.abortTransaction();
+        }
+
+        if (attempt < MAX_ATTEMPTS && error.hasErrorLabel?.('TransientTransactionError')) {
+          logger.warn(`Retrying transaction after transient error (attempt ${attempt}): ${error.message}`);
+          await delay(attempt * 25);
+          continue;
+        }
+        throw error;
+      }
+    }
+  } finally {
+    await session.endSession();
+  }
+};
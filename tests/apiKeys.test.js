@@ -0,0 +1,130 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+
+import User from '../src/models/User.js';
+import Role from '../src/models/Role.js';
+import ApiKey from '../src/models/ApiKey.js';
+import Order from '../src/models/Order.js';
+import adminRoutes from '../src/routes/admin.js';
+import orderRoutes from '../src/routes/orders.js';
+import { createApp, memoryModel } from './helpers.js';
+
+const adminApp = createApp('/api/admin', adminRoutes);
+const orderApp = createApp('/api/orders', orderRoutes);
+
+describe('API keys', () => {
+  let keys;
+  let admin;
+  let staff;
+  let customer;
+
+  beforeEach(async () => {
+    memoryModel(User);
+    memoryModel(Role);
+    memoryModel(Order);
+    keys = memoryModel(ApiKey);
+
+    admin = await User.create({ name: 'Admin', email: 'admin@example.com', password: 'Admin123!', role: 'admin' });
+    staff = await User.create({ name: 'ERP', email: 'erp@example.com', password: 'Erp12345!', role: 'warehouse' });
+    customer = await User.create({ name: 'Shopper', email: 'shopper@example.com', password: 'Shopper1!' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const createKey = (body, caller = admin) => request(adminApp)
+    .post('/api/admin/api-keys')
+    .set('Authorization', `Bearer ${caller.getSignedJwtToken()}`)
+    .send({ name: 'ERP order sync', ...body });
+
+  it('creates a key shown once and stored only as a hash', async () => {
+    const res = await createKey({ scopes: ['orders:read'], allowedIps: ['203.0.113.0/24'] });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.key).toMatch(/^ek_/);
+    expect(keys).toHaveLength(1);
+    expect(keys[0].keyHash).toBe(ApiKey.hashKey(res.body.data.key));
+    expect(JSON.stringify(keys[0])).not.toContain(res.body.data.key);
+  });
+
+  it('creates a key for a staff account the caller can act for', async () => {
+    const res = await createKey({ scopes: ['orders:read'], user: staff._id.toString() });
+
+    expect(res.status).toBe(201);
+    expect(String(keys[0].user)).toBe(String(staff._id));
+  });
+
+  it('refuses a key that acts as a customer', async () => {
+    const res = await createKey({ scopes: ['orders:read'], user: customer._id.toString() });
+
+    expect(res.status).toBe(403);
+    expect(keys).toHaveLength(0);
+  });
+
+  it('refuses scopes the caller does not hold', async () => {
+    const manager = await User.create({ name: 'Keys', email: 'keys@example.com', password: 'Keys1234!', role: 'keys' });
+    await Role.create({ name: 'keys', permissions: ['api-keys:manage', 'orders:read'] });
+
+    expect((await createKey({ scopes: ['orders:cancel'] }, manager)).status).toBe(403);
+    expect((await createKey({ scopes: ['orders:read'], user: staff._id.toString() }, manager)).status).toBe(403);
+    expect((await createKey({ scopes: ['orders:read'] }, manager)).status).toBe(201);
+  });
+
+  it('rejects scopes and allowed IPs that are not lists of strings', async () => {
+    expect((await createKey({ scopes: 'orders:read' })).status).toBe(400);
+    expect((await createKey({ scopes: 42 })).status).toBe(400);
+    expect((await createKey({ scopes: [{ $gt: '' }] })).status).toBe(400);
+    expect((await createKey({ scopes: ['orders:read'], allowedIps: '203.0.113.1' })).status).toBe(400);
+    expect(keys).toHaveLength(0);
+  });
+
+  describe('requests made with a key', () => {
+    const issue = async (owner, scopes) => {
+      const { key, prefix, keyHash } = ApiKey.generateKey();
+      await ApiKey.create({ name: 'Integration', prefix, keyHash, scopes, user: owner._id, createdBy: admin._id });
+      return key;
+    };
+
+    it('may use what its scopes allow', async () => {
+      const key = await issue(staff, ['orders:read']);
+
+      const res = await request(orderApp).get('/api/orders').set('X-API-Key', key);
+
+      expect(res.status).toBe(200);
+    });
+
+    it('cannot use customer endpoints, whoever owns it', async () => {
+      const key = await issue(customer, ['orders:read']);
+
+      const res = await request(orderApp).post('/api/orders').set('X-API-Key', key).send({ items: [] });
+
+      expect(res.status).toBe(403);
+      expect(res.body.message).toBe('API keys cannot be used for customer endpoints');
+    });
+
+    it('needs the orders:cancel scope to cancel its owner\'s order', async () => {
+      const key = await issue(customer, ['orders:read']);
+      const order = await Order.create({
+        user: customer._id,
+        items: [],
+        totalAmount: 10,
+        shippingAddress: {
+          name: 'Shopper', phone: '555-0100', street: '1 Main St', city: 'Springfield', state: 'IL', zipCode: '62701', country: 'US'
+        },
+        paymentMethod: 'cash_on_delivery'
+      });
+
+      const res = await request(orderApp).post(`/api/orders/${order._id}/cancel`).set('X-API-Key', key).send({});
+
+      expect(res.status).toBe(403);
+    });
+
+    it('is refused once revoked', async () => {
+      const key = await issue(staff, ['orders:read']);
+      keys[0].revokedAt = new Date();
+
+      expect((await request(orderApp).get('/api/orders').set('X-API-Key', key)).status).toBe(401);
+    });
+  });
+});
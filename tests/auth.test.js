@@ -0,0 +1,109 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+
+import User from '../src/models/User.js';
+import RefreshToken from '../src/models/RefreshToken.js';
+import Session from '../src/models/Session.js';
+import authRoutes from '../src/routes/auth.js';
+import { createApp, query } from './helpers.js';
+
+const app = createApp('/api/auth', authRoutes);
+
+describe('POST /api/auth/refresh', () => {
+  let user;
+  let tokens;
+
+  beforeEach(() => {
+    user = new User({ name: 'Test User', email: 'test@example.com', password: 'Secret123!' });
+    tokens = [];
+
+    // Refresh tokens live in memory, with the updates the route relies on
+    jest.spyOn(RefreshToken, 'create').mockImplementation(async (doc) => {
+      const record = new RefreshToken(doc);
+      tokens.push(record);
+      return record;
+    });
+    jest.spyOn(RefreshToken, 'findOne').mockImplementation(({ tokenHash }) =>
+      query(tokens.find(token => token.tokenHash === tokenHash) || null));
+    jest.spyOn(RefreshToken, 'findOneAndUpdate').mockImplementation(async ({ _id }, update) => {
+      const token = tokens.find(token => token._id.equals(_id) && token.revokedAt === null);
+      return token ? token.set(update) : null;
+    });
+    jest.spyOn(RefreshToken, 'updateMany').mockImplementation(async (filter, update) => {
+      tokens
+        .filter(token => filter.family.$in.includes(token.family) && token.revokedAt === null)
+        .forEach(token => token.set(update));
+    });
+
+    jest.spyOn(Session, 'create').mockResolvedValue({});
+    jest.spyOn(Session, 'updateOne').mockResolvedValue({});
+    jest.spyOn(Session, 'updateMany').mockResolvedValue({});
+    jest.spyOn(Session, 'find').mockImplementation(({ family }) => query([{ family }]));
+    jest.spyOn(User, 'findById').mockImplementation(() => query(user));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const login = async () => (await RefreshToken.issue(user._id, { family: 'family-1' })).token;
+  const refresh = (refreshToken) => request(app).post('/api/auth/refresh').send({ refreshToken });
+
+  it('rotates the refresh token within the same session', async () => {
+    const first = await login();
+
+    const res = await refresh(first);
+
+    expect(res.status).toBe(200);
+    expect(res.body.token).toEqual(expect.any(String));
+    expect(res.body.refreshToken).not.toBe(first);
+
+    const [old, successor] = tokens;
+    expect(old.revokedReason).toBe('rotated');
+    expect(old.replacedBy).toBe(RefreshToken.hashToken(res.body.refreshToken));
+    expect(successor.family).toBe('family-1');
+    expect(successor.revokedAt).toBeNull();
+  });
+
+  it('revokes the whole family when a rotated token is presented again', async () => {
+    const first = await login();
+    const { body: { refreshToken: second } } = await refresh(first);
+
+    const replay = await refresh(first);
+    expect(replay.status).toBe(401);
+    expect(replay.body.message).toBe('Refresh token has been revoked');
+
+    const successor = await refresh(second);
+    expect(successor.status).toBe(401);
+    expect(tokens.every(token => token.revokedAt)).toBe(true);
+    expect(Session.updateMany).toHaveBeenCalledWith(
+      { family: { $in: ['family-1'] } },
+      expect.objectContaining({ revokedReason: 'reuse-detected' })
+    );
+  });
+
+  it('rejects an expired refresh token', async () => {
+    const first = await login();
+    tokens[0].expiresAt = new Date(Date.now() - 1000);
+
+    const res = await refresh(first);
+
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe('Refresh token expired');
+  });
+
+  it('rejects an unknown or missing refresh token', async () => {
+    expect((await refresh('not-a-token')).status).toBe(401);
+    expect((await refresh(undefined)).status).toBe(400);
+  });
+
+  it('ends the session when the account was deactivated', async () => {
+    const first = await login();
+    user.isActive = false;
+
+    const res = await refresh(first);
+
+    expect(res.status).toBe(401);
+    expect(tokens[0].revokedAt).not.toBeNull();
+  });
+});
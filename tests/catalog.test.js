@@ -0,0 +1,142 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import request from 'supertest';
+
+import User from '../src/models/User.js';
+import Role from '../src/models/Role.js';
+import Session from '../src/models/Session.js';
+import RefreshToken from '../src/models/RefreshToken.js';
+import Product from '../src/models/Product.js';
+import Category from '../src/models/Category.js';
+import ImportJob from '../src/models/ImportJob.js';
+import Warehouse from '../src/models/Warehouse.js';
+import InventoryLevel from '../src/models/InventoryLevel.js';
+import StockMovement from '../src/models/StockMovement.js';
+import productRoutes from '../src/routes/products.js';
+import { createApp, memoryModel, stubTransactions } from './helpers.js';
+
+const app = createApp('/api/products', productRoutes);
+
+const CSV = [
+  'sku,name,description,price,category,stock,images',
+  'MUG-1,Mug,A sturdy mug,15,kitchen,8,/uploads/mug.jpg',
+  'KETTLE-1,Kettle,A whistling stovetop kettle,30,kitchen,4,/uploads/kettle.jpg',
+  'PAN-1,Pan,A cast iron pan,-5,kitchen,2,/uploads/pan.jpg'
+].join('\n');
+
+describe('catalog import and export', () => {
+  let products;
+  let jobs;
+  let movements;
+  let admin;
+
+  beforeEach(async () => {
+    memoryModel(User);
+    memoryModel(Role);
+    memoryModel(Session);
+    memoryModel(RefreshToken);
+    const category = new Category({ name: 'Kitchen', slug: 'kitchen' });
+    memoryModel(Category, [category]);
+    products = memoryModel(Product, [new Product({
+      sku: 'MUG-1', name: 'Mug', description: 'A sturdy mug', price: 12, stock: 5,
+      category: category._id, images: ['/uploads/mug.jpg']
+    })]);
+    jobs = memoryModel(ImportJob);
+    memoryModel(Warehouse);
+    memoryModel(InventoryLevel);
+    movements = memoryModel(StockMovement);
+    stubTransactions();
+
+    admin = await User.create({ name: 'Admin', email: 'admin@example.com', password: 'Admin123!', role: 'admin' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const as = (req, user = admin) => req.set('Authorization', `Bearer ${user.getSignedJwtToken()}`);
+  const upload = (content, { name = 'catalog.csv', dryRun = false } = {}) =>
+    as(request(app).post('/api/products/import').query(dryRun ? { dryRun: 'true' } : {}))
+      .attach('file', Buffer.from(content), name);
+  // Imports run after the response, so wait for the job to finish
+  const finished = async () => {
+    while (!['completed', 'failed'].includes(jobs[0]?.status)) {
+      await new Promise(resolve => setImmediate(resolve));
+    }
+    return jobs[0];
+  };
+  const bySku = (sku) => products.find(product => product.sku === sku);
+
+  it('upserts rows by SKU and reports the rows it could not import', async () => {
+    const res = await upload(CSV);
+    expect(res.status).toBe(202);
+
+    const job = await finished();
+
+    expect(job).toMatchObject({ status: 'completed', total: 3, processed: 3, created: 1, updated: 1, failed: 1 });
+    expect(job.rowErrors).toEqual([
+      expect.objectContaining({ row: 4, sku: 'PAN-1', errors: ['Price must be a positive number'] })
+    ]);
+    expect(bySku('MUG-1')).toMatchObject({ name: 'Mug', price: 15, stock: 8 });
+    expect(bySku('KETTLE-1')).toMatchObject({ name: 'Kettle', price: 30, stock: 4 });
+    expect(bySku('PAN-1')).toBeUndefined();
+    // Stock the import changed is in the ledger, after what the mug already had
+    expect(movements.map(({ reason, quantity, balance }) => ({ reason, quantity, balance }))).toEqual([
+      { reason: 'opening', quantity: 5, balance: 5 },
+      { reason: 'import', quantity: 3, balance: 8 },
+      { reason: 'import', quantity: 4, balance: 4 }
+    ]);
+  });
+
+  it('checks every row without saving on a dry run', async () => {
+    await upload(CSV, { dryRun: true });
+
+    const job = await finished();
+
+    expect(job).toMatchObject({ status: 'completed', dryRun: true, created: 1, updated: 1, failed: 1 });
+    expect(products).toHaveLength(1);
+    expect(bySku('MUG-1')).toMatchObject({ price: 12, stock: 5 });
+    expect(movements).toHaveLength(0);
+  });
+
+  it('refuses files that are not CSV or JSON, malformed or empty', async () => {
+    const wrongType = await upload('sku\nMUG-1', { name: 'catalog.xlsx' });
+    expect(wrongType.status).toBe(400);
+    expect(wrongType.body.message).toBe('catalog.xlsx is not a .csv or .json file');
+
+    const malformed = await upload('{"sku": "MUG-1"}', { name: 'catalog.json' });
+    expect(malformed.status).toBe(400);
+    expect(malformed.body.message).toBe('Could not read catalog.json: A JSON import must be an array of product objects');
+
+    const empty = await upload('sku,name');
+    expect(empty.status).toBe(400);
+    expect(empty.body.message).toBe('catalog.csv has no product rows');
+
+    expect(jobs).toHaveLength(0);
+  });
+
+  it('exports the catalog in the format the import reads, without the trash', async () => {
+    products.push(new Product({
+      sku: 'OLD-1', name: 'Old mug', description: 'No longer sold', price: 5, stock: 0,
+      category: new mongoose.Types.ObjectId(), images: ['/uploads/old.jpg'], deletedAt: new Date()
+    }).toObject());
+
+    const res = await as(request(app).get('/api/products/export').query({ format: 'json' }));
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-disposition']).toMatch(/^attachment; filename="products-\d{4}-\d{2}-\d{2}\.json"$/);
+    const rows = JSON.parse(res.text);
+    expect(rows).toEqual([expect.objectContaining({ sku: 'MUG-1', name: 'Mug', price: 12, images: ['/uploads/mug.jpg'] })]);
+
+    const csv = await as(request(app).get('/api/products/export'));
+    expect(csv.text.split('\n')[0]).toMatch(/^sku,name,description,price,/);
+  });
+
+  it('is only open to staff who may edit products', async () => {
+    const shopper = await User.create({ name: 'Shopper', email: 'shopper@example.com', password: 'Shopper123!' });
+
+    expect((await as(request(app).get('/api/products/export'), shopper)).status).toBe(403);
+    expect((await as(request(app).post('/api/products/import'), shopper).attach('file', Buffer.from(CSV), 'catalog.csv')).status).toBe(403);
+    expect(jobs).toHaveLength(0);
+  });
+});
@@ -0,0 +1,115 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+
+// Emails are captured instead of sent, so tests can follow the links in them
+const sent = [];
+const capture = (type) => async (...args) => { sent.push({ type, args }); };
+jest.unstable_mockModule('../src/utils/email.js', () => ({
+  sendEmail: capture('email'),
+  sendWelcomeEmail: capture('welcome'),
+  sendOrderConfirmationEmail: capture('order-confirmation'),
+  sendPasswordResetEmail: capture('password-reset'),
+  sendPasswordChangedEmail: capture('password-changed'),
+  sendMagicLinkEmail: capture('magic-link'),
+  sendErasureScheduledEmail: capture('erasure-scheduled'),
+  sendAccountErasedEmail: capture('account-erased'),
+  sendVerificationEmail: capture('verification'),
+  sendOrderStatusUpdateEmail: capture('order-status')
+}));
+
+const { default: User } = await import('../src/models/User.js');
+const { default: Role } = await import('../src/models/Role.js');
+const { default: Session } = await import('../src/models/Session.js');
+const { default: RefreshToken } = await import('../src/models/RefreshToken.js');
+const { default: authRoutes } = await import('../src/routes/auth.js');
+const { default: reviewRoutes } = await import('../src/routes/reviews.js');
+const { createApp, memoryModel } = await import('./helpers.js');
+
+const app = createApp('/api/auth', authRoutes);
+const reviewApp = createApp('/api/reviews', reviewRoutes);
+
+describe('email verification', () => {
+  let users;
+
+  beforeEach(() => {
+    sent.length = 0;
+    users = memoryModel(User);
+    memoryModel(Role);
+    memoryModel(Session);
+    memoryModel(RefreshToken);
+  });
+
+  afterEach(() => {
+    delete process.env.EMAIL_VERIFICATION_REQUIRED_FOR;
+    jest.restoreAllMocks();
+  });
+
+  const register = (email) => request(app)
+    .post('/api/auth/register')
+    .send({ name: 'New Shopper', email, password: 'Shopper123!' });
+  // Path of the link in the last verification email
+  const lastLink = () => new URL(sent.filter(email => email.type === 'verification').at(-1).args[1]).pathname;
+
+  it('emails a link on registration that verifies the address', async () => {
+    const res = await register('first@example.com');
+
+    expect(res.status).toBe(201);
+    expect(users[0].emailVerified).toBe(false);
+
+    const link = lastLink();
+    const token = link.split('/').pop();
+    expect(link).toBe(`/api/auth/verify-email/${token}`);
+    // Only a hash of the token is stored
+    expect(users[0].emailVerificationToken).not.toBe(token);
+
+    const verified = await request(app).get(link);
+
+    expect(verified.status).toBe(200);
+    expect(users[0].emailVerified).toBe(true);
+    expect(users[0].emailVerificationToken).toBeUndefined();
+    expect((await request(app).get(link)).status).toBe(400);
+  });
+
+  it('refuses an expired link', async () => {
+    await register('expired@example.com');
+    users[0].emailVerificationExpire = new Date(Date.now() - 1000);
+
+    const res = await request(app).get(lastLink());
+
+    expect(res.status).toBe(400);
+    expect(users[0].emailVerified).toBe(false);
+  });
+
+  it('throttles resending the link', async () => {
+    const { body } = await register('resend@example.com');
+    const resend = () => request(app)
+      .post('/api/auth/resend-verification')
+      .set('Authorization', `Bearer ${body.token}`);
+
+    const throttled = await resend();
+    expect(throttled.status).toBe(429);
+    expect(Number(throttled.headers['retry-after'])).toBeGreaterThan(0);
+
+    users[0].emailVerificationSentAt = new Date(Date.now() - 61 * 1000);
+    const resent = await resend();
+    expect(resent.status).toBe(200);
+    expect(sent.filter(email => email.type === 'verification')).toHaveLength(2);
+  });
+
+  it('blocks actions the policy lists until the address is verified', async () => {
+    process.env.EMAIL_VERIFICATION_REQUIRED_FOR = 'orders,reviews';
+    const { body } = await register('policy@example.com');
+    const review = () => request(reviewApp)
+      .post('/api/reviews')
+      .set('Authorization', `Bearer ${body.token}`)
+      .send({ rating: 5 });
+
+    const blocked = await review();
+    expect(blocked.status).toBe(403);
+    expect(blocked.body.message).toBe('Please verify your email address before continuing');
+
+    // Past the policy, on to validating the review
+    await request(app).get(lastLink());
+    expect((await review()).status).toBe(400);
+  });
+});
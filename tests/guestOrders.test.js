@@ -0,0 +1,81 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+
+import Product from '../src/models/Product.js';
+import Order from '../src/models/Order.js';
+import Warehouse from '../src/models/Warehouse.js';
+import InventoryLevel from '../src/models/InventoryLevel.js';
+import StockMovement from '../src/models/StockMovement.js';
+import orderRoutes from '../src/routes/orders.js';
+import { logger } from '../src/config/logger.js';
+import { createApp, memoryModel, stubTransactions } from './helpers.js';
+
+const app = createApp('/api/orders', orderRoutes);
+
+describe('POST /api/orders/guest', () => {
+  let orders;
+  let product;
+
+  beforeEach(() => {
+    product = new Product({ name: 'Mug', description: 'A sturdy mug', price: 12, stock: 5, images: ['/uploads/mug.jpg'] });
+    memoryModel(Product, [product]);
+    memoryModel(Warehouse);
+    memoryModel(InventoryLevel);
+    memoryModel(StockMovement);
+    orders = memoryModel(Order);
+    stubTransactions();
+    jest.spyOn(Order.prototype, 'populate').mockImplementation(async function() {
+      return this;
+    });
+
+    // The availability check is an $expr the in-memory filter can't run; the
+    // tests only order what is in stock
+    const takeStock = Product.findOneAndUpdate.getMockImplementation();
+    Product.findOneAndUpdate.mockImplementation(({ $expr, ...filter }, ...args) => takeStock(filter, ...args));
+  });
+
+  afterEach(() => {
+    delete process.env.EMAIL_VERIFICATION_REQUIRED_FOR;
+    delete process.env.GUEST_CHECKOUT_ENABLED;
+    jest.restoreAllMocks();
+  });
+
+  const order = () => request(app).post('/api/orders/guest').send({
+    email: 'guest@example.com',
+    items: [{ product: product._id.toString(), quantity: 2 }],
+    shippingAddress: {
+      name: 'Guest', phone: '555-0100', street: '1 Main St', city: 'Springfield', state: 'IL', zipCode: '62701', country: 'US'
+    },
+    paymentMethod: 'cash_on_delivery'
+  });
+
+  it('places an order and returns its access token', async () => {
+    const error = jest.spyOn(logger, 'error');
+
+    const res = await order();
+
+    expect(res.status).toBe(201);
+    expect(res.body.accessToken).toEqual(expect.any(String));
+    expect(orders).toHaveLength(1);
+    expect(orders[0]).toMatchObject({ guestEmail: 'guest@example.com', totalAmount: 24 });
+    // No mail server here, so the confirmation fails and is logged
+    expect(error).toHaveBeenCalledWith(expect.stringContaining(`Failed to send order confirmation email for order ${orders[0]._id}`));
+  });
+
+  it('is refused while orders need a verified email', async () => {
+    process.env.EMAIL_VERIFICATION_REQUIRED_FOR = 'reviews, orders';
+
+    const res = await order();
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toBe('Please sign in with a verified email address to place an order');
+    expect(orders).toHaveLength(0);
+  });
+
+  it('is refused when turned off', async () => {
+    process.env.GUEST_CHECKOUT_ENABLED = 'false';
+
+    expect((await order()).status).toBe(403);
+    expect(orders).toHaveLength(0);
+  });
+});
@@ -0,0 +1,206 @@
+import { jest } from '@jest/globals';
+import express from 'express';
+import mongoose from 'mongoose';
+import { errorHandler } from '../src/middleware/errorHandler.js';
+import { notFound } from '../src/middleware/notFound.js';
+
+// Mount a router, after any middleware given before it, on a bare app with
+// the same body parsing and error handling as the real one
+export const createApp = (path, ...handlers) => {
+  const app = express();
+  app.use(express.json());
+  app.use(path, ...handlers);
+  app.use(notFound);
+  app.use(errorHandler);
+  return app;
+};
+
+// A query-like result for stubbing model calls that chain .session(),
+// .select() and so on before being awaited
+export const query = (value) => {
+  const result = Promise.resolve(value);
+  for (const method of ['session', 'select', 'populate', 'sort', 'lean', 'limit', 'skip']) {
+    result[method] = () => result;
+  }
+  return result;
+};
+
+// Run withTransaction callbacks against a stand-in session, as there is no
+// replica set to start a real one on
+export const stubTransactions = () => jest.spyOn(mongoose, 'startSession').mockResolvedValue({
+  startTransaction: () => {},
+  commitTransaction: async () => {},
+  abortTransaction: async () => {},
+  inTransaction: () => true,
+  endSession: async () => {}
+});
+
+// Values at a dotted path, looking inside arrays the way MongoDB queries do
+const valuesAt = (value, path) => {
+  if (value === undefined || value === null) return [undefined];
+  if (Array.isArray(value)) return value.flatMap(item => valuesAt(item, path));
+  if (path.length === 0) return [value];
+  const [head, ...rest] = path;
+  return valuesAt(value[head], rest);
+};
+
+const comparable = (value) => (value instanceof Date ? value.getTime() : value?.toHexString ? value.toHexString() : value);
+const sameValue = (a, b) => (a === undefined || a === null
+  ? b === undefined || b === null
+  : String(comparable(a)) === String(comparable(b)));
+
+const OPERATORS = {
+  $in: (values, list) => values.some(value => list.some(item => sameValue(value, item))),
+  $nin: (values, list) => !OPERATORS.$in(values, list),
+  $ne: (values, other) => !values.some(value => sameValue(value, other)),
+  $gt: (values, other) => values.some(value => value != null && comparable(value) > comparable(other)),
+  $gte: (values, other) => values.some(value => value != null && comparable(value) >= comparable(other)),
+  $lt: (values, other) => values.some(value => value != null && comparable(value) < comparable(other)),
+  $lte: (values, other) => values.some(value => value != null && comparable(value) <= comparable(other)),
+  $exists: (values, exists) => values.some(value => value !== undefined) === Boolean(exists),
+  $elemMatch: (values, filter) => values.some(value => value && typeof value === 'object' && matches(value, filter))
+};
+
+// Whether a stored record matches a query filter. Covers the operators the
+// routes use, not all of MongoDB's.
+export const matches = (record, filter = {}) => Object.entries(filter).every(([key, condition]) => {
+  if (key === '$or') return condition.some(branch => matches(record, branch));
+  if (key === '$and') return condition.every(branch => matches(record, branch));
+
+  const values = key.includes('.') || !Array.isArray(record[key])
+    ? valuesAt(record, key.split('.'))
+    : [record[key], ...record[key]];
+
+  if (condition instanceof RegExp) return values.some(value => typeof value === 'string' && condition.test(value));
+  if (condition && typeof condition === 'object' && !(condition instanceof Date) &&
+    !condition.toHexString && Object.keys(condition).some(operator => operator.startsWith('$'))) {
+    return Object.entries(condition).every(([operator, operand]) => OPERATORS[operator](values, operand));
+  }
+  return values.some(value => sameValue(value, condition));
+});
+
+// Apply an update document to a stored record
+const applyUpdate = (record, update) => {
+  const { $set = {}, $unset = {}, $inc = {}, $push = {}, ...fields } = update;
+
+  Object.assign(record, fields, $set);
+  Object.keys($unset).forEach(path => { delete record[path]; });
+  Object.entries($inc).forEach(([path, amount]) => { record[path] = (record[path] || 0) + amount; });
+  Object.entries($push).forEach(([path, item]) => { record[path] = [...(record[path] || []), item]; });
+};
+
+const resultQuery = (run) => {
+  const selected = [];
+  const chain = {
+    select: (fields) => {
+      if (typeof fields === 'string') selected.push(...fields.split(/\s+/));
+      return chain;
+    },
+    then: (resolve, reject) => Promise.resolve().then(() => run(selected)).then(resolve, reject),
+    exec: () => chain.then(value => value),
+    cursor: () => ({
+      async *[Symbol.asyncIterator]() {
+        yield* await chain;
+      }
+    })
+  };
+  for (const method of ['session', 'populate', 'sort', 'lean', 'limit', 'skip', 'maxTimeMS']) {
+    chain[method] = () => chain;
+  }
+  return chain;
+};
+
+// Keep a model's documents in memory, behaving like MongoDB where routes rely
+// on it: fields declared with `select: false` only load when selected with
+// `+field`, and save() runs the schema's save hooks and writes back only the
+// paths that changed. Returns the stored records.
+export const memoryModel = (Model, documents = []) => {
+  const records = [];
+  const hidden = Object.entries(Model.schema.paths)
+    .filter(([, type]) => type.options.select === false)
+    .map(([path]) => path);
+
+  const load = (record, selected = []) => {
+    if (!record) return null;
+    const data = new Model(record).toObject();
+    const excluded = hidden.filter(path => !selected.includes(`+${path}`));
+    excluded.forEach(path => { delete data[path]; });
+    // With the projection, as validation skips paths a query didn't load
+    return Model.hydrate(data, excluded.length ? Object.fromEntries(excluded.map(path => [path, 0])) : undefined);
+  };
+  const find = (filter) => records.filter(record => matches(record, filter));
+  const byId = (id) => records.find(record => sameValue(record._id, id));
+
+  jest.spyOn(Model, 'find').mockImplementation((filter) => resultQuery(selected => find(filter).map(record => load(record, selected))));
+  jest.spyOn(Model, 'findOne').mockImplementation((filter) => resultQuery(selected => load(find(filter)[0], selected)));
+  jest.spyOn(Model, 'findById').mockImplementation((id) => resultQuery(selected => load(byId(id), selected)));
+  jest.spyOn(Model, 'exists').mockImplementation((filter) => resultQuery(() => (find(filter)[0] ? { _id: find(filter)[0]._id } : null)));
+  jest.spyOn(Model, 'countDocuments').mockImplementation((filter) => resultQuery(() => find(filter).length));
+  jest.spyOn(Model, 'distinct').mockImplementation((path, filter) => resultQuery(() =>
+    [...new Map(find(filter).flatMap(record => valuesAt(record, path.split('.'))).map(value => [String(value), value])).values()]));
+
+  const updateWith = (pick) => (filter, update, options = {}) => resultQuery((selected) => {
+    let record = pick(filter);
+    if (!record && options.upsert) {
+      record = new Model(Object.fromEntries(Object.entries(filter).filter(([key]) => !key.startsWith('$')))).toObject();
+      records.push(record);
+    }
+    if (!record) return null;
+    const before = load(record, selected);
+    applyUpdate(record, update);
+    return options.new ? load(record, selected) : before;
+  });
+  jest.spyOn(Model, 'findOneAndUpdate').mockImplementation(updateWith(filter => find(filter)[0]));
+  jest.spyOn(Model, 'findByIdAndUpdate').mockImplementation((id, ...args) => updateWith(() => byId(id))({}, ...args));
+  jest.spyOn(Model, 'updateOne').mockImplementation((filter, update, options) => resultQuery(async () => {
+    const matched = await updateWith(() => find(filter)[0])(filter, update, options);
+    return { matchedCount: matched ? 1 : 0, modifiedCount: matched ? 1 : 0 };
+  }));
+  jest.spyOn(Model, 'updateMany').mockImplementation((filter, update) => resultQuery(() => {
+    const matched = find(filter);
+    matched.forEach(record => applyUpdate(record, update));
+    return { matchedCount: matched.length, modifiedCount: matched.length };
+  }));
+  jest.spyOn(Model, 'deleteOne').mockImplementation((filter) => resultQuery(() => {
+    const index = records.findIndex(record => matches(record, filter));
+    if (index >= 0) records.splice(index, 1);
+    return { deletedCount: index >= 0 ? 1 : 0 };
+  }));
+  jest.spyOn(Model, 'deleteMany').mockImplementation((filter) => resultQuery(() => {
+    const matched = find(filter);
+    matched.forEach(record => records.splice(records.indexOf(record), 1));
+    return { deletedCount: matched.length };
+  }));
+  jest.spyOn(Model, 'create').mockImplementation(async (data, options) => {
+    if (Array.isArray(data)) return Promise.all(data.map(item => new Model(item).save(options)));
+    return new Model(data).save(options);
+  });
+  jest.spyOn(Model, 'insertMany').mockImplementation(async (items) => Promise.all(items.map(item => new Model(item).save())));
+
+  jest.spyOn(Model.prototype, 'save').mockImplementation(async function(options) {
+    await new Promise((resolve, reject) => {
+      Model.schema.s.hooks.execPre('save', this, [options], error => (error ? reject(error) : resolve()));
+    });
+
+    const data = this.toObject({ depopulate: true });
+    if (this.isNew) {
+      records.push(data);
+    } else {
+      const record = byId(this._id);
+      for (const path of new Set(this.modifiedPaths().map(path => path.split('.')[0]))) {
+        if (data[path] === undefined) delete record[path];
+        else record[path] = data[path];
+      }
+    }
+    this.modifiedPaths().forEach(path => this.unmarkModified(path));
+    this.isNew = false;
+    return this;
+  });
+  jest.spyOn(Model.prototype, 'deleteOne').mockImplementation(async function() {
+    records.splice(records.findIndex(record => sameValue(record._id, this._id)), 1);
+    return this;
+  });
+
+  documents.forEach(document => records.push(new Model(document).toObject()));
+  return records;
+};
@@ -0,0 +1,149 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+
+import Product from '../src/models/Product.js';
+import Reservation from '../src/models/Reservation.js';
+import IdempotencyKey from '../src/models/IdempotencyKey.js';
+import reservationRoutes from '../src/routes/reservations.js';
+import { idempotency } from '../src/middleware/idempotency.js';
+import { createApp, query, stubTransactions } from './helpers.js';
+
+// Mounted ahead of the routes, as in app.js
+const app = createApp('/api/reservations', idempotency, reservationRoutes);
+const apiKeyApp = createApp('/api/admin/api-keys', idempotency, (req, res) => {
+  res.status(201).json({ status: 'success', data: { key: 'raw-api-key' } });
+});
+
+describe('Idempotency-Key', () => {
+  let product;
+  let keys;
+  let saved;
+
+  beforeEach(() => {
+    product = new Product({ name: 'Mug', description: 'A sturdy mug', price: 12, stock: 100 });
+    keys = [];
+    saved = [];
+
+    // Stored keys live in memory, unique per scope and key like the index
+    jest.spyOn(IdempotencyKey, 'create').mockImplementation(async (doc) => {
+      if (keys.some(record => record.scope === doc.scope && record.key === doc.key)) {
+        throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      }
+      const record = new IdempotencyKey(doc);
+      keys.push(record);
+      return record;
+    });
+    jest.spyOn(IdempotencyKey, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(IdempotencyKey, 'findOne').mockImplementation(({ scope, key }) =>
+      query(keys.find(record => record.scope === scope && record.key === key) || null));
+    jest.spyOn(IdempotencyKey, 'updateOne').mockImplementation(async ({ _id }, { $unset, ...update }) => {
+      const record = keys.find(record => record._id.equals(_id));
+      record.set(update);
+      Object.keys($unset).forEach(path => record.set(path, undefined));
+    });
+    jest.spyOn(IdempotencyKey, 'deleteOne').mockImplementation(async ({ _id }) => {
+      keys = keys.filter(record => !record._id.equals(_id));
+    });
+
+    stubTransactions();
+    jest.spyOn(Product, 'findById').mockImplementation(() => query(product));
+    jest.spyOn(Product, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(Reservation, 'find').mockImplementation(() => query([]));
+    jest.spyOn(Reservation, 'countDocuments').mockImplementation(() => query(0));
+    jest.spyOn(Reservation.prototype, 'save').mockImplementation(async function() {
+      saved.push(this);
+      return this;
+    });
+    jest.spyOn(Reservation.prototype, 'populate').mockImplementation(async function() {
+      return this;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const reserve = (key, quantity = 1) => request(app)
+    .post('/api/reservations')
+    .set('Idempotency-Key', key)
+    .send({ items: [{ product: product._id.toString(), quantity }] });
+
+  it('replays the stored response to a retry instead of running the route again', async () => {
+    const first = await reserve('retry-key-0001');
+    const retry = await reserve('retry-key-0001');
+
+    expect(first.status).toBe(201);
+    expect(retry.status).toBe(201);
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(retry.body.data).toEqual(first.body.data);
+    expect(saved).toHaveLength(1);
+    expect(keys[0].scope).toMatch(/^guest:/);
+  });
+
+  it('stores and replays responses without the credentials in them', async () => {
+    const first = await reserve('retry-key-0001');
+    const retry = await reserve('retry-key-0001');
+
+    expect(first.body.accessToken).toEqual(expect.any(String));
+    expect(keys[0].response.body.accessToken).toBeUndefined();
+    expect(JSON.stringify(keys[0].response.body)).not.toContain(first.body.accessToken);
+    expect(retry.body.accessToken).toBeUndefined();
+  });
+
+  it('ignores the header on routes that issue credentials', async () => {
+    const res = await request(apiKeyApp).post('/api/admin/api-keys').set('Idempotency-Key', 'retry-key-0001').send({});
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.key).toBe('raw-api-key');
+    expect(IdempotencyKey.create).not.toHaveBeenCalled();
+  });
+
+  it('runs the route again for a different key', async () => {
+    await reserve('retry-key-0001');
+    const other = await reserve('retry-key-0002');
+
+    expect(other.headers['idempotent-replayed']).toBeUndefined();
+    expect(saved).toHaveLength(2);
+  });
+
+  it('refuses a key reused for a different request', async () => {
+    await reserve('retry-key-0001', 1);
+    const res = await reserve('retry-key-0001', 2);
+
+    expect(res.status).toBe(422);
+    expect(saved).toHaveLength(1);
+  });
+
+  it('releases the key when the request fails, so it can be retried', async () => {
+    Product.updateOne.mockResolvedValueOnce({ modifiedCount: 0 });
+
+    const failed = await reserve('retry-key-0001');
+    expect(failed.status).toBe(400);
+    expect(keys).toHaveLength(0);
+
+    const retry = await reserve('retry-key-0001');
+    expect(retry.status).toBe(201);
+    expect(retry.headers['idempotent-replayed']).toBeUndefined();
+  });
+
+  it('asks a retry to wait while the first request is still running', async () => {
+    await reserve('retry-key-0001');
+    keys[0].set({ status: 'processing', lockedUntil: new Date(Date.now() + 30 * 1000) });
+
+    const res = await reserve('retry-key-0001');
+
+    expect(res.status).toBe(409);
+    expect(Number(res.headers['retry-after'])).toBeGreaterThan(0);
+  });
+
+  it('rejects malformed keys and file uploads', async () => {
+    expect((await reserve('short')).status).toBe(400);
+
+    const upload = await request(app)
+      .post('/api/reservations')
+      .set('Idempotency-Key', 'retry-key-0001')
+      .attach('file', Buffer.from('data'), 'data.csv');
+    expect(upload.status).toBe(400);
+    expect(upload.body.message).toBe('Idempotency-Key is not supported for file uploads');
+  });
+});
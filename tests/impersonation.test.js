@@ -0,0 +1,116 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+
+import User from '../src/models/User.js';
+import Role from '../src/models/Role.js';
+import Session from '../src/models/Session.js';
+import RefreshToken from '../src/models/RefreshToken.js';
+import Impersonation from '../src/models/Impersonation.js';
+import AuditLog from '../src/models/AuditLog.js';
+import authRoutes from '../src/routes/auth.js';
+import adminRoutes from '../src/routes/admin.js';
+import { createApp, memoryModel } from './helpers.js';
+
+const authApp = createApp('/api/auth', authRoutes);
+const adminApp = createApp('/api/admin', adminRoutes);
+
+describe('impersonation', () => {
+  let impersonations;
+  let auditLogs;
+  let admin;
+  let shopper;
+
+  beforeEach(async () => {
+    memoryModel(User);
+    memoryModel(Role);
+    memoryModel(Session);
+    memoryModel(RefreshToken);
+    impersonations = memoryModel(Impersonation);
+    auditLogs = memoryModel(AuditLog);
+
+    admin = await User.create({ name: 'Admin', email: 'admin@example.com', password: 'Admin123!', role: 'admin' });
+    shopper = await User.create({ name: 'Shopper', email: 'shopper@example.com', password: 'Shopper123!' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const as = (req, user) => req.set('Authorization', `Bearer ${user.getSignedJwtToken()}`);
+  const impersonate = (target, body = { reason: 'Checking a missing order' }, caller = admin) =>
+    as(request(adminApp).post(`/api/admin/users/${target._id}/impersonate`), caller).send(body);
+  // Requests are audited once their response has gone out
+  const audited = () => new Promise(resolve => setImmediate(resolve));
+
+  it('gives an admin a token that reads as the customer and is audited', async () => {
+    const res = await impersonate(shopper);
+
+    expect(res.status).toBe(201);
+    expect(impersonations).toHaveLength(1);
+    expect(impersonations[0]).toMatchObject({ reason: 'Checking a missing order', endedAt: null });
+    expect(auditLogs.map(entry => entry.action)).toEqual(['impersonation.start']);
+
+    const me = await request(authApp).get('/api/auth/me').set('Authorization', `Bearer ${res.body.token}`);
+    await audited();
+
+    expect(me.status).toBe(200);
+    expect(me.body.data.email).toBe('shopper@example.com');
+    expect(auditLogs[1]).toMatchObject({
+      action: 'impersonation.request',
+      method: 'GET',
+      path: '/api/auth/me',
+      statusCode: 200
+    });
+    expect(auditLogs[1].actor.equals(admin._id)).toBe(true);
+    expect(auditLogs[1].subject.equals(shopper._id)).toBe(true);
+  });
+
+  it('blocks writes made with the token, and still audits them', async () => {
+    const { body: { token } } = await impersonate(shopper);
+
+    const res = await request(authApp)
+      .put('/api/auth/password')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ currentPassword: 'Shopper123!', newPassword: 'Changed123!' });
+    await audited();
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toBe('Not allowed while impersonating a customer');
+    expect(auditLogs.at(-1)).toMatchObject({ action: 'impersonation.request', method: 'PUT', statusCode: 403 });
+  });
+
+  it('revokes the token when the session is ended', async () => {
+    const { body: { data, token } } = await impersonate(shopper);
+
+    const ended = await as(request(adminApp).post(`/api/admin/impersonations/${data._id}/end`), admin);
+    expect(ended.status).toBe(200);
+    expect(impersonations[0].endedAt).toEqual(expect.any(Date));
+
+    const me = await request(authApp).get('/api/auth/me').set('Authorization', `Bearer ${token}`);
+    expect(me.status).toBe(401);
+  });
+
+  it('requires a reason', async () => {
+    const res = await impersonate(shopper, {});
+
+    expect(res.status).toBe(400);
+    expect(impersonations).toHaveLength(0);
+  });
+
+  it('refuses to impersonate staff accounts', async () => {
+    const staff = await User.create({ name: 'Packer', email: 'packer@example.com', password: 'Packer123!', role: 'warehouse' });
+
+    const res = await impersonate(staff);
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Only customer accounts can be impersonated');
+    expect(impersonations).toHaveLength(0);
+  });
+
+  it('is only open to staff who may impersonate', async () => {
+    const other = await User.create({ name: 'Other', email: 'other@example.com', password: 'Other123!' });
+
+    expect((await impersonate(other, undefined, shopper)).status).toBe(403);
+    expect(impersonations).toHaveLength(0);
+  });
+});
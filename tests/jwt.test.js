@@ -0,0 +1,89 @@
+import { jest } from '@jest/globals';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import jwt from 'jsonwebtoken';
+
+import { logger } from '../src/config/logger.js';
+import { initJwtKeys, signJwt, verifyJwt } from '../src/utils/jwt.js';
+
+const writeKey = (dir, kid) => {
+  const { privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+  fs.writeFileSync(path.join(dir, `${kid}.pem`), privateKey.export({ type: 'pkcs8', format: 'pem' }));
+};
+
+const kidOf = (token) => jwt.decode(token, { complete: true }).header.kid;
+
+describe('JWT signing keys', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jwt-keys-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    process.env.NODE_ENV = 'test';
+    delete process.env.JWT_KEYS_DIR;
+    delete process.env.JWT_SIGNING_KEY_ID;
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('refuses to start on the shared secret in production', () => {
+    process.env.NODE_ENV = 'production';
+
+    expect(() => initJwtKeys()).toThrow('JWT_KEYS_DIR must be set in production');
+  });
+
+  it('warns at startup when falling back to the shared secret', () => {
+    const warn = jest.spyOn(logger, 'warn');
+
+    initJwtKeys();
+
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('signing tokens with the shared JWT_SECRET'));
+  });
+
+  it('picks up key changes in the directory without a restart', () => {
+    jest.useFakeTimers();
+    writeKey(dir, '2026-09');
+    process.env.JWT_KEYS_DIR = dir;
+
+    initJwtKeys();
+    const oldToken = signJwt({ id: 'user' });
+    expect(kidOf(oldToken)).toBe('2026-09');
+
+    // The next key is added and made the signing key
+    writeKey(dir, '2026-10');
+    process.env.JWT_SIGNING_KEY_ID = '2026-10';
+    jest.advanceTimersByTime(60 * 1000);
+
+    const newToken = signJwt({ id: 'user' });
+    expect(kidOf(newToken)).toBe('2026-10');
+    expect(verifyJwt(oldToken).id).toBe('user');
+
+    // Once its tokens have expired the old key is removed
+    fs.rmSync(path.join(dir, '2026-09.pem'));
+    jest.advanceTimersByTime(60 * 1000);
+
+    expect(() => verifyJwt(oldToken)).toThrow('Unknown signing key');
+    expect(verifyJwt(newToken).id).toBe('user');
+  });
+
+  it('keeps the current keys when the directory can no longer be loaded', () => {
+    jest.useFakeTimers();
+    const error = jest.spyOn(logger, 'error');
+    writeKey(dir, '2026-09');
+    process.env.JWT_KEYS_DIR = dir;
+
+    initJwtKeys();
+
+    // A second private key, with no JWT_SIGNING_KEY_ID to choose between them
+    writeKey(dir, '2026-10');
+    jest.advanceTimersByTime(60 * 1000);
+
+    expect(error).toHaveBeenCalledWith(expect.stringContaining('Failed to reload JWT keys, keeping the current ones'));
+    expect(kidOf(signJwt({ id: 'user' }))).toBe('2026-09');
+  });
+});
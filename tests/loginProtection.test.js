@@ -0,0 +1,91 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+
+import User from '../src/models/User.js';
+import Role from '../src/models/Role.js';
+import Session from '../src/models/Session.js';
+import RefreshToken from '../src/models/RefreshToken.js';
+import authRoutes from '../src/routes/auth.js';
+import adminRoutes from '../src/routes/admin.js';
+import { createApp, memoryModel } from './helpers.js';
+
+const app = createApp('/api/auth', authRoutes);
+const adminApp = createApp('/api/admin', adminRoutes);
+
+describe('login brute-force protection', () => {
+  let users;
+
+  beforeEach(() => {
+    users = memoryModel(User);
+    memoryModel(Role);
+    memoryModel(Session);
+    memoryModel(RefreshToken);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  // Each test uses its own account, as the per-email limits last the whole file
+  const account = (email) => User.create({ name: 'Shopper', email, password: 'Shopper123!' });
+  const login = (email, password) => request(app).post('/api/auth/login').send({ email, password });
+  const stored = (user) => users.find(record => record._id.equals(user._id));
+
+  it('delays an account after a few failed logins, even for the right password', async () => {
+    await account('delayed@example.com');
+    // Time stands still, so the one-second delay can't run out mid-test
+    jest.spyOn(Date, 'now').mockReturnValue(Date.now());
+
+    for (let attempt = 1; attempt <= 4; attempt++) {
+      expect((await login('delayed@example.com', 'wrong-password')).status).toBe(401);
+    }
+
+    const res = await login('delayed@example.com', 'Shopper123!');
+    expect(res.status).toBe(429);
+    expect(Number(res.headers['retry-after'])).toBeGreaterThan(0);
+  });
+
+  it('signs in once the delay is over and starts counting again', async () => {
+    const user = await account('waited@example.com');
+    for (let attempt = 1; attempt <= 4; attempt++) {
+      await login('waited@example.com', 'wrong-password');
+    }
+    stored(user).lockUntil = new Date(Date.now() - 1000);
+
+    const res = await login('waited@example.com', 'Shopper123!');
+
+    expect(res.status).toBe(200);
+    expect(stored(user).failedLoginAttempts).toBe(0);
+    expect(stored(user).lockUntil).toBeUndefined();
+  });
+
+  it('locks an account after too many failed logins until an admin unlocks it', async () => {
+    const user = await account('locked@example.com');
+    const admin = await User.create({ name: 'Admin', email: 'admin@example.com', password: 'Admin123!', role: 'admin' });
+    stored(user).failedLoginAttempts = 9;
+
+    await login('locked@example.com', 'wrong-password');
+    const locked = await login('locked@example.com', 'Shopper123!');
+    expect(locked.status).toBe(429);
+    expect(Number(locked.headers['retry-after'])).toBeGreaterThan(14 * 60);
+
+    const unlocked = await request(adminApp)
+      .put(`/api/admin/users/${user._id}/unlock`)
+      .set('Authorization', `Bearer ${admin.getSignedJwtToken()}`);
+    expect(unlocked.status).toBe(200);
+
+    expect((await login('locked@example.com', 'Shopper123!')).status).toBe(200);
+  });
+
+  it('limits password reset requests per email, whatever its case', async () => {
+    const forgot = (email) => request(app).post('/api/auth/forgot-password').send({ email });
+
+    await forgot('someone@example.com');
+    await forgot('Someone@Example.com');
+    await forgot('someone@example.com');
+    const limited = await forgot('SOMEONE@example.com');
+
+    expect(limited.status).toBe(429);
+    expect((await forgot('other@example.com')).status).not.toBe(429);
+  });
+});
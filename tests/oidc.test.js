@@ -0,0 +1,104 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+
+// The provider's token endpoint is replaced by the claims each test sets
+let claims;
+jest.unstable_mockModule('../src/utils/oidc.js', () => ({
+  createAuthorizationRequest: () => ({ state: 'state', nonce: 'nonce', codeVerifier: 'verifier', codeChallenge: 'challenge' }),
+  buildAuthorizationUrl: async () => 'https://accounts.example.com/authorize',
+  exchangeCode: async () => claims
+}));
+
+process.env.OIDC_PROVIDERS = 'google';
+process.env.OIDC_GOOGLE_CLIENT_ID = 'client-id';
+
+const { default: User } = await import('../src/models/User.js');
+const { default: Role } = await import('../src/models/Role.js');
+const { default: Session } = await import('../src/models/Session.js');
+const { default: RefreshToken } = await import('../src/models/RefreshToken.js');
+const { default: OAuthState } = await import('../src/models/OAuthState.js');
+const { default: authRoutes } = await import('../src/routes/auth.js');
+const { default: oidcRoutes } = await import('../src/routes/oidc.js');
+const { createApp, memoryModel } = await import('./helpers.js');
+
+const app = createApp('/api/auth/oidc', oidcRoutes);
+const authApp = createApp('/api/auth', authRoutes);
+
+describe('POST /api/auth/oidc/:provider/callback', () => {
+  let users;
+  let pending;
+
+  beforeEach(() => {
+    users = memoryModel(User);
+    memoryModel(Role);
+    memoryModel(Session);
+    memoryModel(RefreshToken);
+
+    pending = { codeVerifier: 'verifier', nonce: 'nonce', user: null };
+    jest.spyOn(OAuthState, 'consume').mockImplementation(async () => pending);
+    claims = { sub: 'google-1', email: 'owner@example.com', email_verified: true, name: 'Owner' };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const callback = (token) => {
+    const req = request(app).post('/api/auth/oidc/google/callback').send({ code: 'code', state: 'state' });
+    return token ? req.set('Authorization', `Bearer ${token}`) : req;
+  };
+  const login = (password) => request(authApp).post('/api/auth/login').send({ email: 'owner@example.com', password });
+
+  it('creates an account for a new verified email', async () => {
+    const res = await callback();
+
+    expect(res.status).toBe(200);
+    expect(res.body.token).toEqual(expect.any(String));
+    expect(users).toHaveLength(1);
+    expect(users[0]).toMatchObject({ email: 'owner@example.com', emailVerified: true });
+    expect(users[0].password).toBeUndefined();
+  });
+
+  it('drops the password someone set on an unverified account with the same email', async () => {
+    await User.create({ name: 'Squatter', email: 'owner@example.com', password: 'Squatter123!' });
+    expect((await login('Squatter123!')).status).toBe(200);
+
+    const res = await callback();
+
+    expect(res.status).toBe(200);
+    expect(users).toHaveLength(1);
+    expect(users[0].password).toBeUndefined();
+    expect(users[0].emailVerified).toBe(true);
+    expect((await login('Squatter123!')).status).toBe(401);
+  });
+
+  it('keeps the password of a verified account it links to', async () => {
+    await User.create({ name: 'Owner', email: 'owner@example.com', password: 'Owner123!', emailVerified: true });
+
+    const res = await callback();
+
+    expect(res.status).toBe(200);
+    expect(users[0].identities).toHaveLength(1);
+    expect((await login('Owner123!')).status).toBe(200);
+  });
+
+  it('refuses a provider email that is not verified', async () => {
+    claims.email_verified = false;
+
+    const res = await callback();
+
+    expect(res.status).toBe(400);
+    expect(users).toHaveLength(0);
+  });
+
+  it('only finishes a link for the account that started it', async () => {
+    const starter = await User.create({ name: 'Starter', email: 'starter@example.com', password: 'Starter123!' });
+    const other = await User.create({ name: 'Other', email: 'other@example.com', password: 'Other123!' });
+    pending.user = starter._id;
+
+    const res = await callback(other.getSignedJwtToken());
+
+    expect(res.status).toBe(403);
+    expect(users.every(user => !user.identities?.length)).toBe(true);
+  });
+});
@@ -0,0 +1,179 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+
+import Product from '../src/models/Product.js';
+import Reservation from '../src/models/Reservation.js';
+import reservationRoutes from '../src/routes/reservations.js';
+import { releaseExpiredReservations } from '../src/utils/reservations.js';
+import { createApp, query, stubTransactions } from './helpers.js';
+
+const app = createApp('/api/reservations', reservationRoutes);
+
+const MINUTE = 60 * 1000;
+
+describe('reservations', () => {
+  let product;
+  let saved;
+
+  beforeEach(() => {
+    product = new Product({ name: 'Mug', description: 'A sturdy mug', price: 12, stock: 100 });
+    saved = [];
+
+    stubTransactions();
+    jest.spyOn(Product, 'findById').mockImplementation(() => query(product));
+    jest.spyOn(Product, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(Reservation, 'find').mockImplementation(() => query([]));
+    jest.spyOn(Reservation, 'countDocuments').mockImplementation(() => query(0));
+    jest.spyOn(Reservation.prototype, 'save').mockImplementation(async function() {
+      saved.push(this);
+      return this;
+    });
+    jest.spyOn(Reservation.prototype, 'populate').mockImplementation(async function() {
+      return this;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const reserve = (items) => request(app).post('/api/reservations').send({ items });
+  const line = (quantity) => ({ product: product._id.toString(), quantity });
+
+  describe('POST /api/reservations', () => {
+    it('holds stock for a guest until the time limit', async () => {
+      const res = await reserve([line(2)]);
+
+      expect(res.status).toBe(201);
+      expect(res.body.accessToken).toEqual(expect.any(String));
+      expect(Product.updateOne).toHaveBeenCalledWith(
+        expect.objectContaining({ _id: product._id }),
+        { $inc: { reserved: 2 } },
+        expect.anything()
+      );
+
+      const expiresIn = new Date(res.body.data.expiresAt) - Date.now();
+      expect(expiresIn).toBeGreaterThan(14 * MINUTE);
+      expect(expiresIn).toBeLessThanOrEqual(15 * MINUTE);
+      expect(res.body.data.ip).toBeUndefined();
+    });
+
+    it('refuses more of one item than a reservation can hold', async () => {
+      const res = await reserve([line(11)]);
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('A reservation can hold at most 10 of each item');
+      expect(Product.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('refuses more units in total than a reservation can hold', async () => {
+      const res = await reserve([line(10), line(10), line(10), line(10), line(10), line(1)]);
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('A reservation can hold at most 50 units');
+    });
+
+    it('limits active guest reservations per IP address', async () => {
+      Reservation.countDocuments.mockImplementation(() => query(3));
+
+      const res = await reserve([line(1)]);
+
+      expect(res.status).toBe(429);
+      expect(saved).toHaveLength(0);
+    });
+
+    it('reports stock it could not hold', async () => {
+      Product.updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+      const res = await reserve([line(1)]);
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe('Insufficient stock for Mug');
+    });
+  });
+
+  describe('PUT /api/reservations/:id', () => {
+    const guestReservation = (createdAt) => {
+      const reservation = new Reservation({
+        items: [{ product: product._id, quantity: 1 }],
+        createdAt,
+        expiresAt: new Date(Date.now() + MINUTE)
+      });
+      const accessToken = reservation.getGuestAccessToken();
+      jest.spyOn(Reservation, 'findById').mockImplementation(() => query(reservation));
+      return { reservation, accessToken };
+    };
+
+    it('restarts the time limit but not past the maximum lifetime', async () => {
+      const { reservation, accessToken } = guestReservation(new Date(Date.now() - 55 * MINUTE));
+      jest.spyOn(Reservation, 'findOne').mockImplementation(() => query(reservation));
+
+      const res = await request(app)
+        .put(`/api/reservations/${reservation._id}`)
+        .set('X-Reservation-Token', accessToken)
+        .send({ items: [line(3)] });
+
+      expect(res.status).toBe(200);
+      expect(reservation.expiresAt.getTime()).toBe(reservation.createdAt.getTime() + 60 * MINUTE);
+      expect(Product.updateOne).toHaveBeenCalledWith(
+        expect.anything(),
+        { $inc: { reserved: -1 } },
+        expect.anything()
+      );
+      expect(Product.updateOne).toHaveBeenCalledWith(
+        expect.anything(),
+        { $inc: { reserved: 3 } },
+        expect.anything()
+      );
+    });
+
+    it('answers 410 once the reservation has expired', async () => {
+      const { reservation, accessToken } = guestReservation(new Date(Date.now() - 20 * MINUTE));
+      jest.spyOn(Reservation, 'findOne').mockImplementation(() => query(null));
+
+      const res = await request(app)
+        .put(`/api/reservations/${reservation._id}`)
+        .set('X-Reservation-Token', accessToken)
+        .send({ items: [line(1)] });
+
+      expect(res.status).toBe(410);
+    });
+
+    it('hides a guest reservation from requests without its token', async () => {
+      const { reservation } = guestReservation(new Date());
+
+      const res = await request(app)
+        .put(`/api/reservations/${reservation._id}`)
+        .send({ items: [line(1)] });
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('releaseExpiredReservations', () => {
+    it('expires reservations past their time limit and gives back their stock', async () => {
+      const expired = new Reservation({
+        items: [{ product: product._id, quantity: 4 }],
+        status: 'expired',
+        expiresAt: new Date(Date.now() - MINUTE)
+      });
+      Reservation.find.mockImplementation(() => query([{ _id: expired._id }]));
+      jest.spyOn(Reservation, 'findOneAndUpdate').mockResolvedValue(expired);
+
+      const released = await releaseExpiredReservations();
+
+      expect(released).toBe(1);
+      expect(Reservation.find).toHaveBeenCalledWith({ status: 'active', expiresAt: { $lte: expect.any(Date) } });
+      expect(Reservation.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: expired._id, status: 'active' },
+        { status: 'expired' },
+        expect.anything()
+      );
+      expect(Product.updateOne).toHaveBeenCalledWith(
+        { _id: product._id, reserved: { $gte: 4 } },
+        { $inc: { reserved: -4 } },
+        expect.anything()
+      );
+    });
+  });
+});
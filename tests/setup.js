@@ -0,0 +1,12 @@
+import mongoose from 'mongoose';
+import { logger } from '../src/config/logger.js';
+
+// Tests run without MongoDB or Redis: models are stubbed per test, so a query
+// nothing stubbed should fail straight away rather than wait for a connection
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-secret';
+delete process.env.REDIS_URL;
+delete process.env.JWT_KEYS_DIR;
+
+mongoose.set('bufferCommands', false);
+logger.silent = true;
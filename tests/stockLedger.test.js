@@ -0,0 +1,127 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import request from 'supertest';
+
+import User from '../src/models/User.js';
+import Role from '../src/models/Role.js';
+import Product from '../src/models/Product.js';
+import InventoryLevel from '../src/models/InventoryLevel.js';
+import StockMovement from '../src/models/StockMovement.js';
+import productRoutes from '../src/routes/products.js';
+import { createApp, query, stubTransactions } from './helpers.js';
+
+const app = createApp('/api/products', productRoutes);
+
+describe('stock ledger verify and rebuild', () => {
+  const warehouse = new mongoose.Types.ObjectId();
+  let staff;
+  let product;
+  let movements;
+  let levels;
+
+  beforeEach(() => {
+    staff = new User({ name: 'Stock Keeper', email: 'stock@example.com', password: 'Secret123!', role: 'warehouse' });
+    product = new Product({ name: 'Mug', description: 'A sturdy mug', price: 12, stock: 30 });
+
+    // 10 unassigned, 15 received at the warehouse and 3 sold from it: the
+    // ledger says 22 in total and 12 at the warehouse, which holds 20
+    movements = [
+      { variant: null, warehouse: null, quantity: 10 },
+      { variant: null, warehouse, quantity: 15 },
+      { variant: null, warehouse, quantity: -3 }
+    ];
+    levels = [new InventoryLevel({ product: product._id, variant: null, warehouse, stock: 20 })];
+
+    jest.spyOn(User, 'findById').mockImplementation(() => query(staff));
+    jest.spyOn(Role, 'getPermissions').mockImplementation(async (role) =>
+      (role === 'warehouse' ? ['inventory:read', 'inventory:write'] : []));
+
+    stubTransactions();
+    jest.spyOn(Product, 'findById').mockImplementation(() => query(product));
+    jest.spyOn(Product.prototype, 'save').mockImplementation(async function() {
+      return this;
+    });
+
+    // Sums per variant and warehouse, as the aggregation groups them
+    jest.spyOn(StockMovement, 'aggregate').mockImplementation(() => {
+      const sums = new Map();
+      for (const { variant, warehouse: at, quantity } of movements) {
+        const key = `${variant}:${at}`;
+        const sum = sums.get(key) || { _id: { variant, warehouse: at }, quantity: 0 };
+        sum.quantity += quantity;
+        sums.set(key, sum);
+      }
+      return query([...sums.values()]);
+    });
+    jest.spyOn(InventoryLevel, 'find').mockImplementation(() => query(levels));
+    jest.spyOn(InventoryLevel, 'updateOne').mockImplementation(async (filter, { $set }) => {
+      levels.find(level => level.warehouse.equals(filter.warehouse)).set($set);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const verify = () => request(app)
+    .get(`/api/products/${product._id}/stock-movements/verify`)
+    .set('Authorization', `Bearer ${staff.getSignedJwtToken()}`);
+  const rebuild = () => request(app)
+    .post(`/api/products/${product._id}/stock-movements/rebuild`)
+    .set('Authorization', `Bearer ${staff.getSignedJwtToken()}`);
+
+  it('reports stock that differs from the ledger', async () => {
+    const res = await verify();
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.consistent).toBe(false);
+
+    const [unit] = res.body.data.units;
+    expect(unit).toMatchObject({ variant: null, stock: 30, ledger: 22, difference: 8 });
+    expect(unit.warehouses).toEqual([
+      { warehouse: warehouse.toString(), stock: 20, ledger: 12, difference: 8 }
+    ]);
+  });
+
+  it('rebuilds stock from the ledger so it verifies again', async () => {
+    const rebuilt = await rebuild();
+
+    expect(rebuilt.status).toBe(200);
+    expect(rebuilt.body.data.consistent).toBe(true);
+    expect(product.stock).toBe(22);
+    expect(levels[0].stock).toBe(12);
+    expect(Product.prototype.save).toHaveBeenCalledTimes(1);
+
+    const verified = await verify();
+    expect(verified.body.data.consistent).toBe(true);
+    expect(verified.body.data.units[0]).toMatchObject({ stock: 22, ledger: 22, difference: 0 });
+  });
+
+  it('leaves stock alone when the product has no ledger entries yet', async () => {
+    movements = [];
+
+    const res = await rebuild();
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.units[0]).toMatchObject({ stock: 30, ledger: null, difference: 0 });
+    expect(product.stock).toBe(30);
+    expect(InventoryLevel.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('refuses to rebuild a ledger that adds up to negative stock', async () => {
+    movements.push({ variant: null, warehouse, quantity: -20 });
+
+    const res = await rebuild();
+
+    expect(res.status).toBe(409);
+    expect(product.stock).toBe(30);
+    expect(Product.prototype.save).not.toHaveBeenCalled();
+  });
+
+  it('needs inventory permissions', async () => {
+    staff.role = 'customer';
+
+    expect((await verify()).status).toBe(403);
+    expect((await rebuild()).status).toBe(403);
+  });
+});
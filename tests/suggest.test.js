@@ -0,0 +1,111 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import request from 'supertest';
+
+import Product from '../src/models/Product.js';
+import Category from '../src/models/Category.js';
+import SearchQuery from '../src/models/SearchQuery.js';
+import productRoutes from '../src/routes/products.js';
+import { logger } from '../src/config/logger.js';
+import { recordSearch } from '../src/utils/suggest.js';
+import { createApp, matches, memoryModel, query } from './helpers.js';
+
+const app = createApp('/api/products', productRoutes);
+
+describe('search suggestions', () => {
+  let products;
+  let searches;
+
+  beforeEach(async () => {
+    products = memoryModel(Product);
+    memoryModel(Category);
+    searches = memoryModel(SearchQuery, [
+      { query: 'coffee mug', count: 5, resultCount: 2 },
+      { query: 'coffee grinder', count: 1, resultCount: 1 }
+    ]);
+
+    // Brands grouped by sales, as the pipeline does
+    jest.spyOn(Product, 'aggregate').mockImplementation(([{ $match }]) => {
+      const sales = new Map();
+      for (const product of products.filter(record => matches(record, $match))) {
+        sales.set(product.brand, (sales.get(product.brand) || 0) + product.salesCount);
+      }
+      const result = query([...sales].map(([brand, salesCount]) => ({ _id: brand, salesCount }))
+        .sort((a, b) => b.salesCount - a.salesCount));
+      result.option = () => result;
+      return result;
+    });
+
+    const category = await Category.create({ name: 'Coffee Makers' });
+    const product = (name, brand, salesCount, extra = {}) => Product.create({
+      name, brand, salesCount, description: 'For the kitchen', price: 20, category: category._id, images: ['/uploads/a.jpg'], ...extra
+    });
+    await product('Red Coffee Mug', 'Acme', 50);
+    await product('Coffee Grinder', 'Cofco', 10);
+    await product('Tea Kettle', 'Acme', 80);
+    await product('Coffee Scoop', 'Acme', 90, { isActive: false });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const suggest = (q) => request(app).get('/api/products/suggest').query({ q });
+
+  it('suggests names, brands and categories with a word starting with the text', async () => {
+    const res = await suggest('Cof');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.products.map(product => product.name)).toEqual(['Coffee Grinder', 'Red Coffee Mug']);
+    expect(res.body.data.brands).toEqual(['Cofco']);
+    expect(res.body.data.categories.map(category => category.name)).toEqual(['Coffee Makers']);
+    expect(res.body.data.queries).toEqual(['coffee mug']);
+  });
+
+  it('looks them up with anchored prefixes on the stored keys', async () => {
+    expect(products[0].nameKeys).toEqual(['red coffee mug', 'coffee mug', 'mug']);
+
+    await suggest('mu');
+
+    const [filter] = Product.find.mock.calls[0];
+    expect(filter.nameKeys).toEqual(/^mu/);
+    expect(filter.nameKeys.flags).toBe('');
+  });
+
+  it('rejects a missing or overlong query', async () => {
+    expect((await suggest('')).status).toBe(400);
+    expect((await suggest('x'.repeat(101))).status).toBe(400);
+  });
+
+  it('leaves out and logs a lookup that runs over its budget', async () => {
+    const warn = jest.spyOn(logger, 'warn');
+    Product.find.mockImplementation(() => {
+      throw new mongoose.mongo.MongoServerError({ code: 50, errmsg: 'operation exceeded time limit' });
+    });
+
+    const res = await suggest('kett');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.products).toEqual([]);
+    expect(res.body.data.brands).toEqual([]);
+    expect(warn).toHaveBeenCalledWith('Search suggestions for "kett" left out products: over the 50ms budget');
+  });
+
+  describe('counting searches', () => {
+    const countOf = (text) => searches.find(search => search.query === text)?.count;
+
+    it('counts a search that found something once per client', async () => {
+      await recordSearch('Coffee  Grinder', 1, '203.0.113.7');
+      await recordSearch('coffee grinder', 1, '203.0.113.7');
+      await recordSearch('coffee grinder', 1, '203.0.113.8');
+
+      expect(countOf('coffee grinder')).toBe(3);
+    });
+
+    it('ignores searches that found nothing', async () => {
+      await recordSearch('teapot', 0, '203.0.113.7');
+
+      expect(countOf('teapot')).toBeUndefined();
+    });
+  });
+});
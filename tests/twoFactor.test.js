@@ -0,0 +1,108 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+
+import User from '../src/models/User.js';
+import Role from '../src/models/Role.js';
+import Session from '../src/models/Session.js';
+import RefreshToken from '../src/models/RefreshToken.js';
+import authRoutes from '../src/routes/auth.js';
+import twoFactorRoutes from '../src/routes/twoFactor.js';
+import adminRoutes from '../src/routes/admin.js';
+import { generateCode } from '../src/utils/totp.js';
+import { createApp, memoryModel } from './helpers.js';
+
+const authApp = createApp('/api/auth', authRoutes);
+const app = createApp('/api/auth/2fa', twoFactorRoutes);
+const adminApp = createApp('/api/admin', adminRoutes);
+
+const STEP = 30 * 1000;
+
+describe('two-factor authentication', () => {
+  let users;
+  let user;
+
+  beforeEach(async () => {
+    // Halfway through a time step, so no test crosses into the next one
+    const now = Math.floor(Date.now() / STEP) * STEP + STEP / 2;
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+
+    users = memoryModel(User);
+    memoryModel(Role);
+    memoryModel(Session);
+    memoryModel(RefreshToken);
+
+    user = await User.create({ name: 'Shopper', email: 'shopper@example.com', password: 'Shopper123!' });
+  });
+
+  afterEach(() => {
+    delete process.env.REQUIRE_ADMIN_2FA;
+    jest.restoreAllMocks();
+  });
+
+  const as = (req, token = user.getSignedJwtToken()) => req.set('Authorization', `Bearer ${token}`);
+  const login = () => request(authApp).post('/api/auth/login').send({ email: 'shopper@example.com', password: 'Shopper123!' });
+  const verify = (body) => request(app).post('/api/auth/2fa/verify').send(body);
+
+  // Enroll the user, returning the secret and recovery codes
+  const enroll = async () => {
+    const { body: { data: { secret, otpauthUrl } } } = await as(request(app).post('/api/auth/2fa/setup'));
+    expect(otpauthUrl).toMatch(/^otpauth:\/\/totp\//);
+
+    const enabled = await as(request(app).post('/api/auth/2fa/enable')).send({ code: generateCode(secret) });
+    expect(enabled.status).toBe(200);
+    return { secret, recoveryCodes: enabled.body.data.recoveryCodes };
+  };
+
+  it('asks for a code after the password once enabled, and signs in with it', async () => {
+    const { secret } = await enroll();
+
+    const first = await login();
+    expect(first.body).toMatchObject({ twoFactorRequired: true, twoFactorToken: expect.any(String) });
+    expect(first.body.token).toBeUndefined();
+
+    const res = await verify({ twoFactorToken: first.body.twoFactorToken, code: generateCode(secret, Date.now() + STEP) });
+
+    expect(res.status).toBe(200);
+    expect(res.body.token).toEqual(expect.any(String));
+  });
+
+  it('refuses a wrong code, and a code that was already used', async () => {
+    const { secret } = await enroll();
+    const { body: { twoFactorToken } } = await login();
+
+    expect((await verify({ twoFactorToken, code: '000000' })).status).toBe(401);
+    expect(users[0].failedLoginAttempts).toBe(1);
+
+    // Enabling used the current step
+    expect((await verify({ twoFactorToken, code: generateCode(secret) })).status).toBe(401);
+  });
+
+  it('accepts each recovery code once', async () => {
+    const { recoveryCodes } = await enroll();
+    const { body: { twoFactorToken } } = await login();
+
+    const used = await verify({ twoFactorToken, recoveryCode: recoveryCodes[0] });
+    expect(used.status).toBe(200);
+    expect(used.body.recoveryCodesRemaining).toBe(recoveryCodes.length - 1);
+
+    expect((await verify({ twoFactorToken, recoveryCode: recoveryCodes[0] })).status).toBe(401);
+  });
+
+  it('refuses an access token in place of the two-factor token', async () => {
+    await enroll();
+
+    expect((await verify({ twoFactorToken: user.getSignedJwtToken(), code: '123456' })).status).toBe(401);
+  });
+
+  it('keeps admins without two-factor out of staff endpoints when required', async () => {
+    process.env.REQUIRE_ADMIN_2FA = 'true';
+    user = await User.create({ name: 'Admin', email: 'admin@example.com', password: 'Admin123!', role: 'admin' });
+
+    const blocked = await as(request(adminApp).get('/api/admin/permissions'));
+    expect(blocked.status).toBe(403);
+    expect(blocked.body.message).toBe('Two-factor authentication must be enabled for admin accounts');
+
+    await enroll();
+    expect((await as(request(adminApp).get('/api/admin/permissions'))).status).toBe(200);
+  });
+});
@@ -0,0 +1,108 @@
+import { jest } from '@jest/globals';
+import crypto from 'crypto';
+import fs from 'fs';
+import mongoose from 'mongoose';
+import os from 'os';
+import path from 'path';
+import request from 'supertest';
+
+import User from '../src/models/User.js';
+import Role from '../src/models/Role.js';
+import Session from '../src/models/Session.js';
+import RefreshToken from '../src/models/RefreshToken.js';
+import Product from '../src/models/Product.js';
+import productRoutes from '../src/routes/products.js';
+import { createApp, memoryModel } from './helpers.js';
+
+const app = createApp('/api/products', productRoutes);
+
+// Storage is set up on first use, so this is where every upload in the file goes
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'uploads-'));
+process.env.UPLOAD_PATH = root;
+
+const PNG = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.from('image data')]);
+
+describe('POST /api/products/:id/images', () => {
+  let admin;
+  let products;
+  let product;
+
+  beforeEach(async () => {
+    memoryModel(User);
+    memoryModel(Role);
+    memoryModel(Session);
+    memoryModel(RefreshToken);
+    product = new Product({
+      name: 'Mug', description: 'A sturdy mug', price: 12, stock: 5,
+      category: new mongoose.Types.ObjectId(), images: ['/uploads/mug.jpg']
+    });
+    products = memoryModel(Product, [product]);
+
+    admin = await User.create({ name: 'Admin', email: 'admin@example.com', password: 'Admin123!', role: 'admin' });
+  });
+
+  afterEach(() => {
+    fs.rmSync(path.join(root, 'products'), { recursive: true, force: true });
+    delete process.env.MAX_FILE_SIZE;
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+    delete process.env.UPLOAD_PATH;
+  });
+
+  const upload = (file, { name = 'photo.png', type = 'image/png', user = admin } = {}) => request(app)
+    .post(`/api/products/${product._id}/images`)
+    .set('Authorization', `Bearer ${user.getSignedJwtToken()}`)
+    .attach('images', file, { filename: name, contentType: type });
+  const stored = () => fs.existsSync(path.join(root, 'products')) ? fs.readdirSync(path.join(root, 'products')) : [];
+
+  it('stores an image under its content hash and adds it to the product once', async () => {
+    const hash = crypto.createHash('sha256').update(PNG).digest('hex');
+
+    const res = await upload(PNG);
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.images).toEqual([`/uploads/products/${hash}.png`]);
+    expect(stored()).toEqual([`${hash}.png`]);
+    expect(fs.readFileSync(path.join(root, 'products', `${hash}.png`)).equals(PNG)).toBe(true);
+
+    // The same bytes under another name are the same file
+    await upload(PNG, { name: 'again.png' });
+    expect(products[0].images).toEqual(['/uploads/mug.jpg', `/uploads/products/${hash}.png`]);
+    expect(stored()).toHaveLength(1);
+  });
+
+  it('refuses a file whose content is not the declared image type', async () => {
+    const res = await upload(Buffer.from('<?php echo "hi"; ?>'), { name: 'shell.png' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('shell.png is not a valid image/png file');
+    expect(stored()).toEqual([]);
+  });
+
+  it('refuses types other than JPEG, PNG, GIF and WebP', async () => {
+    const res = await upload(Buffer.from('<svg/>'), { name: 'logo.svg', type: 'image/svg+xml' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('logo.svg is not a JPEG, PNG, GIF or WebP image');
+  });
+
+  it('refuses images over the configured size', async () => {
+    process.env.MAX_FILE_SIZE = '1024';
+
+    const res = await upload(Buffer.concat([PNG, Buffer.alloc(2048)]));
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Each image must be at most 1 KB');
+    expect(stored()).toEqual([]);
+  });
+
+  it('is only open to staff who may edit products', async () => {
+    const shopper = await User.create({ name: 'Shopper', email: 'shopper@example.com', password: 'Shopper123!' });
+
+    expect((await upload(PNG, { user: shopper })).status).toBe(403);
+    expect(stored()).toEqual([]);
+  });
+});
@@ -0,0 +1,86 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+
+import User from '../src/models/User.js';
+import Role from '../src/models/Role.js';
+import Session from '../src/models/Session.js';
+import RefreshToken from '../src/models/RefreshToken.js';
+import OAuthState from '../src/models/OAuthState.js';
+import ApiKey from '../src/models/ApiKey.js';
+import Order from '../src/models/Order.js';
+import Review from '../src/models/Review.js';
+import userRoutes from '../src/routes/users.js';
+import adminRoutes from '../src/routes/admin.js';
+import { createApp, memoryModel } from './helpers.js';
+
+const app = createApp('/api/users', userRoutes);
+const adminApp = createApp('/api/admin', adminRoutes);
+
+describe('managing other users', () => {
+  let users;
+  let admin;
+  let manager;
+  let customer;
+
+  beforeEach(async () => {
+    users = memoryModel(User);
+    memoryModel(Role, [{ name: 'accounts', permissions: ['users:read', 'users:write'] }]);
+    for (const Model of [Session, RefreshToken, OAuthState, ApiKey, Order, Review]) {
+      memoryModel(Model);
+    }
+
+    admin = await User.create({ name: 'Admin', email: 'admin@example.com', password: 'Admin123!', role: 'admin' });
+    manager = await User.create({ name: 'Accounts', email: 'accounts@example.com', password: 'Accounts1!', role: 'accounts' });
+    customer = await User.create({ name: 'Shopper', email: 'shopper@example.com', password: 'Shopper1!', emailVerified: true });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const stored = (user) => users.find(record => String(record._id) === String(user._id));
+  const as = (caller, req) => req.set('Authorization', `Bearer ${caller.getSignedJwtToken()}`);
+  const update = (caller, target, body) => as(caller, request(app).put(`/api/users/${target._id}`)).send(body);
+
+  it('lets staff update an account with fewer permissions', async () => {
+    const res = await update(manager, customer, { name: 'Shopper Two', isActive: false });
+
+    expect(res.status).toBe(200);
+    expect(stored(customer)).toMatchObject({ name: 'Shopper Two', isActive: false });
+  });
+
+  it('marks a changed email as unverified', async () => {
+    const res = await update(manager, customer, { email: 'New@Example.com' });
+
+    expect(res.status).toBe(200);
+    expect(stored(customer)).toMatchObject({ email: 'new@example.com', emailVerified: false });
+  });
+
+  it('refuses an email another account already uses', async () => {
+    const res = await update(manager, customer, { email: 'accounts@example.com' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Email already in use');
+    expect(stored(customer).email).toBe('shopper@example.com');
+  });
+
+  it('refuses changes to an account that can do more than the caller', async () => {
+    const res = await update(manager, admin, { email: 'taken-over@example.com', isActive: false });
+
+    expect(res.status).toBe(403);
+    expect(stored(admin)).toMatchObject({ email: 'admin@example.com', isActive: true });
+
+    expect((await as(manager, request(app).delete(`/api/users/${admin._id}`))).status).toBe(403);
+    expect((await as(manager, request(app).delete(`/api/users/${admin._id}/sessions`))).status).toBe(403);
+    expect((await as(manager, request(adminApp).put(`/api/admin/users/${admin._id}/unlock`))).status).toBe(403);
+    expect(stored(admin).erasedAt).toBeUndefined();
+  });
+
+  it('lets an admin erase a staff account', async () => {
+    const res = await as(admin, request(app).delete(`/api/users/${manager._id}`));
+
+    expect(res.status).toBe(200);
+    expect(stored(manager)).toMatchObject({ name: 'Deleted User', isActive: false });
+    expect(stored(manager).erasedAt).toBeInstanceOf(Date);
+  });
+});
@@ -0,0 +1,129 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+
+import User from '../src/models/User.js';
+import Role from '../src/models/Role.js';
+import Product from '../src/models/Product.js';
+import Warehouse from '../src/models/Warehouse.js';
+import InventoryLevel from '../src/models/InventoryLevel.js';
+import StockMovement from '../src/models/StockMovement.js';
+import Order from '../src/models/Order.js';
+import warehouseRoutes from '../src/routes/warehouses.js';
+import { createApp, memoryModel, stubTransactions } from './helpers.js';
+
+const app = createApp('/api/warehouses', warehouseRoutes);
+
+describe('warehouses', () => {
+  let levels;
+  let warehouses;
+  let staff;
+  let product;
+  let east;
+  let west;
+
+  beforeEach(async () => {
+    product = new Product({ name: 'Mug', description: 'A sturdy mug', price: 12, stock: 30 });
+    memoryModel(User);
+    memoryModel(Role);
+    memoryModel(Product, [product]);
+    memoryModel(StockMovement);
+    memoryModel(Order);
+    warehouses = memoryModel(Warehouse);
+    levels = memoryModel(InventoryLevel);
+    stubTransactions();
+
+    staff = await User.create({ name: 'Stock Keeper', email: 'stock@example.com', password: 'Secret123!', role: 'warehouse' });
+    east = await Warehouse.create({ name: 'East', code: 'EAST', address: { city: 'Newark', state: 'NJ' } });
+    west = await Warehouse.create({ name: 'West', code: 'WEST', address: { city: 'Reno', state: 'NV' } });
+    await InventoryLevel.create({ product: product._id, variant: null, warehouse: east._id, stock: 10 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const as = (req) => req.set('Authorization', `Bearer ${staff.getSignedJwtToken()}`);
+  const levelAt = (warehouse) => levels.find(level => level.warehouse.equals(warehouse._id))?.stock;
+  const transfer = (quantity) => as(request(app).post('/api/warehouses/transfers')).send({
+    product: product._id.toString(), from: east._id.toString(), to: west._id.toString(), quantity
+  });
+  const remove = (warehouse) => as(request(app).delete(`/api/warehouses/${warehouse._id}`));
+  const orderFrom = (warehouse, status) => Order.create({
+    user: staff._id,
+    items: [{
+      product: product._id, name: 'Mug', quantity: 1, price: 12,
+      allocations: [{ warehouse: warehouse._id, quantity: 1 }]
+    }],
+    totalAmount: 12,
+    shippingAddress: {
+      name: 'Shopper', phone: '555-0100', street: '1 Main St', city: 'Springfield', state: 'IL', zipCode: '62701', country: 'US'
+    },
+    paymentMethod: 'cash_on_delivery',
+    status
+  });
+
+  it('creates a warehouse', async () => {
+    const res = await as(request(app).post('/api/warehouses'))
+      .send({ name: 'North', code: 'NORTH', address: { city: 'Albany', state: 'NY' } });
+
+    expect(res.status).toBe(201);
+    expect(warehouses).toHaveLength(3);
+    expect(warehouses[2]).toMatchObject({ name: 'North', code: 'NORTH' });
+  });
+
+  it('rejects an invalid warehouse', async () => {
+    const res = await as(request(app).post('/api/warehouses')).send({ name: 'North', code: 'no spaces' });
+
+    expect(res.status).toBe(400);
+    expect(warehouses).toHaveLength(2);
+  });
+
+  it('moves stock between warehouses', async () => {
+    const res = await transfer(4);
+
+    expect(res.status).toBe(200);
+    expect(levelAt(east)).toBe(6);
+    expect(levelAt(west)).toBe(4);
+  });
+
+  it('refuses to move more than the source holds', async () => {
+    const res = await transfer(11);
+
+    expect(res.status).toBe(400);
+    expect(levelAt(east)).toBe(10);
+    expect(levelAt(west)).toBeUndefined();
+  });
+
+  it('deletes an empty warehouse that only delivered orders shipped from', async () => {
+    await orderFrom(west, 'delivered');
+
+    const res = await remove(west);
+
+    expect(res.status).toBe(200);
+    expect(warehouses.map(warehouse => warehouse.code)).toEqual(['EAST']);
+  });
+
+  it('refuses to delete a warehouse that still holds stock', async () => {
+    const res = await remove(east);
+
+    expect(res.status).toBe(409);
+    expect(warehouses).toHaveLength(2);
+  });
+
+  it('refuses to delete a warehouse a shipped order would be restocked to on cancellation', async () => {
+    await orderFrom(west, 'shipped');
+
+    const res = await remove(west);
+
+    expect(res.status).toBe(409);
+    expect(res.body.message).toBe('Open orders still ship from this warehouse');
+    expect(warehouses).toHaveLength(2);
+  });
+
+  it('needs inventory permissions', async () => {
+    staff = await User.create({ name: 'Shopper', email: 'shopper@example.com', password: 'Shopper1!' });
+
+    expect((await remove(west)).status).toBe(403);
+    expect(warehouses).toHaveLength(2);
+  });
+});